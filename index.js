@@ -1,606 +1,366 @@
-const fs = require('fs');
-const path = require('path');
-const csvParse = require('csv-parse/sync');
-const csvStringify = require('csv-stringify/sync');
-const inquirer = require('inquirer');
+const writers = require('./lib/writers');
+const csvDialect = require('./lib/csv-dialect');
+const faults = require('./lib/faults');
+const templateStore = require('./lib/template-store');
+const api = require('./lib/api');
+const { wantsReport } = require('./lib/cli/output');
+const { runBatch } = require('./lib/cli/batch');
+const { runProject } = require('./lib/cli/project-runner');
+const { runTemplatesCommand } = require('./lib/cli/templates-command');
+const { runInteractive } = require('./lib/cli/interactive');
 
-// Function to generate random number within a range
-function getRandomNumber(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
+// Function to parse command-line arguments
+function parseArguments(args) {
+  const options = {
+    sourceFile: null,
+    template: null,
+    project: null,
+    records: null,
+    output: null,
+    includeHeader: null,
+    seed: null,
+    format: null,
+    table: null,
+    dialect: null,
+    sqlite: null,
+    csvDialect: {},
+    inputDialect: {},
+    faults: null,
+    noFaults: false,
+    faultManifest: null,
+    salt: null,
+    plugins: [],
+    workers: null,
+    rowsPerFile: null,
+    report: false,
+    reportHtml: null,
+    reportJson: null,
+    command: null,
+    commandArgs: [],
+    templatesDir: null,
+    userTemplatesDir: null,
+    userScope: false,
+    force: false,
+    help: false
+  };
 
-// Function to generate random string
-function getRandomString(length) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  // Subcommands: "templates <action> [arguments]"
+  if (args[0] === 'templates') {
+    options.command = 'templates';
+    args = args.slice(1);
   }
-  return result;
-}
-
-// Function to generate random string with prefix
-function getRandomStringWithPrefix(prefix, length) {
-  return prefix + getRandomString(length);
-}
 
-// Function to pick a random item from a list
-function getRandomFromList(list) {
-  return list[Math.floor(Math.random() * list.length)];
-}
-
-// Helper function to get unique values from a column
-function getUniqueValuesFromColumn(records, header) {
-  const values = records.map(record => record[header]);
-  // Filter out duplicates and undefined/null values
-  return [...new Set(values)].filter(val => val !== undefined && val !== null && val !== '');
-}
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let value = null;
 
-// Function to load saved configurations
-function loadConfigurations() {
-  try {
-    if (fs.existsSync('config.json')) {
-      const configData = fs.readFileSync('config.json', 'utf8');
-      return JSON.parse(configData);
+    // Support both "--option value" and "--option=value"
+    const equalsIndex = arg.indexOf('=');
+    if (arg.startsWith('--') && equalsIndex > 0) {
+      value = arg.slice(equalsIndex + 1);
+      arg = arg.slice(0, equalsIndex);
     }
-  } catch (error) {
-    console.error('Error loading configurations:', error.message);
-  }
-  return { templates: [] };
-}
 
-// Function to save a configuration
-function saveConfiguration(name, sourceFile, columnConfigurations, numRecords, includeHeader) {
-  try {
-    const config = loadConfigurations();
-    
-    // Create a new template or update existing
-    const templateIndex = config.templates.findIndex(t => t.name === name);
-    const newTemplate = {
-      name,
-      sourceFile,
-      columnConfigurations,
-      numRecords,
-      includeHeader,
-      createdAt: new Date().toISOString()
+    const takeValue = () => {
+      if (value !== null) {
+        return value;
+      }
+      if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
+        throw new Error(`Missing value for option ${arg}`);
+      }
+      return args[++i];
     };
-    
-    if (templateIndex >= 0) {
-      config.templates[templateIndex] = newTemplate;
-    } else {
-      config.templates.push(newTemplate);
-    }
-    
-    // Save to file
-    fs.writeFileSync('config.json', JSON.stringify(config, null, 2));
-    console.log(`Configuration '${name}' saved successfully.`);
-    
-    return true;
-  } catch (error) {
-    console.error('Error saving configuration:', error.message);
-    return false;
-  }
-}
 
-// Main function
-async function main() {
-  try {
-    // Check for saved configurations
-    const config = loadConfigurations();
-    let useTemplate = false;
-    let templateConfig = null;
-    
-    if (config.templates && config.templates.length > 0) {
-      // Ask if user wants to use a saved template
-      const templateAnswer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'choice',
-          message: 'Do you want to use a saved template or create a new configuration?',
-          choices: [
-            { name: 'Create new configuration', value: 'new' },
-            ...config.templates.map(t => ({ name: `Template: ${t.name} (${t.sourceFile})`, value: t.name }))
-          ]
+    switch (arg) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--template':
+      case '-t':
+        options.template = takeValue();
+        break;
+      case '--project':
+      case '-p':
+        options.project = takeValue();
+        break;
+      case '--records':
+      case '-n': {
+        const records = takeValue();
+        options.records = parseInt(records);
+        if (!/^\d+$/.test(records) || options.records <= 0) {
+          throw new Error(`Invalid number of records: ${records}`);
         }
-      ]);
-      
-      if (templateAnswer.choice !== 'new') {
-        useTemplate = true;
-        templateConfig = config.templates.find(t => t.name === templateAnswer.choice);
-        console.log(`Using template: ${templateConfig.name}`);
+        break;
       }
-    }
-    
-    // Get source CSV file - either from template, command-line argument, or by asking user
-    let sourceFilePath;
-    let records;
-    let headers;
-    
-    if (useTemplate) {
-      sourceFilePath = templateConfig.sourceFile;
-      console.log(`Using source file from template: ${sourceFilePath}`);
-    } else if (process.argv.length > 2) {
-      sourceFilePath = process.argv[2];
-      console.log(`Using source CSV file from command-line argument: ${sourceFilePath}`);
-    } else {
-      // Ask for source CSV file if not provided as argument
-      const fileAnswer = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'sourcePath',
-          message: 'Enter path to source CSV file:',
-          validate: function(input) {
-            if (!fs.existsSync(input)) {
-              return 'File not found. Please enter a valid file path.';
-            }
-            return true;
-          }
-        }
-      ]);
-      sourceFilePath = fileAnswer.sourcePath;
-    }
-    
-    if (!fs.existsSync(sourceFilePath)) {
-      console.error(`File not found: ${sourceFilePath}`);
-      process.exit(1);
-    }
-
-    // Read and parse the source CSV
-    const sourceData = fs.readFileSync(sourceFilePath, 'utf8');
-    records = csvParse.parse(sourceData, { columns: true, skip_empty_lines: true });
-    
-    if (records.length === 0) {
-      console.error('Source CSV file is empty or could not be parsed');
-      process.exit(1);
-    }
-
-    // Get headers from the first record
-    headers = Object.keys(records[0]);
-    
-    // Initialize column configurations
-    let columnConfigurations = [];
-    let numRecords;
-    let includeHeader;
-    
-    if (useTemplate) {
-      // Use configurations from template
-      columnConfigurations = [...templateConfig.columnConfigurations];
-      numRecords = templateConfig.numRecords;
-      includeHeader = templateConfig.includeHeader;
-      
-      // Ask if user wants to edit any column configurations
-      const editAnswer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'edit',
-          message: 'Do you want to edit any column configurations?',
-          choices: [
-            { name: 'No', value: false },
-            { name: 'Yes', value: true }
-          ],
-          default: 0 // Default to "No"
-        }
-      ]);
-      
-      if (editAnswer.edit) {
-        // Let user select which columns to edit
-        const columnsToEdit = await inquirer.prompt([
-          {
-            type: 'checkbox',
-            name: 'columns',
-            message: 'Select columns to edit:',
-            choices: headers.map(h => ({ name: h, value: h }))
-          }
-        ]);
-        
-        // Edit selected columns
-        for (const header of columnsToEdit.columns) {
-          const columnIndex = columnConfigurations.findIndex(c => c.header === header);
-          if (columnIndex >= 0) {
-            // Remove existing config for this column
-            columnConfigurations.splice(columnIndex, 1);
-          }
-          
-          // Configure this column
-          const config = await configureColumn(header, records);
-          columnConfigurations.push(config);
+      case '--output':
+      case '-o':
+        options.output = takeValue();
+        break;
+      case '--seed':
+      case '-s':
+        options.seed = takeValue();
+        break;
+      case '--format':
+      case '-f':
+        options.format = takeValue().toLowerCase();
+        writers.getWriter(options.format);
+        break;
+      case '--table':
+        options.table = takeValue();
+        break;
+      case '--dialect':
+        options.dialect = takeValue().toLowerCase();
+        break;
+      case '--sqlite':
+        options.sqlite = takeValue();
+        break;
+      case '--delimiter':
+        options.csvDialect.delimiter = csvDialect.parseDelimiter(takeValue());
+        break;
+      case '--quote':
+        options.csvDialect.quote = takeValue();
+        break;
+      case '--escape':
+        options.csvDialect.escape = takeValue();
+        break;
+      case '--encoding':
+        options.csvDialect.encoding = takeValue().toLowerCase();
+        break;
+      case '--bom':
+        options.csvDialect.bom = true;
+        break;
+      case '--no-bom':
+        options.csvDialect.bom = false;
+        break;
+      case '--line-ending':
+        options.csvDialect.lineEnding = takeValue().toLowerCase();
+        break;
+      case '--quote-all':
+        options.csvDialect.quoteAll = true;
+        break;
+      case '--input-delimiter':
+        options.inputDialect.delimiter = csvDialect.parseDelimiter(takeValue());
+        break;
+      case '--input-encoding':
+        options.inputDialect.encoding = takeValue().toLowerCase();
+        break;
+      case '--faults':
+        options.faults = faults.parseFaultSpec(takeValue());
+        break;
+      case '--no-faults':
+        options.noFaults = true;
+        break;
+      case '--fault-manifest':
+        options.faultManifest = takeValue();
+        break;
+      case '--salt':
+        options.salt = takeValue();
+        break;
+      case '--plugin':
+        options.plugins.push(takeValue());
+        break;
+      case '--workers': {
+        const workers = takeValue();
+        options.workers = parseInt(workers);
+        if (!/^\d+$/.test(workers) || options.workers <= 0) {
+          throw new Error(`Invalid number of workers: ${workers}`);
         }
+        break;
       }
-    } else {
-      // Show some sample values for each column and configure from scratch
-      for (const header of headers) {
-        console.log(`\nColumn: ${header}`);
-        
-        // Get sample values
-        const sampleValues = records.slice(0, 5).map(record => record[header]);
-        console.log(`Sample values: ${sampleValues.join(', ')}`);
-        
-        // Configure this column
-        const config = await configureColumn(header, records);
-        columnConfigurations.push(config);
-      }
-      
-      // Ask for number of records to generate using a list for better selection
-      const recordOptions = [100, 500, 1000, 2000, 5000, 10000];
-      const recordsAnswer = await inquirer.prompt([
-        {
-          type: 'list', 
-          name: 'numRecords',
-          message: 'How many records to generate?',
-          choices: [
-            ...recordOptions.map(num => ({ name: `${num} records`, value: num })),
-            { name: 'Custom number', value: 'custom' }
-          ],
-          default: 1 // Default to 500 records
+      case '--report':
+        options.report = true;
+        break;
+      case '--report-html':
+        options.reportHtml = takeValue();
+        break;
+      case '--report-json':
+        options.reportJson = takeValue();
+        break;
+      case '--rows-per-file': {
+        const rowsPerFile = takeValue();
+        options.rowsPerFile = parseInt(rowsPerFile);
+        if (!/^\d+$/.test(rowsPerFile) || options.rowsPerFile <= 0) {
+          throw new Error(`Invalid number of rows per file: ${rowsPerFile}`);
         }
-      ]);
-      
-      if (recordsAnswer.numRecords === 'custom') {
-        const customAnswer = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'customRecords',
-            message: 'Enter custom number of records:',
-            validate: function(input) {
-              const num = parseInt(input);
-              if (isNaN(num) || num <= 0) {
-                return 'Please enter a valid positive number';
-              }
-              return true;
-            },
-            filter: input => parseInt(input)
-          }
-        ]);
-        numRecords = customAnswer.customRecords;
-      } else {
-        numRecords = recordsAnswer.numRecords;
+        break;
       }
-      
-      // Ask for header inclusion
-      const headerAnswer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'includeHeader',
-          message: 'Include header row?',
-          choices: [
-            { name: 'Yes', value: true },
-            { name: 'No', value: false }
-          ],
-          default: 0 // Default to "Yes"
+      case '--templates-dir':
+        options.templatesDir = takeValue();
+        break;
+      case '--user-templates-dir':
+        options.userTemplatesDir = takeValue();
+        break;
+      case '--user':
+        options.userScope = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--header':
+        options.includeHeader = true;
+        break;
+      case '--no-header':
+        options.includeHeader = false;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
         }
-      ]);
-      includeHeader = headerAnswer.includeHeader;
-    }
-    
-    // Generate the test data
-    const outputData = [];
-    
-    for (let i = 0; i < numRecords; i++) {
-      const record = {};
-      
-      for (const config of columnConfigurations) {
-        switch (config.type) {
-          case '1': // Random numeric range
-            record[config.header] = getRandomNumber(config.min, config.max);
-            break;
-          case '2': // Random numeric from list
-          case '3': // Random alphanumeric from list
-            record[config.header] = getRandomFromList(config.list);
-            break;
-          case '4': // Random alphanumeric strings
-            record[config.header] = getRandomString(config.length);
-            break;
-          case '5': // Sequential range
-            record[config.header] = config.start + (i * config.step);
-            break;
-          case '6': // Values from list (repeating if needed)
-            record[config.header] = config.list[i % config.list.length];
-            break;
-          case '7': // Random alphanumeric with prefix
-            record[config.header] = getRandomStringWithPrefix(config.prefix, config.length);
-            break;
+        if (options.command) {
+          options.commandArgs.push(arg);
+          break;
         }
-      }
-      
-      outputData.push(record);
-    }
-    
-    // Create output CSV
-    const outputAnswer = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'outputFilePath',
-        message: 'Enter path for output CSV file:',
-        default: 'output.csv'
-      }
-    ]);
-    const outputFilePath = outputAnswer.outputFilePath;
-    
-    // Generate CSV content
-    const csvContent = csvStringify.stringify(outputData, { header: includeHeader });
-    
-    // Write to file
-    fs.writeFileSync(outputFilePath, csvContent);
-    
-    console.log(`Successfully generated ${numRecords} records to ${outputFilePath}`);
-
-    // Ask if user wants to save this configuration as a template
-    if (!useTemplate) {
-      const saveAnswer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'save',
-          message: 'Do you want to save this configuration as a template for future use?',
-          choices: [
-            { name: 'Yes', value: true },
-            { name: 'No', value: false }
-          ],
-          default: 0 // Default to "Yes"
+        if (options.sourceFile !== null) {
+          throw new Error(`Unexpected argument: ${arg}`);
         }
-      ]);
-      
-      if (saveAnswer.save) {
-        const nameAnswer = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'templateName',
-            message: 'Enter a name for this template:',
-            validate: function(input) {
-              if (!input.trim()) {
-                return 'Name cannot be empty';
-              }
-              return true;
-            }
-          }
-        ]);
-        
-        saveConfiguration(
-          nameAnswer.templateName,
-          sourceFilePath,
-          columnConfigurations,
-          numRecords,
-          includeHeader
-        );
-      }
+        options.sourceFile = arg;
     }
-
-  } catch (error) {
-    console.error('An error occurred:', error);
   }
-}
 
-// Function to configure a single column
-async function configureColumn(header, records) {
-  // Get unique values from this column to use as default for lists
-  const uniqueValues = getUniqueValuesFromColumn(records, header);
-  
-  // Ask for generation type using inquirer
-  const typeAnswer = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'generationType',
-      message: 'Choose generation type:',
-      choices: [
-        { name: 'Random alphanumeric (from source file)', value: '3-source' },
-        { name: 'Random numeric (range)', value: '1' },
-        { name: 'Random numeric (from list)', value: '2' },
-        { name: 'Random alphanumeric (from list)', value: '3' },
-        { name: 'Random alphanumeric strings', value: '4' },
-        { name: 'Random alphanumeric with prefix', value: '7' },
-        { name: 'Sequential range numeric', value: '5' },
-        { name: 'Values from list', value: '6' }
-      ],
-      default: 0 // Default to "Random alphanumeric (from source file)"
+  if (options.project && (options.workers || options.rowsPerFile)) {
+    throw new Error('--workers and --rows-per-file cannot be used with --project');
+  }
+  if (options.project && wantsReport(options)) {
+    throw new Error('--report, --report-html and --report-json cannot be used with --project');
+  }
+  if (options.sqlite) {
+    if (options.output || (options.format && options.format !== 'sqlite')) {
+      throw new Error('--sqlite sets the output file and format; leave out --output and --format');
+    }
+    // Projects write all their tables to the one database
+    options.format = 'sqlite';
+    if (!options.project) {
+      options.output = options.sqlite;
     }
-  ]);
-  
-  let generationType = typeAnswer.generationType;
-  
-  const columnConfig = {
-    header,
-    type: generationType === '3-source' ? '3' : generationType
-  };
-  
-  switch (generationType) {
-    case '1': // Random numeric range
-      const rangeAnswer = await inquirer.prompt([
-        {
-          type: 'number',
-          name: 'min',
-          message: 'Enter minimum value:',
-          default: 0
-        },
-        {
-          type: 'number',
-          name: 'max',
-          message: 'Enter maximum value:',
-          default: 100
-        }
-      ]);
-      columnConfig.min = rangeAnswer.min;
-      columnConfig.max = rangeAnswer.max;
-      break;
-    
-    case '2': // Random numeric from list
-      // First ask if they want to use values from source
-      const useSourceNum = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'useSource',
-          message: 'Use values from source file?',
-          choices: [
-            { name: 'Yes, use values from source file', value: true },
-            { name: 'No, I will enter custom values', value: false }
-          ],
-          default: 0 // Default to "Yes"
-        }
-      ]);
-      
-      if (useSourceNum.useSource) {
-        // Extract numeric values from the column
-        const numericValues = uniqueValues
-          .map(val => Number(val))
-          .filter(val => !isNaN(val));
-        
-        if (numericValues.length === 0) {
-          console.log('No valid numeric values found in column. Please enter custom values.');
-          const numListAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'numericList',
-              message: 'Enter comma-separated list of numbers:',
-              filter: input => input.split(',').map(Number)
-            }
-          ]);
-          columnConfig.list = numListAnswer.numericList;
-        } else {
-          columnConfig.list = numericValues;
-          console.log(`Using ${numericValues.length} unique numeric values from source column.`);
-        }
-      } else {
-        const numListAnswer = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'numericList',
-            message: 'Enter comma-separated list of numbers:',
-            filter: input => input.split(',').map(Number)
-          }
-        ]);
-        columnConfig.list = numListAnswer.numericList;
-      }
-      break;
-    
-    case '3-source': // Default choice: Random alphanumeric from source file
-      if (uniqueValues.length === 0) {
-        console.log('No valid values found in column. Please enter custom values.');
-        const alphaListAnswer = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'alphaList',
-            message: 'Enter comma-separated list of values:',
-            filter: input => input.split(',').map(v => v.trim())
-          }
-        ]);
-        columnConfig.list = alphaListAnswer.alphaList;
-      } else {
-        columnConfig.list = uniqueValues;
-        console.log(`Using ${uniqueValues.length} unique values from source column.`);
-      }
-      break;
-    
-    case '3': // Random alphanumeric from list
-    case '6': // Values from list
-      // First ask if they want to use values from source
-      const useSourceAlpha = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'useSource',
-          message: 'Use values from source file?',
-          choices: [
-            { name: 'Yes, use values from source file', value: true },
-            { name: 'No, I will enter custom values', value: false }
-          ],
-          default: 0 // Default to "Yes"
-        }
-      ]);
-      
-      if (useSourceAlpha.useSource) {
-        if (uniqueValues.length === 0) {
-          console.log('No valid values found in column. Please enter custom values.');
-          const alphaListAnswer = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'alphaList',
-              message: 'Enter comma-separated list of values:',
-              filter: input => input.split(',').map(v => v.trim())
-            }
-          ]);
-          columnConfig.list = alphaListAnswer.alphaList;
-        } else {
-          columnConfig.list = uniqueValues;
-          console.log(`Using ${uniqueValues.length} unique values from source column.`);
-        }
-      } else {
-        const alphaListAnswer = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'alphaList',
-            message: 'Enter comma-separated list of values:',
-            filter: input => input.split(',').map(v => v.trim())
-          }
-        ]);
-        columnConfig.list = alphaListAnswer.alphaList;
-      }
-      break;
-    
-    case '4': // Random alphanumeric strings
-      const lengthAnswer = await inquirer.prompt([
-        {
-          type: 'number',
-          name: 'length',
-          message: 'Enter length for random strings:',
-          default: 10
-        }
-      ]);
-      columnConfig.length = lengthAnswer.length;
-      break;
-    
-    case '7': // Random alphanumeric with prefix
-      const prefixAnswer = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'prefix',
-          message: 'Enter prefix for random strings:',
-          default: 'ID-'
-        }
-      ]);
-      const prefixLengthAnswer = await inquirer.prompt([
-        {
-          type: 'number',
-          name: 'length',
-          message: 'Enter length for random part (after prefix):',
-          default: 6
-        }
-      ]);
-      columnConfig.prefix = prefixAnswer.prefix;
-      columnConfig.length = prefixLengthAnswer.length;
-      break;
-    
-    case '5': // Sequential range
-      const seqAnswer = await inquirer.prompt([
-        {
-          type: 'number',
-          name: 'start',
-          message: 'Enter start value:',
-          default: 1
-        },
-        {
-          type: 'number',
-          name: 'step',
-          message: 'Enter step value:',
-          default: 1
-        }
-      ]);
-      columnConfig.start = seqAnswer.start;
-      columnConfig.step = seqAnswer.step;
-      break;
   }
-  
-  return columnConfig;
+
+  // Reject invalid dialect settings before anything is read or written
+  csvDialect.normaliseDialect(options.csvDialect);
+  csvDialect.normaliseDialect(options.inputDialect);
+
+  return options;
 }
 
 // Show usage information
 function printUsage() {
   console.log('CSV Test Data Generator');
-  console.log('Usage: node index.js [source-csv-file]');
+  console.log('Usage: node index.js [source-csv-file] [options]');
+  console.log('       node index.js templates <command> [arguments] [options]');
   console.log('');
   console.log('If source CSV file is provided as a command-line argument, it will be used directly.');
   console.log('Otherwise, you will be prompted to enter the path to the source file.');
+  console.log('A .json (JSON Schema) or .sql (CREATE TABLE) file defines the columns without sample data.');
+  console.log('');
+  console.log('Options:');
+  console.log('  -t, --template <name>  Generate from a saved template without any prompts');
+  console.log('  -p, --project <name>   Generate all tables of a project from config.json, parents first');
+  console.log('                         (-o then names the output directory)');
+  console.log('  -n, --records <N>      Number of records to generate');
+  console.log('  -o, --output <path>    Path of the output file (default: output.<format extension>)');
+  console.log('  -f, --format <format>  Output format: csv, json, ndjson, sql, xml, xlsx or sqlite');
+  console.log('                         (default: from the output file extension, the template, or csv)');
+  console.log('      --table <name>     Table name for SQL and SQLite output');
+  console.log('      --dialect <name>   SQL dialect: postgres, mysql or sqlite');
+  console.log('      --sqlite <file>    Insert the records into a table of a SQLite database file,');
+  console.log('                         created if needed (the table defaults to the template name)');
+  console.log('      --delimiter <char> CSV field delimiter (",", ";", tab, "|"...)');
+  console.log('      --quote <char>     CSV quote character');
+  console.log('      --escape <char>    CSV escape character for quotes inside fields');
+  console.log('      --encoding <name>  CSV encoding, e.g. utf8, utf16le, windows-1250');
+  console.log('      --bom, --no-bom    Write or omit a byte order mark');
+  console.log('      --line-ending <le> CSV line ending: lf, crlf or cr');
+  console.log('      --quote-all        Quote every CSV field');
+  console.log('                         (CSV settings default to those detected in the source file)');
+  console.log('      --input-delimiter <char>  Source file delimiter, instead of detecting it');
+  console.log('      --input-encoding <name>   Source file encoding, instead of detecting it');
+  console.log('      --header           Include the header row');
+  console.log('      --no-header        Omit the header row');
+  console.log('  -s, --seed <seed>      Seed for the random generator (same seed gives the same file)');
+  console.log('      --workers <N>      Generate in N worker threads, joined in order into one file');
+  console.log('                         (csv, ndjson or sql; the file depends on the seed, not on N)');
+  console.log('      --rows-per-file <N>  Write shard files of N rows each: output-0001.csv, output-0002.csv...');
+  console.log('      --report           Print a report comparing the output with the source file (empty values,');
+  console.log('                         distinct values, ranges, lengths, top values, types) and flag mismatches');
+  console.log('      --report-html <path>, --report-json <path>   Also write the report as HTML or JSON');
+  console.log('      --faults <spec>    Inject faults for negative testing, e.g. null=0.05,whitespace=2%,duplicateRows=0.01');
+  console.log('                         (null, empty, whitespace, overLength, unicode, specialCharacters,');
+  console.log('                         outOfRange, malformedDate, duplicateRows)');
+  console.log('      --no-faults        Ignore the fault settings of the template');
+  console.log('      --fault-manifest <path>   Write a JSON list of the mutated rows and cells');
+  console.log('      --salt <text>      Secret salt for masking templates (default: TEST_FILE_GENERATOR_SALT)');
+  console.log('                         (with a mask template, the source CSV file argument is the file to mask)');
+  console.log('      --plugin <module>  Load a plugin adding generator types or output formats (repeatable;');
+  console.log('                         plugins listed in "plugins" of config.json are always loaded)');
+  console.log('  -h, --help             Show this help');
+  console.log('');
+  console.log('Template commands:');
+  console.log('  templates list                  List templates and where they are stored');
+  console.log('  templates show <name>           Show the settings and columns of a template');
+  console.log('  templates rm <name>             Delete a template');
+  console.log('  templates mv <name> <new-name>  Rename a template');
+  console.log('  templates cp <name> <new-name>  Copy a template');
+  console.log('  templates export <name> [file]  Write a template to a file (default: standard output)');
+  console.log('  templates import <file> [name]  Add the templates of an exported file or a config.json');
+  console.log('');
+  console.log('Template options:');
+  console.log('      --templates-dir <dir>       Project templates directory (default: ./templates)');
+  console.log('      --user-templates-dir <dir>  Personal templates directory (default: ~/.test-file-generator/templates)');
+  console.log('      --user             cp and import save to the personal templates directory;');
+  console.log('                         rm, mv, show and export use the personal template');
+  console.log('      --force            Let cp, mv and import replace an existing template');
 }
 
-// Execute the main function
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  printUsage();
-} else {
-  main();
-}
\ No newline at end of file
+// Function to load the plugins listed in config.json and given with --plugin
+function loadConfiguredPlugins(options) {
+  const configPlugins = templateStore.loadConfigFile().plugins || [];
+  if (!Array.isArray(configPlugins) || configPlugins.some(item => typeof item !== 'string')) {
+    throw new Error('"plugins" in config.json must be a list of module paths');
+  }
+  api.loadPlugins([...configPlugins, ...options.plugins]);
+}
+
+// The programmatic API (lib/api.js) when required as a module
+module.exports = api;
+
+// Execute the main function when run from the command line
+if (require.main === module) {
+  let cliOptions;
+  try {
+    cliOptions = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help to see available options.');
+    process.exit(1);
+  }
+
+  templateStore.setTemplateDirectories({ project: cliOptions.templatesDir, user: cliOptions.userTemplatesDir });
+
+  try {
+    loadConfiguredPlugins(cliOptions);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (cliOptions.help) {
+    printUsage();
+  } else if (cliOptions.command === 'templates') {
+    runTemplatesCommand(cliOptions).catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+  } else if (cliOptions.project) {
+    runProject(cliOptions).catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+  } else if (cliOptions.template) {
+    runBatch(cliOptions).catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+  } else {
+    runInteractive(cliOptions);
+  }
+}
@@ -0,0 +1,180 @@
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const random = require('./random');
+const templates = require('./templates');
+const templateStore = require('./template-store');
+const faults = require('./faults');
+const plugins = require('./plugins');
+const writers = require('./writers');
+const { createGenerationContext, generateRecord } = require('./generator');
+
+// Programmatic API: the generation the command line runs, for Node.js scripts and tests.
+//
+//   const { generate, generateFile, loadTemplate } = require('test-file-generator');
+//   const rows = generate({ template: 'orders', records: 100, seed: 42 });
+//   generate({ columns, records: 1000, seed: 7, format: 'csv' }).pipe(process.stdout);
+//   await generateFile({ template: 'orders', output: 'orders.xlsx' });
+//
+// Every run draws from its own random generator, so runs with the same seed give the same
+// records as the command line, even when several streams are read at the same time.
+
+// Helpers for plugins' generators; values drawn with them are reproduced by seeds
+const randomHelpers = {
+  random: random.random,
+  getRandomNumber: random.getRandomNumber,
+  getRandomDecimal: random.getRandomDecimal,
+  getRandomString: random.getRandomString,
+  getRandomFromList: random.getRandomFromList
+};
+
+// Function to load a valid template by name, looked up like the command line does
+function loadTemplate(name) {
+  const template = templateStore.findTemplate(name);
+  if (!template) {
+    throw new Error(`Template not found: ${name}`);
+  }
+  const problems = templates.validateTemplate(template);
+  if (problems.length > 0) {
+    throw new Error(`Template '${template.name}' is not valid:\n${templates.formatProblems(problems)}`);
+  }
+  return template;
+}
+
+// Function to resolve the settings of a run from the options and an optional template.
+// Options: columns or template (a name or a loaded template), records, seed, faults,
+// format, formatOptions and includeHeader; options override the template's settings.
+function resolveRun(options) {
+  const template = typeof options.template === 'string' ? loadTemplate(options.template) : (options.template || null);
+  if (template && template.mode === 'mask') {
+    throw new Error(`Template '${template.name}' is a masking template and cannot generate records`);
+  }
+  const columns = options.columns || (template && template.columnConfigurations);
+  if (!columns) {
+    throw new Error('Pass columns or a template to generate records');
+  }
+  const problems = templates.validateColumns(columns);
+  if (problems.length > 0) {
+    throw new Error(`The column configurations are not valid:\n${templates.formatProblems(problems)}`);
+  }
+
+  const numRecords = options.records !== undefined ? options.records : (template && template.numRecords);
+  if (!Number.isInteger(numRecords) || numRecords < 0) {
+    throw new Error(`records must be a whole number of at least 0, got ${JSON.stringify(numRecords)}`);
+  }
+  const seed = options.seed !== undefined ? options.seed : (template && template.seed !== undefined ? template.seed : random.createSeed());
+
+  return {
+    columns,
+    numRecords,
+    seed,
+    faults: options.faults !== undefined ? options.faults : (template ? template.faults : undefined),
+    includeHeader: options.includeHeader !== undefined ? options.includeHeader : !(template && template.includeHeader === false),
+    formatOptions: options.formatOptions || (template && template.formatOptions) || {}
+  };
+}
+
+// Function to create a lazy iterator over the records of a run
+function createRecords(run) {
+  // Fault injection derives its generator from the current seed
+  random.setSeed(run.seed);
+  const runRandom = random.createRandom(run.seed);
+  const { context, injector } = random.withRandom(runRandom, () => ({
+    context: createGenerationContext(run.columns, run.numRecords),
+    injector: run.faults === false ? null : faults.createFaultInjector(run.columns, run.faults, run.numRecords)
+  }));
+
+  return (function* () {
+    for (let i = 0; i < run.numRecords; i++) {
+      yield random.withRandom(runRandom, () => {
+        const record = generateRecord(run.columns, i, context);
+        return injector ? injector.apply(record, i).record : record;
+      });
+    }
+  })();
+}
+
+// Function to write the records of a run to a file path or writable stream in a format
+function writeRecords(run, format, target) {
+  // Prepared before the output is created, so configuration errors leave no partial file
+  const records = createRecords(run);
+  const output = writers.createOutput(format, target, run.columns.map(config => config.header), {
+    includeHeader: run.includeHeader,
+    ...run.formatOptions,
+    columnConfigurations: run.columns
+  });
+  return Promise.all([pipeline(Readable.from(records), output.stream), output.finished]);
+}
+
+// Function to generate records. Returns an array of records; with stream: true an object-mode
+// stream of records; with a format (csv, json, xlsx...) a stream of the formatted file's content.
+function generate(options) {
+  const run = resolveRun(options);
+  if (options.format) {
+    writers.getWriter(options.format);
+    const content = new PassThrough();
+    writeRecords(run, options.format, content).catch(error => content.destroy(error));
+    return content;
+  }
+  if (options.stream) {
+    return Readable.from(createRecords(run));
+  }
+  return Array.from(createRecords(run));
+}
+
+// Function to generate records to a file; the format defaults to the one of the file's extension.
+// Resolves with the number of records and the seed used.
+async function generateFile(options) {
+  if (!options.output) {
+    throw new Error('Pass the output file path as output');
+  }
+  const run = resolveRun(options);
+  const format = options.format || writers.getFormatFromPath(options.output) || 'csv';
+  await writeRecords(run, format, options.output);
+  return { records: run.numRecords, seed: run.seed };
+}
+
+// Function to register a custom generator type (see lib/plugins.js)
+function registerGenerator(type, generator) {
+  if (templates.columnTypes[type]) {
+    throw new Error(`Generator type '${type}' is built in and cannot be replaced`);
+  }
+  plugins.registerGenerator(type, generator);
+}
+
+// Function to load plugin modules. A plugin exports a function that is called with this API,
+// e.g. module.exports = ({ registerGenerator, random }) => { registerGenerator('iban', ...); }.
+// Relative paths are resolved from baseDirectory; other names are looked up as packages.
+function loadPlugins(modules, baseDirectory = process.cwd()) {
+  for (const modulePath of modules) {
+    let plugin;
+    let resolved;
+    try {
+      const request = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+        ? path.resolve(baseDirectory, modulePath)
+        : modulePath;
+      resolved = require.resolve(request, { paths: [baseDirectory] });
+      if (plugins.getPluginModules().includes(resolved)) {
+        continue;
+      }
+      plugin = require(resolved);
+    } catch (error) {
+      throw new Error(`Cannot load plugin ${modulePath}: ${error.message.split('\n')[0]}`);
+    }
+    if (typeof plugin !== 'function') {
+      throw new Error(`Plugin ${modulePath} must export a function`);
+    }
+    plugin(module.exports);
+    plugins.addPluginModule(resolved);
+  }
+}
+
+module.exports = {
+  generate,
+  generateFile,
+  loadTemplate,
+  registerGenerator,
+  registerWriter: writers.registerWriter,
+  loadPlugins,
+  random: randomHelpers
+};
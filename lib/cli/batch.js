@@ -0,0 +1,161 @@
+const fs = require('fs');
+const { setSeed, createSeed } = require('../random');
+const templates = require('../templates');
+const templateStore = require('../template-store');
+const writers = require('../writers');
+const csvDialect = require('../csv-dialect');
+const { maskToFile } = require('../generator');
+const report = require('../report');
+const {
+  resolveOutputFormat,
+  resolveFormatOptions,
+  resolveFaults,
+  resolveSalt,
+  detectTemplateDialect,
+  generateOutput,
+  wantsReport,
+  profileSourceFile,
+  printReport
+} = require('./output');
+
+// Batch mode: a saved template generates (or masks) its file without any prompts,
+// with the command-line options overriding the template's settings.
+
+// Non-interactive generation driven by a saved template
+async function runBatch(options) {
+  const templateConfig = templateStore.findTemplate(options.template);
+
+  if (!templateConfig) {
+    throw new Error(`Template not found: ${options.template}${describeAvailableTemplates()}`);
+  }
+
+  const problems = templates.validateTemplate(templateConfig);
+  if (problems.length > 0) {
+    throw new Error(`Template '${templateConfig.name}' is not valid:\n${templates.formatProblems(problems)}`);
+  }
+  if (templateConfig.mode === 'mask') {
+    await runMaskBatch(templateConfig, options);
+    return;
+  }
+  warnHeaderDrift(templateConfig, options);
+
+  const numRecords = options.records !== null ? options.records : templateConfig.numRecords;
+  const includeHeader = options.includeHeader !== null ? options.includeHeader : templateConfig.includeHeader !== false;
+  const format = resolveOutputFormat(options, templateConfig.format);
+  const formatOptions = resolveFormatOptions(options, templateConfig.formatOptions);
+  const outputFilePath = options.output || `output${writers.getDefaultExtension(format)}`;
+  // Database tables are named after the template unless --table or the template names them
+  if (format === 'sqlite' && !formatOptions.table) {
+    formatOptions.table = templateConfig.name;
+  }
+
+  if (!Number.isInteger(numRecords) || numRecords <= 0) {
+    throw new Error(`Template '${templateConfig.name}' has no valid record count; pass --records N`);
+  }
+
+  // CSV output mirrors the source file's dialect, unless the template or options override it
+  const sourceDialect = format === 'csv' ? detectTemplateDialect(templateConfig, options) : null;
+
+  const seed = options.seed !== null ? options.seed : (templateConfig.seed !== undefined ? templateConfig.seed : createSeed());
+  setSeed(seed);
+
+  console.log(`Using template: ${templateConfig.name}`);
+  console.log(`Seed: ${seed}`);
+
+  const profiler = wantsReport(options) ? report.createProfiler(templateConfig.columnConfigurations.map(config => config.header)) : null;
+  const written = await generateOutput(templateConfig.columnConfigurations, numRecords, outputFilePath, {
+    format,
+    includeHeader,
+    ...formatOptions,
+    csvDialect: { ...sourceDialect, ...formatOptions.csvDialect }
+  }, {
+    faults: resolveFaults(options, templateConfig.faults),
+    faultManifest: options.faultManifest,
+    profiler
+  }, options);
+
+  console.log(`Successfully generated ${numRecords} records to ${written}`);
+  if (profiler) {
+    const sourceProfiler = await profileSourceFile(templateConfig.sourceFile, options);
+    printReport(sourceProfiler, profiler, { source: templateConfig.sourceFile, output: written }, options);
+  }
+}
+
+// Non-interactive masking driven by a saved mask template: every row of the source file is masked
+async function runMaskBatch(templateConfig, options) {
+  if (options.records !== null) {
+    throw new Error('--records cannot be used with a mask template; every source row is masked');
+  }
+  if (options.faults || options.faultManifest) {
+    throw new Error('--faults and --fault-manifest are not available when masking');
+  }
+  if (options.workers || options.rowsPerFile) {
+    throw new Error('--workers and --rows-per-file are not available when masking');
+  }
+  const sourceFilePath = options.sourceFile || templateConfig.sourceFile;
+  if (!sourceFilePath || !fs.existsSync(sourceFilePath)) {
+    throw new Error(`Source file not found: ${sourceFilePath || '(none)'}; pass the CSV file to mask`);
+  }
+  warnHeaderDrift({ ...templateConfig, sourceFile: sourceFilePath }, options);
+
+  const includeHeader = options.includeHeader !== null ? options.includeHeader : templateConfig.includeHeader !== false;
+  const format = resolveOutputFormat(options, templateConfig.format);
+  const formatOptions = resolveFormatOptions(options, templateConfig.formatOptions);
+  const outputFilePath = options.output || `output${writers.getDefaultExtension(format)}`;
+  // Database tables are named after the template unless --table or the template names them
+  if (format === 'sqlite' && !formatOptions.table) {
+    formatOptions.table = templateConfig.name;
+  }
+  const sourceDialect = csvDialect.detectFileDialect(sourceFilePath, options.inputDialect);
+
+  // The seed only affects row-level date shifts and generated columns
+  const seed = options.seed !== null ? options.seed : (templateConfig.seed !== undefined ? templateConfig.seed : createSeed());
+  setSeed(seed);
+
+  console.log(`Using template: ${templateConfig.name}`);
+  console.log(`Seed: ${seed}`);
+
+  const profiler = wantsReport(options) ? report.createProfiler(templateConfig.columnConfigurations.map(config => config.header)) : null;
+  const count = await maskToFile(templateConfig.columnConfigurations, sourceFilePath, outputFilePath, {
+    format,
+    includeHeader,
+    ...formatOptions,
+    csvDialect: format === 'csv' ? { ...sourceDialect, ...formatOptions.csvDialect } : formatOptions.csvDialect
+  }, {
+    salt: resolveSalt(options),
+    dialect: sourceDialect,
+    onRecord: profiler ? record => profiler.add(record) : undefined
+  });
+
+  console.log(`Successfully masked ${count} records from ${sourceFilePath} to ${outputFilePath}`);
+  if (profiler) {
+    const sourceProfiler = await profileSourceFile(sourceFilePath, options);
+    printReport(sourceProfiler, profiler, { source: sourceFilePath, output: outputFilePath }, options);
+  }
+}
+
+// Function to list the names of the available templates for a "not found" error
+function describeAvailableTemplates() {
+  const available = templateStore.loadTemplateEntries().filter(entry => !entry.hidden).map(entry => entry.name);
+  return available.length > 0 ? ` (available templates: ${available.join(', ')})` : ' (no templates saved)';
+}
+
+// Function to warn when a template's source file gained or lost columns since the template was saved
+function warnHeaderDrift(templateConfig, options) {
+  if (!templateConfig.sourceFile || !fs.existsSync(templateConfig.sourceFile)) {
+    return;
+  }
+  const headers = csvDialect.readCsvHeaders(templateConfig.sourceFile, options.inputDialect);
+  const drift = templates.findHeaderDrift(headers, templateConfig.columnConfigurations, templateConfig.sourceColumns);
+  if (drift.added.length > 0) {
+    console.error(`Warning: ${templateConfig.sourceFile} has columns the template does not configure: ${drift.added.join(', ')}`);
+  }
+  if (drift.removed.length > 0) {
+    console.error(`Warning: template columns no longer in ${templateConfig.sourceFile}: ${drift.removed.join(', ')}`);
+  }
+}
+
+module.exports = {
+  runBatch,
+  describeAvailableTemplates
+};
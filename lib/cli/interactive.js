@@ -0,0 +1,857 @@
+const fs = require('fs');
+const inquirer = require('inquirer');
+const { setSeed, createSeed } = require('../random');
+const { inferColumn } = require('../inference');
+const templates = require('../templates');
+const templateStore = require('../template-store');
+const schemaImport = require('../schema-import');
+const faults = require('../faults');
+const masking = require('../masking');
+const writers = require('../writers');
+const csvDialect = require('../csv-dialect');
+const { maskToFile } = require('../generator');
+const report = require('../report');
+const {
+  resolveFormatOptions,
+  resolveFaults,
+  resolveSalt,
+  generateOutput,
+  wantsReport,
+  printReport
+} = require('./output');
+const {
+  getGenerationTypeName,
+  configureColumn,
+  configureMaskColumn,
+  promptRowGroups,
+  promptColumnNames,
+  promptFaults,
+  promptCsvDialect
+} = require('./prompts');
+const { previewColumns } = require('./preview');
+
+// Interactive mode: the columns come from a saved template, a source CSV file, a schema
+// file or names entered by the user, and are configured, previewed and written with prompts.
+// The configuration can then be saved as a template.
+
+// Function to save a configuration as a template file in the project or user templates directory
+function saveConfiguration(name, sourceFile, columnConfigurations, numRecords, includeHeader, seed, output, scope) {
+  try {
+    // Create a new template or replace the one with the same name
+    const newTemplate = {
+      version: templates.CURRENT_VERSION,
+      name,
+      // Mask templates transform the rows of their source file instead of generating rows
+      mode: output && output.mode === 'mask' ? 'mask' : undefined,
+      // Columns defined from a schema or from scratch have no source file
+      sourceFile: sourceFile || undefined,
+      columnConfigurations,
+      numRecords,
+      includeHeader,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Only store a seed when one was chosen, so the template stays random otherwise
+    if (seed !== undefined && seed !== null) {
+      newTemplate.seed = seed;
+    }
+    
+    // Output format and its settings (e.g. SQL table name and dialect)
+    if (output && output.format) {
+      newTemplate.format = output.format;
+      if (output.formatOptions && Object.keys(output.formatOptions).length > 0) {
+        newTemplate.formatOptions = output.formatOptions;
+      }
+    }
+    
+    // File-wide fault injection settings (column faults are stored on the columns)
+    if (output && output.faults && Object.keys(output.faults).length > 0) {
+      newTemplate.faults = output.faults;
+    }
+    
+    // The source file's columns, to tell changes to the file from columns renamed, dropped or added in the preview
+    if (sourceFile && output && output.sourceColumns) {
+      newTemplate.sourceColumns = output.sourceColumns;
+    }
+    
+    const file = templateStore.saveTemplate(newTemplate, scope);
+    console.log(`Configuration '${name}' saved to ${file}`);
+    
+    return true;
+  } catch (error) {
+    console.error('Error saving configuration:', error.message);
+    return false;
+  }
+}
+
+// Function to bring a template's columns in line with a source file that gained or lost columns.
+// Updates columnConfigurations in place and returns whether anything changed.
+// configure(header) configures a new column; by default its generator is inferred from the records.
+async function resolveHeaderDrift(drift, headers, records, columnConfigurations, configure) {
+  let changed = false;
+  
+  if (drift.removed.length > 0) {
+    console.log(`\nTemplate columns no longer in the source file: ${drift.removed.join(', ')}`);
+    const dropAnswer = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'columns',
+        message: 'Select columns to drop from the template:',
+        choices: drift.removed.map(h => ({ name: h, value: h, checked: true }))
+      }
+    ]);
+    
+    for (const header of dropAnswer.columns) {
+      columnConfigurations.splice(columnConfigurations.findIndex(c => c.header === header), 1);
+      changed = true;
+    }
+  }
+  
+  if (drift.added.length > 0) {
+    console.log(`\nNew columns in the source file: ${drift.added.join(', ')}`);
+    const addAnswer = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'columns',
+        message: 'Select new columns to configure:',
+        choices: drift.added.map(h => ({ name: h, value: h, checked: true }))
+      }
+    ]);
+    
+    for (const header of addAnswer.columns) {
+      console.log(`\nColumn: ${header}`);
+      const config = configure
+        ? await configure(header)
+        : await configureColumn(header, records, inferColumn(header, records.map(r => r[header])));
+      
+      // Keep the source file's order: place the column after the nearest configured column before it
+      const previous = headers.slice(0, headers.indexOf(header)).reverse()
+        .find(h => columnConfigurations.some(c => c.header === h));
+      const index = previous === undefined ? 0 : columnConfigurations.findIndex(c => c.header === previous) + 1;
+      columnConfigurations.splice(index, 0, config);
+      changed = true;
+    }
+  }
+  
+  return changed;
+}
+
+// Interactive generation (or masking), asking for everything not given on the command line
+async function runInteractive(options) {
+  try {
+    // Check for saved templates (those hidden by a template of the same name are not offered)
+    const templateEntries = templateStore.loadTemplateEntries().filter(entry => !entry.hidden);
+    let useTemplate = false;
+    let templateConfig = null;
+    let templateEntry = null;
+    
+    if (templateEntries.length > 0) {
+      // Templates with problems are listed but cannot be chosen
+      const problemsByTemplate = new Map(templateEntries.map(entry => [
+        entry,
+        entry.error ? [entry.error] : templates.validateTemplate(entry.template)
+      ]));
+      for (const [entry, problems] of problemsByTemplate) {
+        if (problems.length > 0) {
+          console.log(`Template '${entry.name}' cannot be used:\n${templates.formatProblems(problems)}`);
+        }
+      }
+      
+      // Ask if user wants to use a saved template
+      const templateAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'choice',
+          message: 'Do you want to use a saved template or create a new configuration?',
+          choices: [
+            { name: 'Create new configuration', value: 'new' },
+            ...templateEntries.map(entry => ({
+              name: `Template: ${entry.name} (${entry.template ? entry.template.sourceFile || 'no source file' : entry.file})`,
+              value: entry.name,
+              disabled: problemsByTemplate.get(entry).length > 0 ? 'invalid' : false
+            }))
+          ]
+        }
+      ]);
+      
+      if (templateAnswer.choice !== 'new') {
+        useTemplate = true;
+        templateEntry = templateEntries.find(entry => entry.name === templateAnswer.choice);
+        templateConfig = templateEntry.template;
+        console.log(`Using template: ${templateConfig.name}`);
+      }
+    }
+    
+    // Get the columns - from a source CSV file (from the template, a command-line argument or asked for),
+    // from a schema file (JSON Schema or SQL CREATE TABLE), or from names entered by the user
+    let sourceFilePath = null;
+    let schemaFilePath = null;
+    let records = [];
+    let headers;
+    // Suggested generators for columns without sample data
+    let schemaSuggestions = null;
+    let sourceDialect = csvDialect.normaliseDialect({});
+    
+    if (useTemplate) {
+      sourceFilePath = templateConfig.sourceFile || null;
+      if (sourceFilePath) {
+        console.log(`Using source file from template: ${sourceFilePath}`);
+      } else {
+        // Templates defined from a schema have no sample data
+        headers = templateConfig.columnConfigurations.map(config => config.header);
+      }
+    } else if (options.sourceFile) {
+      if (schemaImport.isSchemaFile(options.sourceFile)) {
+        schemaFilePath = options.sourceFile;
+        console.log(`Using schema file from command-line argument: ${schemaFilePath}`);
+      } else {
+        sourceFilePath = options.sourceFile;
+        console.log(`Using source CSV file from command-line argument: ${sourceFilePath}`);
+      }
+    } else {
+      // Ask where the columns come from if no file was given as argument
+      const originAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'origin',
+          message: 'Where do the columns come from?',
+          choices: [
+            { name: 'A source CSV file (with sample data or only a header row)', value: 'csv' },
+            { name: 'A JSON Schema document (.json)', value: 'schema' },
+            { name: 'SQL CREATE TABLE statements (.sql)', value: 'schema' },
+            { name: 'Define the columns from scratch', value: 'scratch' }
+          ],
+          default: 0
+        }
+      ]);
+      
+      if (originAnswer.origin === 'scratch') {
+        headers = await promptColumnNames();
+        schemaSuggestions = headers.map(schemaImport.suggestFromHeader);
+      } else {
+        const fileAnswer = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'sourcePath',
+            message: originAnswer.origin === 'csv' ? 'Enter path to source CSV file:' : 'Enter path to schema file:',
+            validate: function(input) {
+              if (!fs.existsSync(input)) {
+                return 'File not found. Please enter a valid file path.';
+              }
+              return true;
+            }
+          }
+        ]);
+        if (originAnswer.origin === 'csv') {
+          sourceFilePath = fileAnswer.sourcePath;
+        } else {
+          schemaFilePath = fileAnswer.sourcePath;
+        }
+      }
+    }
+    
+    const filePath = sourceFilePath || schemaFilePath;
+    if (filePath && !fs.existsSync(filePath)) {
+      console.error(`File not found: ${filePath}`);
+      process.exit(1);
+    }
+
+    if (sourceFilePath) {
+      // Read and parse the source CSV, detecting its delimiter, quoting and encoding
+      const source = csvDialect.readCsvFile(sourceFilePath, options.inputDialect);
+      records = source.records;
+      sourceDialect = source.dialect;
+      console.log(`Source CSV dialect: ${csvDialect.describeDialect(sourceDialect)}`);
+      
+      if (records.length > 0) {
+        // Get headers from the first record
+        headers = Object.keys(records[0]);
+      } else {
+        // A file with only a header row names the columns without sample data
+        headers = csvDialect.readCsvHeaders(sourceFilePath, options.inputDialect).filter(header => header !== '');
+        if (headers.length === 0) {
+          console.error('Source CSV file is empty or could not be parsed');
+          process.exit(1);
+        }
+        console.log('Source CSV file has no data rows; generators are suggested from the column names.');
+        schemaSuggestions = headers.map(schemaImport.suggestFromHeader);
+      }
+    } else if (schemaFilePath) {
+      const tables = schemaImport.readSchemaFile(schemaFilePath);
+      let table = tables[0];
+      if (tables.length > 1) {
+        const tableAnswer = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'table',
+            message: 'Choose the table to generate:',
+            choices: tables.map(t => ({ name: `${t.name} (${t.columns.length} columns)`, value: t }))
+          }
+        ]);
+        table = tableAnswer.table;
+      }
+      console.log(`Using the columns of ${table.name} from ${schemaFilePath}`);
+      headers = table.columns.map(suggestion => suggestion.config.header);
+      schemaSuggestions = table.columns;
+    }
+    
+    // A source file with data rows can also be masked: every row copied with its sensitive columns transformed
+    let maskMode = useTemplate && templateConfig.mode === 'mask';
+    if (!useTemplate && sourceFilePath && records.length > 0) {
+      const modeAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'mode',
+          message: 'What do you want to do with the source file?',
+          choices: [
+            { name: 'Generate new test data like it', value: 'generate' },
+            { name: 'Mask a copy of it (hash, scramble, pseudonymize... sensitive columns)', value: 'mask' }
+          ],
+          default: 0 // Default to generating
+        }
+      ]);
+      maskMode = modeAnswer.mode === 'mask';
+    }
+    // New columns of a mask template are masked too
+    const configureNewColumn = maskMode
+      ? header => configureMaskColumn(header, records, masking.suggestTransform(header, records.map(r => r[header])), headers)
+      : null;
+    
+    // Initialize column configurations
+    let columnConfigurations = [];
+    let numRecords;
+    let includeHeader;
+    let fileFaults;
+    let templateChanged = false;
+    
+    if (useTemplate) {
+      // Use configurations from template
+      columnConfigurations = [...templateConfig.columnConfigurations];
+      numRecords = options.records !== null ? options.records : templateConfig.numRecords;
+      includeHeader = options.includeHeader !== null ? options.includeHeader : templateConfig.includeHeader;
+      fileFaults = templateConfig.faults;
+      
+      // The source file may have gained or lost columns since the template was saved
+      const drift = templates.findHeaderDrift(headers, columnConfigurations, templateConfig.sourceColumns);
+      if (drift.added.length > 0 || drift.removed.length > 0) {
+        templateChanged = await resolveHeaderDrift(drift, headers, records, columnConfigurations, configureNewColumn);
+      }
+      
+      // Ask if user wants to edit any column configurations
+      const editAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'edit',
+          message: 'Do you want to edit any column configurations?',
+          choices: [
+            { name: 'No', value: false },
+            { name: 'Yes', value: true }
+          ],
+          default: 0 // Default to "No"
+        }
+      ]);
+      
+      if (editAnswer.edit) {
+        // Let user select which columns to edit
+        const columnsToEdit = await inquirer.prompt([
+          {
+            type: 'checkbox',
+            name: 'columns',
+            message: 'Select columns to edit:',
+            // The template's columns, which may have been renamed or added in the preview
+            choices: columnConfigurations.map(c => ({ name: c.header, value: c.header }))
+          }
+        ]);
+        
+        // Edit selected columns, keeping their place in the output
+        for (const header of columnsToEdit.columns) {
+          const columnIndex = columnConfigurations.findIndex(c => c.header === header);
+          const config = configureNewColumn
+            ? await configureNewColumn(header)
+            : await configureColumn(header, records, inferColumn(header, records.map(r => r[header])));
+          columnConfigurations.splice(columnIndex, 1, config);
+        }
+      }
+    } else if (maskMode) {
+      // Suggest a transform for every column based on its name and source values
+      const suggestions = headers.map(header => masking.suggestTransform(header, records.map(record => record[header])));
+      
+      console.log('\nSuggested transforms:');
+      for (const suggestion of suggestions) {
+        console.log(`  ${suggestion.config.header}: ${masking.getTransformName(suggestion.config.transform)} - ${suggestion.description}`);
+      }
+      
+      const suggestionAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'acceptAll',
+          message: 'How do you want to mask the columns?',
+          choices: [
+            { name: 'Accept all suggestions', value: true },
+            { name: 'Review each column', value: false }
+          ],
+          default: 0 // Default to accepting the suggestions
+        }
+      ]);
+      
+      if (suggestionAnswer.acceptAll) {
+        columnConfigurations = suggestions.map(suggestion => suggestion.config);
+      } else {
+        for (const suggestion of suggestions) {
+          const header = suggestion.config.header;
+          console.log(`\nColumn: ${header}`);
+          console.log(`Sample values: ${records.slice(0, 5).map(record => record[header]).join(', ')}`);
+          console.log(`Suggested: ${masking.getTransformName(suggestion.config.transform)} (${suggestion.description})`);
+          columnConfigurations.push(await configureMaskColumn(header, records, suggestion, headers));
+        }
+      }
+      
+      if (options.includeHeader !== null) {
+        includeHeader = options.includeHeader;
+      } else {
+        const headerAnswer = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'includeHeader',
+            message: 'Include header row?',
+            choices: [
+              { name: 'Yes', value: true },
+              { name: 'No', value: false }
+            ],
+            default: 0 // Default to "Yes"
+          }
+        ]);
+        includeHeader = headerAnswer.includeHeader;
+      }
+    } else {
+      // Suggest a generator for every column based on its source values or its schema definition
+      const suggestions = schemaSuggestions || headers.map(header => inferColumn(header, records.map(record => record[header])));
+      
+      console.log('\nSuggested generators:');
+      for (const suggestion of suggestions) {
+        console.log(`  ${suggestion.config.header}: ${getGenerationTypeName(suggestion.generationType)} - ${suggestion.description}`);
+      }
+      
+      const suggestionAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'acceptAll',
+          message: 'How do you want to configure the columns?',
+          choices: [
+            { name: 'Accept all suggestions', value: true },
+            { name: 'Review each column', value: false }
+          ],
+          default: 0 // Default to accepting the suggestions
+        }
+      ]);
+      
+      if (suggestionAnswer.acceptAll) {
+        columnConfigurations = suggestions.map(suggestion => suggestion.config);
+      } else {
+        // Show some sample values for each column and configure from scratch
+        for (const suggestion of suggestions) {
+          const header = suggestion.config.header;
+          console.log(`\nColumn: ${header}`);
+          
+          // Get sample values
+          if (records.length > 0) {
+            const sampleValues = records.slice(0, 5).map(record => record[header]);
+            console.log(`Sample values: ${sampleValues.join(', ')}`);
+          }
+          console.log(`Suggested: ${getGenerationTypeName(suggestion.generationType)} (${suggestion.description})`);
+          
+          // Configure this column
+          const config = await configureColumn(header, records, suggestion);
+          columnConfigurations.push(config);
+        }
+      }
+      
+      // Columns that belong together (e.g. city and postal code) can be sampled as whole source rows
+      if (records.length > 0 && headers.length >= 2) {
+        await promptRowGroups(headers, records, columnConfigurations);
+      }
+      
+      if (options.records !== null) {
+        numRecords = options.records;
+      } else {
+        // Ask for number of records to generate using a list for better selection
+        const recordOptions = [100, 500, 1000, 2000, 5000, 10000];
+        const recordsAnswer = await inquirer.prompt([
+          {
+            type: 'list', 
+            name: 'numRecords',
+            message: 'How many records to generate?',
+            choices: [
+              ...recordOptions.map(num => ({ name: `${num} records`, value: num })),
+              { name: 'Custom number', value: 'custom' }
+            ],
+            default: 1 // Default to 500 records
+          }
+        ]);
+      
+        if (recordsAnswer.numRecords === 'custom') {
+          const customAnswer = await inquirer.prompt([
+            {
+              type: 'input',
+              name: 'customRecords',
+              message: 'Enter custom number of records:',
+              validate: function(input) {
+                const num = parseInt(input);
+                if (isNaN(num) || num <= 0) {
+                  return 'Please enter a valid positive number';
+                }
+                return true;
+              },
+              filter: input => parseInt(input)
+            }
+          ]);
+          numRecords = customAnswer.customRecords;
+        } else {
+          numRecords = recordsAnswer.numRecords;
+        }
+      }
+      
+      if (options.includeHeader !== null) {
+        includeHeader = options.includeHeader;
+      } else {
+        // Ask for header inclusion
+        const headerAnswer = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'includeHeader',
+            message: 'Include header row?',
+            choices: [
+              { name: 'Yes', value: true },
+              { name: 'No', value: false }
+            ],
+            default: 0 // Default to "Yes"
+          }
+        ]);
+        includeHeader = headerAnswer.includeHeader;
+      }
+      
+      // Dirty data on purpose, for testing how importers handle bad input
+      if (!options.faults && !options.noFaults) {
+        const faultAnswer = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'inject',
+            message: 'Do you want to inject faults (nulls, whitespace, bad dates...) for negative testing?',
+            choices: [
+              { name: 'No', value: false },
+              { name: 'Yes', value: true }
+            ],
+            default: 0 // Default to "No"
+          }
+        ]);
+        if (faultAnswer.inject) {
+          fileFaults = await promptFaults(columnConfigurations);
+        }
+      }
+    }
+    // Faults are for generated files; a masked file keeps the source rows as they are
+    const runFaults = maskMode ? false : resolveFaults(options, fileFaults);
+    
+    // The salt is asked for rather than saved, so a template alone cannot reverse the masking
+    let salt = resolveSalt(options);
+    if (maskMode && !salt && masking.needsSalt(columnConfigurations)) {
+      const saltAnswer = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'salt',
+          message: 'Enter the masking salt (use the same salt to mask related files alike):',
+          mask: '*',
+          validate: input => input !== '' || 'The salt cannot be empty'
+        }
+      ]);
+      salt = saltAnswer.salt;
+    }
+    
+    // Seed the random generator so the run can be reproduced
+    let seed = options.seed;
+    if (seed === null && useTemplate && templateConfig.seed !== undefined) {
+      seed = templateConfig.seed;
+    }
+    let runSeed = seed !== null ? seed : createSeed();
+    
+    // Show the first generated rows, and let the columns be changed until they look right
+    if (!maskMode && !columnConfigurations.some(config => config.type === 'foreignKey')) {
+      const preview = await previewColumns(columnConfigurations, records, numRecords, runFaults, runSeed);
+      if (!preview) {
+        console.log('Nothing was written.');
+        return;
+      }
+      columnConfigurations = preview.columnConfigurations;
+      templateChanged = templateChanged || preview.changed;
+      if (preview.seed !== runSeed) {
+        runSeed = preview.seed;
+        // A seed that was chosen is replaced by the one the preview was generated with
+        if (seed !== null) {
+          seed = runSeed;
+        }
+      }
+    }
+    setSeed(runSeed);
+    console.log(`Seed: ${runSeed} (use --seed ${runSeed} to reproduce this file)`);
+    
+    // Choose output format, unless given by --format, the output file extension or the template
+    let format = options.format || writers.getFormatFromPath(options.output) || (useTemplate ? templateConfig.format : null);
+    const formatOptions = resolveFormatOptions(options, useTemplate ? templateConfig.formatOptions : null);
+    if (!format) {
+      const formatAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'format',
+          message: 'Choose output format:',
+          choices: writers.getFormatChoices(),
+          default: 'csv'
+        }
+      ]);
+      format = formatAnswer.format;
+    }
+    
+    // Create output file
+    let outputFilePath = options.output;
+    if (!outputFilePath) {
+      const outputAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'outputFilePath',
+          message: 'Enter path for output file:',
+          default: `output${writers.getDefaultExtension(format)}`
+        }
+      ]);
+      outputFilePath = outputAnswer.outputFilePath;
+    }
+    
+    // A manifest of the injected faults lets tests assert on the mutated rows and cells
+    let faultManifest = options.faultManifest;
+    if (!faultManifest && runFaults !== false && faults.hasFaults(columnConfigurations, runFaults)) {
+      const manifestAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'write',
+          message: 'Do you want to write a manifest listing the mutated rows and cells?',
+          choices: [
+            { name: 'Yes', value: true },
+            { name: 'No', value: false }
+          ],
+          default: 0 // Default to "Yes"
+        },
+        {
+          type: 'input',
+          name: 'path',
+          message: 'Enter path for the manifest file:',
+          default: `${outputFilePath}.faults.json`,
+          when: answers => answers.write
+        }
+      ]);
+      faultManifest = manifestAnswer.write ? manifestAnswer.path : null;
+    }
+    
+    // SQL output needs a table name and dialect, SQLite output a table name
+    if ((format === 'sql' && (!formatOptions.table || !formatOptions.dialect)) || (format === 'sqlite' && !formatOptions.table)) {
+      const sqlAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'table',
+          message: 'Enter table name:',
+          default: writers.getWriter('sql').getDefaultTableName(outputFilePath),
+          when: () => !formatOptions.table
+        },
+        {
+          type: 'list',
+          name: 'dialect',
+          message: 'Choose SQL dialect:',
+          choices: writers.getWriter('sql').dialects,
+          default: 0,
+          when: () => format === 'sql' && !formatOptions.dialect
+        }
+      ]);
+      Object.assign(formatOptions, sqlAnswer);
+    }
+    
+    // CSV output mirrors the source dialect unless customised here, by options or in the template
+    if (format === 'csv' && !useTemplate && !formatOptions.csvDialect) {
+      const dialectAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'customize',
+          message: 'Output CSV dialect:',
+          choices: [
+            {
+              name: `${sourceFilePath ? 'Same as source file' : 'Default'} (${csvDialect.describeDialect(sourceDialect)})`,
+              value: false
+            },
+            { name: 'Customize delimiter, quoting, encoding...', value: true }
+          ],
+          default: 0
+        }
+      ]);
+      if (dialectAnswer.customize) {
+        formatOptions.csvDialect = await promptCsvDialect(sourceDialect);
+      }
+    }
+    
+    // A report compares the statistics of the output with those of the source file
+    let showReport = wantsReport(options);
+    if (!showReport && records.length > 0 && !columnConfigurations.some(config => config.type === 'foreignKey')) {
+      const reportAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'report',
+          message: 'Do you want a report comparing the output with the source file?',
+          choices: [
+            { name: 'Yes', value: true },
+            { name: 'No', value: false }
+          ],
+          default: 1 // Default to "No"
+        }
+      ]);
+      showReport = reportAnswer.report;
+    }
+    const profiler = showReport ? report.createProfiler(columnConfigurations.map(config => config.header)) : null;
+    
+    // Generate the test data (or mask the source file) and write it to the output file
+    let written = null;
+    if (maskMode) {
+      if (options.workers || options.rowsPerFile) {
+        console.error('Warning: --workers and --rows-per-file are ignored when masking');
+      }
+      const count = await maskToFile(columnConfigurations, sourceFilePath, outputFilePath, {
+        format,
+        includeHeader,
+        ...formatOptions,
+        csvDialect: { ...sourceDialect, ...formatOptions.csvDialect }
+      }, {
+        salt,
+        dialect: sourceDialect,
+        onRecord: profiler ? record => profiler.add(record) : undefined
+      });
+      
+      console.log(`Successfully masked ${count} records to ${outputFilePath}`);
+      written = outputFilePath;
+    } else if (columnConfigurations.some(config => config.type === 'foreignKey')) {
+      // Foreign keys need the keys of their parent table, which only exist in a project run
+      console.log('Foreign key columns are generated together with their parent tables.');
+      console.log('Save this configuration as a template, add it to a project in config.json and run it with --project.');
+    } else {
+      written = await generateOutput(columnConfigurations, numRecords, outputFilePath, {
+        format,
+        includeHeader,
+        ...formatOptions,
+        csvDialect: { ...sourceDialect, ...formatOptions.csvDialect }
+      }, {
+        faults: runFaults,
+        faultManifest,
+        profiler
+      }, options);
+      
+      console.log(`Successfully generated ${numRecords} records to ${written}`);
+    }
+    
+    if (profiler && written) {
+      // The source records are already in memory
+      const sourceProfiler = records.length > 0 ? report.createProfiler(Object.keys(records[0])) : null;
+      records.forEach(record => sourceProfiler.add(record));
+      printReport(sourceProfiler, profiler, { source: sourceFilePath, output: written }, options);
+    }
+
+    // Offer to keep the columns added or dropped for the changed source file
+    if (useTemplate && templateChanged) {
+      const updateAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'update',
+          message: `Do you want to save the updated columns to template '${templateConfig.name}'?`,
+          choices: [
+            { name: 'Yes', value: true },
+            { name: 'No', value: false }
+          ],
+          default: 0 // Default to "Yes"
+        }
+      ]);
+      
+      if (updateAnswer.update) {
+        saveConfiguration(
+          templateConfig.name,
+          sourceFilePath,
+          columnConfigurations,
+          templateConfig.numRecords,
+          templateConfig.includeHeader,
+          templateConfig.seed,
+          {
+            mode: templateConfig.mode,
+            format: templateConfig.format,
+            formatOptions: templateConfig.formatOptions,
+            faults: templateConfig.faults,
+            sourceColumns: sourceFilePath ? headers : undefined
+          },
+          // Templates from config.json are saved as files from now on
+          templateEntry.scope === 'config' ? 'project' : templateEntry.scope
+        );
+      }
+    }
+
+    // Ask if user wants to save this configuration as a template
+    if (!useTemplate) {
+      const saveAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'save',
+          message: 'Do you want to save this configuration as a template for future use?',
+          choices: [
+            { name: 'Yes', value: true },
+            { name: 'No', value: false }
+          ],
+          default: 0 // Default to "Yes"
+        }
+      ]);
+      
+      if (saveAnswer.save) {
+        const [projectLocation, userLocation] = templateStore.getTemplateLocations();
+        const nameAnswer = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'templateName',
+            message: 'Enter a name for this template:',
+            validate: function(input) {
+              if (!input.trim()) {
+                return 'Name cannot be empty';
+              }
+              return true;
+            }
+          },
+          {
+            type: 'list',
+            name: 'scope',
+            message: 'Where do you want to save the template?',
+            choices: [
+              { name: `Project templates (${projectLocation.directory})`, value: 'project' },
+              { name: `Personal templates (${userLocation.directory})`, value: 'user' }
+            ],
+            default: 0 // Default to the project's templates, which can be shared through git
+          }
+        ]);
+        
+        saveConfiguration(
+          nameAnswer.templateName.trim(),
+          sourceFilePath,
+          columnConfigurations,
+          numRecords,
+          includeHeader,
+          seed !== null ? seed : undefined,
+          { mode: maskMode ? 'mask' : undefined, format, formatOptions, faults: runFaults || undefined, sourceColumns: headers },
+          nameAnswer.scope
+        );
+      }
+    }
+
+  } catch (error) {
+    console.error('An error occurred:', error);
+  }
+}
+
+module.exports = {
+  runInteractive
+};
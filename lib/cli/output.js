@@ -0,0 +1,130 @@
+const fs = require('fs');
+const schemaImport = require('../schema-import');
+const writers = require('../writers');
+const csvDialect = require('../csv-dialect');
+const { generateToFile } = require('../generator');
+const parallel = require('../parallel');
+const report = require('../report');
+
+// Settings and output shared by the command-line runs (batch, project and interactive):
+// command-line options merged with a template's settings, writing the generated file,
+// and printing the report.
+
+// Function to decide the output format: --format, then the output file extension, then the template, then CSV
+function resolveOutputFormat(options, savedFormat) {
+  return options.format || writers.getFormatFromPath(options.output) || savedFormat || 'csv';
+}
+
+// Function to merge saved writer settings with command-line overrides
+function resolveFormatOptions(options, savedFormatOptions) {
+  const formatOptions = { ...(savedFormatOptions || {}) };
+  if (options.table) {
+    formatOptions.table = options.table;
+  }
+  if (options.dialect) {
+    formatOptions.dialect = options.dialect;
+  }
+  if (Object.keys(options.csvDialect).length > 0) {
+    formatOptions.csvDialect = { ...formatOptions.csvDialect, ...options.csvDialect };
+  }
+  return formatOptions;
+}
+
+// Function to merge saved fault settings with --faults; --no-faults turns off all faults
+function resolveFaults(options, savedFaults) {
+  if (options.noFaults) {
+    return false;
+  }
+  return options.faults ? { ...(savedFaults || {}), ...options.faults } : savedFaults;
+}
+
+// Function to get the masking salt: --salt, then the TEST_FILE_GENERATOR_SALT environment variable.
+// The salt is never saved in templates, so masked files cannot be reversed from a template alone.
+function resolveSalt(options) {
+  return options.salt || process.env.TEST_FILE_GENERATOR_SALT || null;
+}
+
+// Function to detect the dialect of a template's source file, if it is still there
+function detectTemplateDialect(templateConfig, options) {
+  if (templateConfig && templateConfig.sourceFile && fs.existsSync(templateConfig.sourceFile)) {
+    return csvDialect.detectFileDialect(templateConfig.sourceFile, options.inputDialect);
+  }
+  return null;
+}
+
+// Function to generate to the output file, or in worker threads with --workers or --rows-per-file.
+// Returns the file, or the range of shard files, written.
+// hooks.profiler, when given, collects the statistics of the written records for the report.
+async function generateOutput(columnConfigurations, numRecords, outputFilePath, outputOptions, hooks, options) {
+  if (!options.workers && !options.rowsPerFile) {
+    const { profiler, ...fileHooks } = hooks;
+    await generateToFile(columnConfigurations, numRecords, outputFilePath, outputOptions, {
+      ...fileHooks,
+      onRecord: profiler ? record => profiler.add(record) : undefined
+    });
+    return outputFilePath;
+  }
+  const files = await parallel.generateInWorkers(columnConfigurations, numRecords, outputFilePath, outputOptions, {
+    ...hooks,
+    workers: options.workers,
+    rowsPerFile: options.rowsPerFile
+  });
+  return files.length === 1 ? files[0] : `${files.length} files (${files[0]} ... ${files[files.length - 1]})`;
+}
+
+// Function to check whether a report of the output was asked for
+function wantsReport(options) {
+  return Boolean(options.report || options.reportHtml || options.reportJson);
+}
+
+// Function to profile a template's source file for the report; null when it is gone or has no rows
+async function profileSourceFile(sourceFilePath, options) {
+  if (!sourceFilePath || !fs.existsSync(sourceFilePath) || schemaImport.isSchemaFile(sourceFilePath)) {
+    return null;
+  }
+  const profiler = await report.profileCsvFile(sourceFilePath, csvDialect.detectFileDialect(sourceFilePath, options.inputDialect));
+  return [...profiler.states.values()].some(state => state.count > 0) ? profiler : null;
+}
+
+// Function to print the report comparing the output with the source file, and write it
+// to the files given with --report-html and --report-json
+function printReport(sourceProfiler, outputProfiler, files, options) {
+  const result = report.createReport(sourceProfiler, outputProfiler, files);
+  const { rows, mismatches } = report.formatReportTable(result);
+
+  console.log('');
+  console.log(sourceProfiler ? `Report: ${files.output} compared with ${files.source}` : `Report: ${files.output}`);
+  printTable(rows);
+  if (mismatches.length > 0) {
+    console.log('Mismatches:');
+    mismatches.forEach(mismatch => console.log(`  ! ${mismatch}`));
+  } else if (sourceProfiler) {
+    console.log('No mismatches between the source and the output.');
+  }
+
+  report.writeReportFiles(result, { html: options.reportHtml, json: options.reportJson });
+  for (const file of [options.reportHtml, options.reportJson].filter(Boolean)) {
+    console.log(`Report written to ${file}`);
+  }
+}
+
+// Function to print rows as a table with padded columns
+function printTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  for (const row of rows) {
+    console.log('  ' + row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+  }
+}
+
+module.exports = {
+  resolveOutputFormat,
+  resolveFormatOptions,
+  resolveFaults,
+  resolveSalt,
+  detectTemplateDialect,
+  generateOutput,
+  wantsReport,
+  profileSourceFile,
+  printReport,
+  printTable
+};
@@ -0,0 +1,217 @@
+const inquirer = require('inquirer');
+const { createSeed } = require('../random');
+const schemaImport = require('../schema-import');
+const api = require('../api');
+const { createDecimalFormatter } = require('../writers/text');
+const { printTable } = require('./output');
+const { getGenerationTypeName, configureColumn } = require('./prompts');
+
+// The preview of an interactive run: the first generated rows, with the columns changed
+// until they look right before the file is written.
+
+// Rows shown in the preview of the generated records
+const PREVIEW_ROWS = 20;
+
+// Function to generate the first rows of a run for the preview, as the file will have them
+async function generatePreviewRows(columnConfigurations, numRecords, runFaults, seed) {
+  const rows = [];
+  for await (const record of api.generate({ columns: columnConfigurations, records: numRecords, seed, faults: runFaults, stream: true })) {
+    rows.push(record);
+    if (rows.length >= PREVIEW_ROWS) {
+      break;
+    }
+  }
+  return rows;
+}
+
+// Function to format a generated value of a column as a preview table cell; decimals are shown
+// with all their places, as CSV files have them
+function formatPreviewValue(value, config) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(createDecimalFormatter([config])(value, config.header));
+  // Values with surrounding or special whitespace are quoted, so they stay visible
+  const shown = text.trim() !== text || /[\r\n\t]/.test(text) ? JSON.stringify(text) : text;
+  return shown.length > 24 ? shown.slice(0, 21) + '...' : shown;
+}
+
+// Function to show the first rows the columns generate and let the user change the columns until
+// they look right: reconfigure, add, rename, move or drop columns, or try another seed.
+// Resolves with the columns and seed to generate the file with and whether the columns changed,
+// or null when the user cancels.
+async function previewColumns(columnConfigurations, records, numRecords, runFaults, seed) {
+  let columns = columnConfigurations;
+  let changed = false;
+  let rows = null;
+  // Columns renamed here still take their sample values from the source column
+  const sourceNames = new Map();
+  const toOutputNames = record => {
+    const renamedFrom = new Set(sourceNames.values());
+    const renamed = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (!renamedFrom.has(key)) {
+        renamed[key] = value;
+      }
+    }
+    for (const [to, from] of sourceNames) {
+      renamed[to] = record[from];
+    }
+    return renamed;
+  };
+  const headerChoices = () => columns.map(config => ({ name: `${config.header} (${getGenerationTypeName(config.type)})`, value: config }));
+  
+  try {
+    rows = await generatePreviewRows(columns, numRecords, runFaults, seed);
+  } catch (error) {
+    console.error(`Cannot preview the records: ${error.message}`);
+  }
+  
+  while (true) {
+    if (rows) {
+      console.log(`\nPreview of the first ${rows.length} of ${numRecords} records (seed ${seed}):`);
+      printTable([
+        columns.map(config => config.header),
+        ...rows.map(record => columns.map(config => formatPreviewValue(record[config.header], config)))
+      ]);
+    }
+    
+    const actionAnswer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What do you want to do?',
+        choices: [
+          { name: `Generate the ${numRecords} records`, value: 'generate' },
+          { name: 'Reconfigure a column', value: 'reconfigure' },
+          { name: 'Regenerate the preview with another seed', value: 'regenerate' },
+          { name: 'Rename a column', value: 'rename' },
+          { name: 'Move a column', value: 'move' },
+          { name: 'Drop a column', value: 'drop' },
+          { name: 'Add a column', value: 'add' },
+          { name: 'Cancel without writing a file', value: 'cancel' }
+        ],
+        pageSize: 8,
+        default: 0 // Default to generating
+      }
+    ]);
+    
+    let next = columns;
+    let nextSeed = seed;
+    let renamed = null;
+    switch (actionAnswer.action) {
+      case 'generate':
+        return { columnConfigurations: columns, seed, changed };
+      case 'cancel':
+        return null;
+      case 'regenerate':
+        nextSeed = createSeed();
+        break;
+      case 'reconfigure': {
+        const columnAnswer = await inquirer.prompt([
+          { type: 'list', name: 'config', message: 'Choose the column to reconfigure:', choices: headerChoices() }
+        ]);
+        const header = columnAnswer.config.header;
+        // Source columns are configured with their source values, other columns with the preview's
+        const fromSource = records.length > 0 && (sourceNames.get(header) || header) in records[0];
+        const sample = fromSource ? records.map(toOutputNames) : (rows || []);
+        // The column's current settings are the defaults
+        const config = await configureColumn(header, sample, { generationType: columnAnswer.config.type, config: columnAnswer.config });
+        next = columns.map(c => (c === columnAnswer.config ? config : c));
+        break;
+      }
+      case 'rename': {
+        const renameAnswer = await inquirer.prompt([
+          { type: 'list', name: 'config', message: 'Choose the column to rename:', choices: headerChoices() },
+          {
+            type: 'input',
+            name: 'header',
+            message: 'Enter the new column name:',
+            filter: input => input.trim(),
+            validate: (input, answers) => {
+              if (!input) {
+                return 'Name cannot be empty';
+              }
+              if (columns.some(config => config.header === input && config !== answers.config)) {
+                return `There is already a column named ${input}`;
+              }
+              return true;
+            }
+          }
+        ]);
+        next = columns.map(c => (c === renameAnswer.config ? { ...c, header: renameAnswer.header } : c));
+        renamed = { from: renameAnswer.config.header, to: renameAnswer.header };
+        break;
+      }
+      case 'move': {
+        const moveAnswer = await inquirer.prompt([
+          { type: 'list', name: 'config', message: 'Choose the column to move:', choices: headerChoices() },
+          {
+            type: 'list',
+            name: 'position',
+            message: 'Move it to:',
+            choices: answers => [
+              ...columns.filter(config => config !== answers.config).map((config, index) => ({ name: `Before ${config.header}`, value: index })),
+              { name: 'The end', value: columns.length - 1 }
+            ]
+          }
+        ]);
+        next = columns.filter(config => config !== moveAnswer.config);
+        next.splice(moveAnswer.position, 0, moveAnswer.config);
+        break;
+      }
+      case 'drop': {
+        if (columns.length === 1) {
+          console.log('The last column cannot be dropped.');
+          continue;
+        }
+        const dropAnswer = await inquirer.prompt([
+          { type: 'list', name: 'config', message: 'Choose the column to drop:', choices: headerChoices() }
+        ]);
+        next = columns.filter(config => config !== dropAnswer.config);
+        break;
+      }
+      case 'add': {
+        const nameAnswer = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'header',
+            message: 'Enter the name of the new column:',
+            filter: input => input.trim(),
+            validate: input => {
+              if (!input) {
+                return 'Name cannot be empty';
+              }
+              if (columns.some(config => config.header === input)) {
+                return `There is already a column named ${input}`;
+              }
+              return true;
+            }
+          }
+        ]);
+        // Expressions and mappings of the new column can use the other columns' preview values
+        next = [...columns, await configureColumn(nameAnswer.header, rows || [], schemaImport.suggestFromHeader(nameAnswer.header))];
+        break;
+      }
+    }
+    
+    // A change that leaves columns which cannot be generated (e.g. an expression using a dropped column) is undone
+    try {
+      rows = await generatePreviewRows(next, numRecords, runFaults, nextSeed);
+    } catch (error) {
+      console.error(`The change was not applied: ${error.message}`);
+      continue;
+    }
+    changed = changed || next !== columns;
+    columns = next;
+    seed = nextSeed;
+    if (renamed) {
+      sourceNames.set(renamed.to, sourceNames.get(renamed.from) || renamed.from);
+      sourceNames.delete(renamed.from);
+    }
+  }
+}
+
+module.exports = {
+  previewColumns
+};
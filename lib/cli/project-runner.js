@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { setSeed, createSeed } = require('../random');
+const project = require('../project');
+const templates = require('../templates');
+const templateStore = require('../template-store');
+const faults = require('../faults');
+const writers = require('../writers');
+const { generateToFile } = require('../generator');
+const { resolveFormatOptions, resolveFaults, detectTemplateDialect } = require('./output');
+
+// Project runs: all tables of a project in config.json generated without prompts,
+// parent tables first so that foreign keys take the keys generated for their parents.
+
+// Non-interactive generation of all tables of a saved project, parent tables first
+async function runProject(options) {
+  const config = templateStore.loadConfigFile();
+  const projectConfig = (config.projects || []).find(p => p.name === options.project);
+
+  if (!projectConfig) {
+    const available = (config.projects || []).map(p => p.name);
+    throw new Error(
+      `Project not found: ${options.project}` +
+      (available.length > 0 ? ` (available projects: ${available.join(', ')})` : ' (no projects defined in config.json)')
+    );
+  }
+  if (options.records !== null || options.table) {
+    throw new Error('--records and --table cannot be used with --project; set them per table in the project');
+  }
+  if (options.faultManifest) {
+    throw new Error('--fault-manifest cannot be used with --project; set "faultManifest" per table in the project');
+  }
+
+  const tables = project.planProject(projectConfig, templateStore.findTemplate);
+  for (const table of tables) {
+    const problems = templates.validateColumns(table.columnConfigurations)
+      .concat(table.faults !== undefined ? faults.validateFaults(table.faults) : []);
+    if (problems.length > 0) {
+      throw new Error(`Table '${table.name}' is not valid:\n${templates.formatProblems(problems)}`);
+    }
+  }
+
+  const seed = options.seed !== null ? options.seed : (projectConfig.seed !== undefined ? projectConfig.seed : createSeed());
+  setSeed(seed);
+
+  console.log(`Using project: ${projectConfig.name}`);
+  console.log(`Seed: ${seed}`);
+
+  // Generated values of columns that other tables refer to, keyed by "table.column"
+  const generatedKeys = new Map();
+  const outputDir = options.output || projectConfig.outputDir || '.';
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  for (const table of tables) {
+    const template = table.template || {};
+    let numRecords = table.records !== undefined ? table.records : template.numRecords;
+
+    // Foreign keys draw from the parent's keys; one of them may decide how many rows there are
+    const foreignKeys = new Map();
+    for (const fk of table.columnConfigurations.filter(c => c.type === 'foreignKey')) {
+      const parentKeys = generatedKeys.get(`${fk.table}.${fk.column}`);
+      const plan = project.hasCardinality(fk) ? project.planChildRows(fk, parentKeys.length) : null;
+      if (plan) {
+        numRecords = plan.total;
+      }
+      try {
+        foreignKeys.set(fk, project.createForeignKeyGenerator(parentKeys, plan));
+      } catch (error) {
+        throw new Error(`Table '${table.name}', column '${fk.header}': ${error.message}`);
+      }
+    }
+
+    if (!Number.isInteger(numRecords) || numRecords < 0) {
+      throw new Error(`Table '${table.name}' has no valid record count; set "records" for it in the project`);
+    }
+
+    const format = options.format || table.format || template.format || 'csv';
+    const formatOptions = resolveFormatOptions(options, table.formatOptions || template.formatOptions);
+    if ((format === 'sql' || format === 'sqlite') && !formatOptions.table) {
+      formatOptions.table = table.name;
+    }
+    const includeHeader = options.includeHeader !== null
+      ? options.includeHeader
+      : (table.includeHeader !== undefined ? table.includeHeader : template.includeHeader !== false);
+    const outputFilePath = options.sqlite || path.join(outputDir, table.output || `${table.name}${writers.getDefaultExtension(format)}`);
+    const sourceDialect = format === 'csv' ? detectTemplateDialect(table.template, options) : null;
+
+    const keyArrays = table.keyColumns.map(column => {
+      const keys = [];
+      generatedKeys.set(`${table.name}.${column}`, keys);
+      return { column, keys };
+    });
+
+    await generateToFile(table.columnConfigurations, numRecords, outputFilePath, {
+      format,
+      includeHeader,
+      ...formatOptions,
+      csvDialect: { ...sourceDialect, ...formatOptions.csvDialect }
+    }, {
+      foreignKeys,
+      faults: resolveFaults(options, table.faults || template.faults),
+      faultManifest: table.faultManifest ? path.join(outputDir, table.faultManifest) : null,
+      onRecord: keyArrays.length > 0
+        ? record => keyArrays.forEach(({ column, keys }) => keys.push(record[column]))
+        : null
+    });
+
+    console.log(`Generated ${numRecords} records for table ${table.name} to ${outputFilePath}`);
+  }
+}
+
+module.exports = {
+  runProject
+};
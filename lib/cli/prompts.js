@@ -0,0 +1,1091 @@
+const inquirer = require('inquirer');
+const fakeData = require('../fake-data');
+const dates = require('../dates');
+const { inferColumn } = require('../inference');
+const distributions = require('../distributions');
+const correlations = require('../correlations');
+const expressions = require('../expressions');
+const patterns = require('../patterns');
+const faults = require('../faults');
+const masking = require('../masking');
+const csvDialect = require('../csv-dialect');
+const plugins = require('../plugins');
+
+// Interactive prompts configuring columns (generators, mask transforms, row groups) and
+// the settings of a run (faults, CSV dialect), with the source file's values as defaults.
+
+// Helper function to get unique values from a column
+function getUniqueValuesFromColumn(records, header) {
+  const values = records.map(record => record[header]);
+  // Filter out duplicates and undefined/null values
+  return [...new Set(values)].filter(val => val !== undefined && val !== null && val !== '');
+}
+
+// Helper function to get unique values from a column with how often each occurs
+function getValueFrequencies(records, header) {
+  return distributions.countFrequencies(records.map(record => record[header]));
+}
+
+// Generation types offered in the column menu
+const generationTypes = [
+  { name: 'Random alphanumeric (from source file)', value: 'list-source' },
+  { name: 'Random numeric (range)', value: 'range' },
+  { name: 'Random numeric (from list)', value: 'numberList' },
+  { name: 'Random alphanumeric (from list)', value: 'list' },
+  { name: 'Random alphanumeric strings', value: 'randomString' },
+  { name: 'Random alphanumeric with prefix', value: 'prefixedString' },
+  { name: 'Random string matching a pattern (mask or regex, optional counter)', value: 'pattern' },
+  { name: 'Sequential range numeric', value: 'sequence' },
+  { name: 'Values from list', value: 'listInOrder' },
+  { name: 'Realistic fake data (names, emails, addresses...)', value: 'fake' },
+  { name: 'Random date/datetime (range)', value: 'dateRange' },
+  { name: 'Sequential dates', value: 'dateSequence' },
+  { name: 'Date relative to now or another date column (± offset)', value: 'relativeDate' },
+  { name: 'Computed from other columns (expression)', value: 'computed' },
+  { name: 'Mapped from another column (e.g. currency by country)', value: 'mapped' },
+  { name: 'Foreign key (keys of another table in a project)', value: 'foreignKey' }
+];
+
+// Function to get the menu name of a generation type
+function getGenerationTypeName(generationType) {
+  const entry = [...generationTypes, ...plugins.getGeneratorChoices()].find(t => t.value === generationType);
+  return entry ? entry.name : generationType;
+}
+
+// Function to configure a single column, using an inferred suggestion for defaults
+async function configureColumn(header, records, suggestion) {
+  // Get unique values from this column to use as default for lists
+  const uniqueValues = getUniqueValuesFromColumn(records, header);
+  // Columns of the source file that expressions, conditions and mappings can use
+  const otherColumns = Object.keys(records[0] || {}).filter(name => name !== header);
+  
+  // Ask for generation type using inquirer
+  const typeAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'generationType',
+      message: 'Choose generation type:',
+      choices: [...generationTypes, ...plugins.getGeneratorChoices()],
+      // Pre-select the inferred generator, otherwise "Random alphanumeric (from source file)"
+      default: suggestion ? suggestion.generationType : 0
+    }
+  ]);
+  
+  let generationType = typeAnswer.generationType;
+  
+  // Parameters inferred from the source apply only if the suggested type was kept
+  const suggested = suggestion && suggestion.generationType === generationType ? suggestion.config : {};
+  
+  const columnConfig = {
+    header,
+    type: generationType === 'list-source' ? 'list' : generationType
+  };
+  
+  switch (generationType) {
+    case 'range': // Random numeric range
+      const rangeAnswer = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'min',
+          message: 'Enter minimum value:',
+          default: suggested.min !== undefined ? suggested.min : 0
+        },
+        {
+          type: 'number',
+          name: 'max',
+          message: 'Enter maximum value:',
+          default: suggested.max !== undefined ? suggested.max : 100
+        },
+        {
+          type: 'number',
+          name: 'decimals',
+          message: 'Enter number of decimal places (0 for integers):',
+          default: suggested.decimals || 0
+        }
+      ]);
+      columnConfig.min = rangeAnswer.min;
+      columnConfig.max = rangeAnswer.max;
+      if (rangeAnswer.decimals > 0) {
+        columnConfig.decimals = rangeAnswer.decimals;
+      }
+      
+      const distributionAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'distribution',
+          message: 'Choose distribution:',
+          choices: distributions.numberDistributions,
+          default: 0 // Default to uniform
+        },
+        {
+          type: 'number',
+          name: 'mean',
+          message: 'Enter mean value:',
+          default: (rangeAnswer.min + rangeAnswer.max) / 2,
+          when: answers => answers.distribution === 'normal'
+        },
+        {
+          type: 'number',
+          name: 'stddev',
+          message: 'Enter standard deviation:',
+          default: (rangeAnswer.max - rangeAnswer.min) / 6,
+          when: answers => answers.distribution === 'normal'
+        },
+        {
+          type: 'number',
+          name: 'mean',
+          message: 'Enter mean distance from the minimum:',
+          default: (rangeAnswer.max - rangeAnswer.min) / 5,
+          when: answers => answers.distribution === 'exponential'
+        },
+        {
+          type: 'number',
+          name: 'exponent',
+          message: 'Enter exponent (1 = classic Zipf, higher = more skewed):',
+          default: 1,
+          when: answers => answers.distribution === 'zipf'
+        }
+      ]);
+      if (distributionAnswer.distribution !== 'uniform') {
+        columnConfig.distribution = distributionAnswer.distribution;
+        for (const param of ['mean', 'stddev', 'exponent']) {
+          if (distributionAnswer[param] !== undefined) {
+            columnConfig[param] = distributionAnswer[param];
+          }
+        }
+      }
+      break;
+    
+    case 'numberList': // Random numeric from list
+      // First ask if they want to use values from source
+      // Columns without sample data (schema files, header-only CSV) always get entered values
+      const useSourceNum = records.length === 0 ? { useSource: false } : await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'useSource',
+          message: 'Use values from source file?',
+          choices: [
+            { name: 'Yes, use values from source file', value: true },
+            { name: 'No, I will enter custom values', value: false }
+          ],
+          default: 0 // Default to "Yes"
+        }
+      ]);
+      
+      if (useSourceNum.useSource) {
+        // Extract numeric values (and how often they occur) from the column
+        const frequencies = getValueFrequencies(records, header);
+        const numericIndexes = frequencies.list
+          .map((val, index) => (isNaN(Number(val)) ? -1 : index))
+          .filter(index => index >= 0);
+        
+        if (numericIndexes.length === 0) {
+          console.log('No valid numeric values found in column. Please enter custom values.');
+          Object.assign(columnConfig, await promptValueList('Enter comma-separated list of numbers', true, true));
+        } else {
+          columnConfig.list = numericIndexes.map(index => Number(frequencies.list[index]));
+          console.log(`Using ${numericIndexes.length} unique numeric values from source column.`);
+          if (await promptKeepFrequencies()) {
+            columnConfig.weights = numericIndexes.map(index => frequencies.weights[index]);
+          }
+        }
+      } else {
+        Object.assign(columnConfig, await promptValueList('Enter comma-separated list of numbers', true, true, suggested.list));
+      }
+      break;
+    
+    case 'list-source': // Default choice: Random alphanumeric from source file
+      if (uniqueValues.length === 0) {
+        console.log('No valid values found in column. Please enter custom values.');
+        Object.assign(columnConfig, await promptValueList('Enter comma-separated list of values', false, true, suggested.list));
+      } else {
+        columnConfig.list = uniqueValues;
+        console.log(`Using ${uniqueValues.length} unique values from source column.`);
+        if (await promptKeepFrequencies(Boolean(suggested.weights))) {
+          columnConfig.weights = getValueFrequencies(records, header).weights;
+        }
+      }
+      break;
+    
+    case 'list': // Random alphanumeric from list
+    case 'listInOrder': // Values from list
+      // Weights only make sense for random picks, 'listInOrder' cycles through the list in order
+      const allowWeights = generationType === 'list';
+      
+      // First ask if they want to use values from source
+      const useSourceAlpha = records.length === 0 ? { useSource: false } : await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'useSource',
+          message: 'Use values from source file?',
+          choices: [
+            { name: 'Yes, use values from source file', value: true },
+            { name: 'No, I will enter custom values', value: false }
+          ],
+          default: 0 // Default to "Yes"
+        }
+      ]);
+      
+      if (useSourceAlpha.useSource) {
+        if (uniqueValues.length === 0) {
+          console.log('No valid values found in column. Please enter custom values.');
+          Object.assign(columnConfig, await promptValueList('Enter comma-separated list of values', false, allowWeights));
+        } else {
+          columnConfig.list = uniqueValues;
+          console.log(`Using ${uniqueValues.length} unique values from source column.`);
+          if (allowWeights && await promptKeepFrequencies()) {
+            columnConfig.weights = getValueFrequencies(records, header).weights;
+          }
+        }
+      } else {
+        Object.assign(columnConfig, await promptValueList('Enter comma-separated list of values', false, allowWeights, suggested.list));
+      }
+      break;
+    
+    case 'randomString': // Random alphanumeric strings
+      const lengthAnswer = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'length',
+          message: 'Enter length for random strings:',
+          default: 10
+        }
+      ]);
+      columnConfig.length = lengthAnswer.length;
+      break;
+    
+    case 'prefixedString': // Random alphanumeric with prefix
+      const prefixAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'prefix',
+          message: 'Enter prefix for random strings:',
+          default: 'ID-'
+        }
+      ]);
+      const prefixLengthAnswer = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'length',
+          message: 'Enter length for random part (after prefix):',
+          default: 6
+        }
+      ]);
+      columnConfig.prefix = prefixAnswer.prefix;
+      columnConfig.length = prefixLengthAnswer.length;
+      break;
+    
+    case 'pattern': // Random string matching a pattern
+      Object.assign(columnConfig, await promptPattern(suggested));
+      break;
+    
+    case 'sequence': // Sequential range
+      const seqAnswer = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'start',
+          message: 'Enter start value:',
+          default: suggested.start !== undefined ? suggested.start : 1
+        },
+        {
+          type: 'number',
+          name: 'step',
+          message: 'Enter step value:',
+          default: suggested.step !== undefined ? suggested.step : 1
+        }
+      ]);
+      columnConfig.start = seqAnswer.start;
+      columnConfig.step = seqAnswer.step;
+      break;
+    
+    case 'fake': // Realistic fake data
+      const fakeAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'fakeType',
+          message: 'Choose kind of data:',
+          choices: fakeData.fakeDataTypes,
+          default: suggested.fakeType
+        },
+        {
+          type: 'list',
+          name: 'locale',
+          message: 'Choose locale:',
+          choices: fakeData.getLocaleChoices(),
+          default: 0
+        }
+      ]);
+      columnConfig.fakeType = fakeAnswer.fakeType;
+      columnConfig.locale = fakeAnswer.locale;
+      break;
+    
+    case 'dateRange': // Random date in range
+      const dateRangeAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'from',
+          message: 'Enter start date (YYYY-MM-DD[ HH:mm[:ss]], today or now):',
+          default: suggested.from || '2020-01-01',
+          validate: validateDateInput
+        },
+        {
+          type: 'input',
+          name: 'to',
+          message: 'Enter end date (YYYY-MM-DD[ HH:mm[:ss]], today or now):',
+          default: suggested.to || 'today',
+          validate: validateDateInput
+        },
+        {
+          type: 'list',
+          name: 'includeTime',
+          message: 'Generate dates or date and time?',
+          choices: [
+            { name: 'Date only', value: false },
+            { name: 'Date and time', value: true }
+          ],
+          default: suggested.includeTime ? 1 : 0
+        }
+      ]);
+      columnConfig.from = dateRangeAnswer.from;
+      columnConfig.to = dateRangeAnswer.to;
+      columnConfig.includeTime = dateRangeAnswer.includeTime;
+      Object.assign(columnConfig, await promptDateOutput(suggested));
+      break;
+    
+    case 'dateSequence': // Sequential dates
+      const dateSeqAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'start',
+          message: 'Enter start date (YYYY-MM-DD[ HH:mm[:ss]], today or now):',
+          default: 'today',
+          validate: validateDateInput
+        },
+        {
+          type: 'number',
+          name: 'stepAmount',
+          message: 'Enter step between rows:',
+          default: 1
+        },
+        {
+          type: 'list',
+          name: 'stepUnit',
+          message: 'Choose step unit:',
+          choices: dates.dateUnits,
+          default: 3 // Default to days
+        }
+      ]);
+      columnConfig.start = dateSeqAnswer.start;
+      columnConfig.stepAmount = dateSeqAnswer.stepAmount;
+      columnConfig.stepUnit = dateSeqAnswer.stepUnit;
+      columnConfig.includeTime = !['day', 'week', 'month', 'year'].includes(dateSeqAnswer.stepUnit);
+      Object.assign(columnConfig, await promptDateOutput());
+      break;
+    
+    case 'relativeDate': // Now (or another column's date) plus or minus offset
+      const offsetAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'relativeTo',
+          message: 'Offset from:',
+          choices: [
+            { name: 'Now', value: null },
+            ...otherColumns.map(name => ({ name: `The date in column ${name} (e.g. closed after created)`, value: name }))
+          ],
+          default: 0,
+          when: () => otherColumns.length > 0
+        },
+        {
+          type: 'list',
+          name: 'offsetUnit',
+          message: 'Choose offset unit:',
+          choices: dates.dateUnits,
+          default: 3 // Default to days
+        },
+        {
+          type: 'number',
+          name: 'offsetFrom',
+          message: answers => `Enter smallest offset from ${answers.relativeTo || 'now'} (negative for earlier):`,
+          default: -30
+        },
+        {
+          type: 'number',
+          name: 'offsetTo',
+          message: answers => `Enter largest offset from ${answers.relativeTo || 'now'}:`,
+          default: 0,
+          validate: (input, answers) => input >= answers.offsetFrom || 'Largest offset must not be smaller than the smallest offset'
+        },
+        {
+          type: 'list',
+          name: 'includeTime',
+          message: 'Generate dates or date and time?',
+          choices: [
+            { name: 'Date only', value: false },
+            { name: 'Date and time', value: true }
+          ],
+          default: 1
+        }
+      ]);
+      if (offsetAnswer.relativeTo) {
+        columnConfig.relativeTo = offsetAnswer.relativeTo;
+      }
+      columnConfig.offsetFrom = offsetAnswer.offsetFrom;
+      columnConfig.offsetTo = offsetAnswer.offsetTo;
+      columnConfig.offsetUnit = offsetAnswer.offsetUnit;
+      columnConfig.includeTime = offsetAnswer.includeTime;
+      Object.assign(columnConfig, await promptDateOutput());
+      break;
+    
+    case 'computed': // Computed from other columns
+      console.log(`Columns: ${otherColumns.join(', ')}`);
+      console.log(`Functions: ${expressions.functionNames.join(', ')}`);
+      console.log('Example: quantity * unit_price, lower(first_name) + "@example.com", start_date + 30d');
+      const expressionAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'expression',
+          message: 'Enter expression:',
+          default: suggested.expression,
+          validate: input => validateExpressionInput(input, otherColumns)
+        }
+      ]);
+      columnConfig.expression = expressionAnswer.expression.trim();
+      break;
+    
+    case 'mapped': // Mapped from another column
+      const mapKeyAnswer = await inquirer.prompt([
+        {
+          type: otherColumns.length > 0 ? 'list' : 'input',
+          name: 'column',
+          message: 'Choose the column whose value selects this column\'s value:',
+          choices: otherColumns,
+          default: suggested.column,
+          validate: input => (input.trim() ? true : 'Column name cannot be empty')
+        }
+      ]);
+      // Pre-fill the map with the values found together in the source rows
+      const sourceMap = correlations.suggestValueMap(records, mapKeyAnswer.column, header);
+      const defaultMap = suggested.map || (Object.keys(sourceMap).length > 0 ? sourceMap : null);
+      console.log('Enter the map as key=value pairs; separate alternatives picked at random with |');
+      const mapAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'map',
+          message: 'Enter map (e.g. PL=PLN, US=USD, CH=CHF|EUR):',
+          default: defaultMap ? correlations.formatValueMap(defaultMap) : undefined,
+          validate: function(input) {
+            try {
+              correlations.parseValueMap(input);
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          }
+        },
+        {
+          type: 'input',
+          name: 'default',
+          message: 'Enter value for keys not in the map (empty to leave the column empty):'
+        }
+      ]);
+      columnConfig.column = mapKeyAnswer.column.trim();
+      columnConfig.map = correlations.parseValueMap(mapAnswer.map);
+      if (mapAnswer.default.trim() !== '') {
+        const alternatives = mapAnswer.default.split('|').map(value => value.trim());
+        columnConfig.default = alternatives.length === 1 ? alternatives[0] : alternatives;
+      }
+      break;
+    
+    case 'foreignKey': // Foreign key
+      const foreignKeyAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'table',
+          message: 'Enter name of the referenced table (as named in the project):',
+          default: suggested.table,
+          validate: input => (input.trim() ? true : 'Table name cannot be empty')
+        },
+        {
+          type: 'input',
+          name: 'column',
+          message: 'Enter referenced key column:',
+          default: suggested.column || 'id'
+        },
+        {
+          type: 'list',
+          name: 'cardinality',
+          message: 'How are rows spread over the referenced table?',
+          choices: [
+            { name: 'Each row references a random row', value: false },
+            { name: 'Each referenced row gets a number of rows (e.g. 1-5 orders per customer)', value: true }
+          ],
+          default: 1
+        },
+        {
+          type: 'number',
+          name: 'minPerParent',
+          message: 'Enter minimum rows per referenced row:',
+          default: 1,
+          when: answers => answers.cardinality,
+          validate: input => (Number.isInteger(input) && input >= 0) || 'Please enter a whole number of at least 0'
+        },
+        {
+          type: 'number',
+          name: 'maxPerParent',
+          message: 'Enter maximum rows per referenced row:',
+          default: 5,
+          when: answers => answers.cardinality,
+          validate: (input, answers) => (Number.isInteger(input) && input >= answers.minPerParent) ||
+            'Please enter a whole number not smaller than the minimum'
+        }
+      ]);
+      columnConfig.table = foreignKeyAnswer.table.trim();
+      columnConfig.column = foreignKeyAnswer.column.trim();
+      if (foreignKeyAnswer.cardinality) {
+        columnConfig.minPerParent = foreignKeyAnswer.minPerParent;
+        columnConfig.maxPerParent = foreignKeyAnswer.maxPerParent;
+      }
+      break;
+    
+    default: // Generator types registered by plugins ask for their own settings
+      const plugin = plugins.getGenerator(generationType);
+      if (plugin.prompt) {
+        Object.assign(columnConfig, await plugin.prompt(inquirer, { header, records, suggested }));
+      }
+      break;
+  }
+  
+  const uniqueAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'unique',
+      message: 'Must values in this column be unique?',
+      choices: [
+        { name: 'No', value: 'no' },
+        { name: 'Yes, unique values', value: 'unique' },
+        { name: 'Yes, primary key (unique)', value: 'primaryKey' }
+      ],
+      default: suggested.primaryKey ? 'primaryKey' : (suggested.unique ? 'unique' : 0)
+    }
+  ]);
+  if (uniqueAnswer.unique !== 'no') {
+    columnConfig.unique = true;
+  }
+  if (uniqueAnswer.unique === 'primaryKey') {
+    columnConfig.primaryKey = true;
+  }
+  
+  // A column can depend on others, e.g. closed_at only when status == "CLOSED"; unique columns always have a value
+  if (otherColumns.length > 0 && !columnConfig.unique) {
+    const conditionAnswer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'conditional',
+        message: 'Generate this column in every row?',
+        choices: [
+          { name: 'Yes, in every row', value: false },
+          { name: 'Only in rows where a condition on other columns holds', value: true }
+        ],
+        default: suggested.when !== undefined ? 1 : 0
+      },
+      {
+        type: 'input',
+        name: 'when',
+        message: 'Enter condition (e.g. status == "CLOSED"):',
+        default: suggested.when,
+        when: answers => answers.conditional,
+        validate: input => validateExpressionInput(input, otherColumns)
+      },
+      {
+        type: 'input',
+        name: 'otherwise',
+        message: 'Enter expression for the other rows (empty to leave the column empty):',
+        default: suggested.otherwise,
+        when: answers => answers.conditional,
+        validate: input => input.trim() === '' || validateExpressionInput(input, otherColumns)
+      }
+    ]);
+    if (conditionAnswer.conditional) {
+      columnConfig.when = conditionAnswer.when.trim();
+      if (conditionAnswer.otherwise.trim() !== '') {
+        columnConfig.otherwise = conditionAnswer.otherwise.trim();
+      }
+    }
+  }
+  
+  return columnConfig;
+}
+
+// Function to validate an expression entered in a prompt against the columns it may use
+function validateExpressionInput(input, otherColumns) {
+  try {
+    const unknown = expressions.compileExpression(input).columns.filter(name => !otherColumns.includes(name));
+    if (unknown.length > 0) {
+      return `Unknown column(s): ${unknown.join(', ')} (use [name] for names with spaces)`;
+    }
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Function to let the user sample groups of columns together from the source rows (e.g. city, postal code
+// and country), so their combinations stay real. Replaces the grouped columns' configurations in place.
+async function promptRowGroups(headers, records, columnConfigurations) {
+  const groupAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'group',
+      message: 'Do you want to keep some columns together as they appear in the source rows (e.g. city, postal code, country)?',
+      choices: [
+        { name: 'No', value: false },
+        { name: 'Yes', value: true }
+      ],
+      default: 0 // Default to "No"
+    }
+  ]);
+  let another = groupAnswer.group;
+  
+  while (another) {
+    const grouped = new Set(columnConfigurations.filter(c => c.type === 'rowGroup').map(c => c.header));
+    const membersAnswer = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'columns',
+        message: 'Select the columns sampled together:',
+        choices: headers.filter(h => !grouped.has(h)).map(h => ({ name: h, value: h })),
+        validate: input => input.length >= 2 || 'Select at least two columns'
+      }
+    ]);
+    const keepFrequencies = await promptKeepFrequencies(true);
+    
+    const group = correlations.createRowGroup(membersAnswer.columns[0], membersAnswer.columns, records, keepFrequencies);
+    for (const config of group) {
+      columnConfigurations[columnConfigurations.findIndex(c => c.header === config.header)] = config;
+    }
+    console.log(`Row group ${membersAnswer.columns.join(', ')}: ${group[0].list.length} combinations from the source file`);
+    
+    const anotherAnswer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'another',
+        message: 'Do you want to add another row group?',
+        choices: [
+          { name: 'No', value: false },
+          { name: 'Yes', value: true }
+        ],
+        default: 0 // Default to "No"
+      }
+    ]);
+    another = anotherAnswer.another && headers.length - grouped.size - membersAnswer.columns.length >= 2;
+  }
+}
+
+// Function to configure how a source column is masked, using a suggested transform for defaults.
+// headers lists the source columns, for choosing the key of consistent date shifts.
+async function configureMaskColumn(header, records, suggestion, headers) {
+  const suggested = suggestion.config;
+  const transformAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'transform',
+      message: `Choose how to mask ${header}:`,
+      choices: masking.maskTransforms,
+      default: suggested.transform
+    }
+  ]);
+  const transform = transformAnswer.transform;
+  const columnConfig = { header, transform };
+  
+  switch (transform) {
+    case 'hash':
+      const hashAnswer = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'hashLength',
+          message: 'Enter number of hex characters to keep (1-64):',
+          default: suggested.hashLength || 64,
+          validate: input => (Number.isInteger(input) && input >= 1 && input <= 64) || 'Please enter a whole number from 1 to 64'
+        }
+      ]);
+      if (hashAnswer.hashLength < 64) {
+        columnConfig.hashLength = hashAnswer.hashLength;
+      }
+      break;
+    
+    case 'pseudonymize':
+      const fakeAnswer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'fakeType',
+          message: 'Choose kind of fake data to replace values with:',
+          choices: fakeData.fakeDataTypes,
+          default: suggested.fakeType
+        },
+        {
+          type: 'list',
+          name: 'locale',
+          message: 'Choose locale:',
+          choices: fakeData.getLocaleChoices(),
+          default: suggested.locale || 0
+        }
+      ]);
+      columnConfig.fakeType = fakeAnswer.fakeType;
+      columnConfig.locale = fakeAnswer.locale;
+      break;
+    
+    case 'redact':
+      const redactAnswer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'replacement',
+          message: 'Enter replacement text:',
+          default: suggested.replacement !== undefined ? suggested.replacement : 'REDACTED'
+        }
+      ]);
+      columnConfig.replacement = redactAnswer.replacement;
+      break;
+    
+    case 'dateShift':
+      const shiftAnswer = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'maxDays',
+          message: 'Enter the largest shift in days (either way):',
+          default: suggested.maxDays || 30,
+          validate: input => (Number.isInteger(input) && input > 0) || 'Please enter a whole number greater than 0'
+        },
+        {
+          type: 'list',
+          name: 'keyColumn',
+          message: 'Shift dates consistently per value of another column (e.g. a patient ID)?',
+          choices: [
+            { name: 'No, shift all dates of a row alike', value: null },
+            ...headers.filter(h => h !== header).map(h => ({ name: h, value: h }))
+          ],
+          default: suggested.keyColumn || 0
+        },
+        {
+          type: 'list',
+          name: 'includeTime',
+          message: 'Do the values have dates or date and time?',
+          choices: [
+            { name: 'Date only', value: false },
+            { name: 'Date and time', value: true }
+          ],
+          default: suggested.includeTime ? 1 : 0
+        }
+      ]);
+      columnConfig.maxDays = shiftAnswer.maxDays;
+      if (shiftAnswer.keyColumn) {
+        columnConfig.keyColumn = shiftAnswer.keyColumn;
+      }
+      columnConfig.includeTime = shiftAnswer.includeTime;
+      console.log('Dates are read and written in this format:');
+      Object.assign(columnConfig, await promptDateOutput(suggested));
+      break;
+    
+    case 'generate':
+      // Any generation type, configured as for generated files
+      const config = await configureColumn(header, records, inferColumn(header, records.map(r => r[header])));
+      return { ...config, transform };
+  }
+  
+  return columnConfig;
+}
+
+// Function to ask for the names of columns defined from scratch
+async function promptColumnNames() {
+  const parseNames = input => input.split(',').map(name => name.trim()).filter(name => name !== '');
+  const namesAnswer = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'names',
+      message: 'Enter comma-separated column names:',
+      validate: function(input) {
+        const names = parseNames(input);
+        if (names.length === 0) {
+          return 'Please enter at least one column name';
+        }
+        if (new Set(names).size !== names.length) {
+          return 'Column names must be different';
+        }
+        return true;
+      }
+    }
+  ]);
+  return parseNames(namesAnswer.names);
+}
+
+// Function to ask for a custom list of values, optionally weighted (e.g. ACTIVE:90,CLOSED:10)
+async function promptValueList(message, numeric, allowWeights, defaultValues) {
+  const listAnswer = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'values',
+      message: allowWeights ? `${message} (optionally weighted, e.g. A:90,B:10):` : `${message}:`,
+      default: defaultValues ? defaultValues.join(',') : undefined,
+      validate: function(input) {
+        const parsed = distributions.parseWeightedList(input, numeric);
+        if (parsed.list.length === 0) {
+          return 'Please enter at least one value';
+        }
+        if (numeric && parsed.list.some(val => isNaN(val))) {
+          return 'Please enter only numbers';
+        }
+        return true;
+      }
+    }
+  ]);
+  
+  const parsed = distributions.parseWeightedList(listAnswer.values, numeric);
+  if (!allowWeights) {
+    delete parsed.weights;
+  }
+  return parsed;
+}
+
+// Function to prompt for a pattern, its syntax and, when it embeds {seq}, the counter settings
+async function promptPattern(suggested) {
+  const patternAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'patternSyntax',
+      message: 'Choose pattern syntax:',
+      choices: patterns.patternSyntaxes,
+      default: suggested.patternSyntax === 'regex' ? 1 : 0
+    },
+    {
+      type: 'input',
+      name: 'pattern',
+      message: 'Enter pattern ({seq} or {seq:6} embeds a zero-padded counter):',
+      default: answers => suggested.pattern || (answers.patternSyntax === 'regex' ? '[A-Z]{3}\\d{4}' : 'INV-{seq:6}'),
+      validate: (input, answers) => patterns.checkPattern({ pattern: input, patternSyntax: answers.patternSyntax }) || true
+    }
+  ]);
+  
+  const config = { pattern: patternAnswer.pattern, patternSyntax: patternAnswer.patternSyntax };
+  if (patterns.compilePattern(config).hasCounter) {
+    const counterAnswer = await inquirer.prompt([
+      {
+        type: 'number',
+        name: 'counterStart',
+        message: 'Enter counter start value:',
+        default: 1
+      },
+      {
+        type: 'number',
+        name: 'counterStep',
+        message: 'Enter counter step value:',
+        default: 1
+      }
+    ]);
+    Object.assign(config, counterAnswer);
+  }
+  console.log(`Examples: ${patterns.getExamples(config).join(', ')}`);
+  return config;
+}
+
+// Function to ask whether values from the source should keep their frequencies
+async function promptKeepFrequencies(defaultToWeighted) {
+  const weightAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'keepFrequencies',
+      message: 'How should values be picked?',
+      choices: [
+        { name: 'Uniformly (every value equally likely)', value: false },
+        { name: 'Keeping source frequencies (weighted)', value: true }
+      ],
+      default: defaultToWeighted ? 1 : 0
+    }
+  ]);
+  return weightAnswer.keepFrequencies;
+}
+
+// Function to validate a date entered in a prompt
+function validateDateInput(input) {
+  try {
+    dates.parseDateInput(input, 'UTC');
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Function to ask for output format and time zone of a date column
+async function promptDateOutput(defaults = {}) {
+  const formatAnswer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'format',
+      message: 'Choose output format:',
+      choices: dates.dateFormats,
+      default: defaults.format || 0
+    },
+    {
+      type: 'input',
+      name: 'pattern',
+      message: 'Enter pattern (%Y %m %d %H %M %S %L %j %b %B %a %A %p %I %z %Z):',
+      default: defaults.pattern || '%Y-%m-%d %H:%M:%S',
+      when: answers => answers.format === 'pattern'
+    },
+    {
+      type: 'input',
+      name: 'timezone',
+      message: 'Enter time zone (UTC, local or IANA name such as Europe/Warsaw):',
+      default: defaults.timezone || 'UTC',
+      validate: input => dates.isValidTimeZone(input) || `Unknown time zone: ${input}`
+    }
+  ]);
+
+  const output = {
+    format: formatAnswer.format,
+    timezone: formatAnswer.timezone
+  };
+  if (formatAnswer.format === 'pattern') {
+    output.pattern = formatAnswer.pattern;
+  }
+  return output;
+}
+
+// Function to prompt for the faults injected for negative testing.
+// Faults for every column are returned as the file's settings; faults for some columns only
+// are stored on those columns. Returns undefined when no file settings were chosen.
+async function promptFaults(columnConfigurations) {
+  const kindsAnswer = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'kinds',
+      message: 'Select the faults to inject:',
+      choices: [...faults.faultTypes, ...faults.rowFaultTypes].map(t => ({ name: t.name, value: t.value })),
+      validate: input => input.length > 0 || 'Please select at least one fault'
+    }
+  ]);
+
+  const rates = {};
+  for (const kind of kindsAnswer.kinds) {
+    const rateAnswer = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'rate',
+        message: `Rate of ${kind} (fraction like 0.05 or percentage like 5%):`,
+        default: '1%',
+        validate: function(input) {
+          try {
+            faults.parseRate(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        filter: input => faults.parseRate(input)
+      }
+    ]);
+    rates[kind] = rateAnswer.rate;
+  }
+
+  const fileFaults = {};
+  if (rates.duplicateRows !== undefined) {
+    fileFaults.duplicateRows = rates.duplicateRows;
+  }
+  const cellFaults = Object.keys(rates).filter(kind => kind !== 'duplicateRows');
+  if (cellFaults.length === 0) {
+    return fileFaults;
+  }
+
+  const columnsAnswer = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'headers',
+      message: 'Inject these faults into which columns?',
+      choices: columnConfigurations.map(config => ({ name: config.header, value: config.header, checked: true })),
+      validate: input => input.length > 0 || 'Please select at least one column'
+    }
+  ]);
+
+  if (columnsAnswer.headers.length === columnConfigurations.length) {
+    // Faults that do not suit a column (e.g. malformed dates in a text column) are skipped for it
+    cellFaults.forEach(kind => { fileFaults[kind] = rates[kind]; });
+  } else {
+    for (const config of columnConfigurations.filter(c => columnsAnswer.headers.includes(c.header))) {
+      const suitable = cellFaults.filter(kind => faults.faultAppliesTo(kind, config.type));
+      if (suitable.length > 0) {
+        config.faults = Object.fromEntries(suitable.map(kind => [kind, rates[kind]]));
+      }
+    }
+  }
+  return Object.keys(fileFaults).length > 0 ? fileFaults : undefined;
+}
+
+// Function to prompt for every CSV dialect setting, starting from the given dialect
+async function promptCsvDialect(defaults) {
+  const singleCharacter = input => (input.length === 1 ? true : 'Please enter exactly one character');
+  return inquirer.prompt([
+    {
+      type: 'list',
+      name: 'delimiter',
+      message: 'Field delimiter:',
+      choices: csvDialect.delimiterChoices,
+      default: defaults.delimiter
+    },
+    {
+      type: 'input',
+      name: 'quote',
+      message: 'Quote character:',
+      default: defaults.quote,
+      validate: singleCharacter
+    },
+    {
+      type: 'input',
+      name: 'escape',
+      message: 'Escape character for quotes inside fields:',
+      default: defaults.escape,
+      validate: singleCharacter
+    },
+    {
+      type: 'list',
+      name: 'encoding',
+      message: 'Encoding:',
+      choices: csvDialect.encodingChoices,
+      default: defaults.encoding
+    },
+    {
+      type: 'list',
+      name: 'bom',
+      message: 'Write a byte order mark (BOM)?',
+      choices: [
+        { name: 'No', value: false },
+        { name: 'Yes', value: true }
+      ],
+      default: defaults.bom ? 1 : 0
+    },
+    {
+      type: 'list',
+      name: 'lineEnding',
+      message: 'Line ending:',
+      choices: csvDialect.lineEndingChoices,
+      default: defaults.lineEnding
+    },
+    {
+      type: 'list',
+      name: 'quoteAll',
+      message: 'Quote every field?',
+      choices: [
+        { name: 'No, only when needed', value: false },
+        { name: 'Yes', value: true }
+      ],
+      default: defaults.quoteAll ? 1 : 0
+    }
+  ]);
+}
+
+module.exports = {
+  getGenerationTypeName,
+  configureColumn,
+  configureMaskColumn,
+  promptRowGroups,
+  promptColumnNames,
+  promptFaults,
+  promptCsvDialect
+};
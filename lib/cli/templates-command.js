@@ -0,0 +1,212 @@
+const fs = require('fs');
+const templates = require('../templates');
+const templateStore = require('../template-store');
+const { printTable } = require('./output');
+const { describeAvailableTemplates } = require('./batch');
+
+// The templates command: list, show, remove, rename, copy, export and import saved templates.
+
+// Function to describe a column's settings in one line, e.g. min=1, max=9
+function describeColumnSettings(config) {
+  return Object.keys(config)
+    .filter(key => key !== 'header' && key !== 'type' && key !== 'transform')
+    .map(key => {
+      const value = JSON.stringify(config[key]);
+      return `${key}=${value.length > 40 ? value.slice(0, 37) + '...' : value}`;
+    })
+    .join(', ');
+}
+
+// Function to find the template a templates command works on; with userOnly only personal templates count
+function findTemplateForCommand(name, userOnly) {
+  const entry = userOnly
+    ? templateStore.loadTemplateEntries().find(e => e.name === name && e.scope === 'user')
+    : templateStore.findTemplateEntry(name);
+  if (!entry) {
+    throw new Error(`Template not found: ${name}${userOnly ? ' (in personal templates)' : describeAvailableTemplates()}`);
+  }
+  return entry;
+}
+
+// Management of saved templates: templates list|show|rm|mv|cp|export|import
+async function runTemplatesCommand(options) {
+  const [action, ...args] = options.commandArgs;
+  const usages = {
+    list: 'list',
+    show: 'show <name>',
+    rm: 'rm <name>',
+    mv: 'mv <name> <new-name>',
+    cp: 'cp <name> <new-name>',
+    export: 'export <name> [file]',
+    import: 'import <file> [name]'
+  };
+  if (!usages[action]) {
+    throw new Error(`Unknown templates command: ${action || '(none)'} (use ${Object.keys(usages).join(', ')})`);
+  }
+  const required = usages[action].split(' ').filter(part => part.startsWith('<')).length;
+  const allowed = usages[action].split(' ').length - 1;
+  if (args.length < required || args.length > allowed) {
+    throw new Error(`Usage: templates ${usages[action]}`);
+  }
+
+  // Copied and imported templates go to the project directory unless --user is given;
+  // the other commands then work on the personal template of that name
+  const targetScope = options.userScope ? 'user' : 'project';
+  const userOnly = options.userScope && action !== 'cp';
+
+  switch (action) {
+    case 'list': {
+      console.log('Template locations (highest precedence first):');
+      printTable(templateStore.getTemplateLocations().map(location => [location.scope, location.directory || location.file]));
+
+      const entries = templateStore.loadTemplateEntries();
+      if (entries.length === 0) {
+        console.log('\nNo templates saved.');
+        return;
+      }
+      console.log('');
+      printTable([
+        ['NAME', 'SCOPE', 'COLUMNS', 'SOURCE', 'NOTES'],
+        ...entries.map(entry => {
+          let notes = '';
+          if (entry.error) {
+            notes = 'cannot be read';
+          } else if (entry.hidden) {
+            notes = 'hidden by a template with the same name';
+          } else {
+            const problems = templates.validateTemplate(entry.template);
+            notes = problems.length > 0 ? `invalid (${problems.length} problem${problems.length === 1 ? '' : 's'})` : '';
+          }
+          return [
+            entry.name,
+            entry.scope,
+            entry.template ? entry.template.columnConfigurations.length : '-',
+            entry.template && entry.template.sourceFile ? entry.template.sourceFile : '-',
+            notes
+          ];
+        })
+      ]);
+      return;
+    }
+
+    case 'show': {
+      const entry = findTemplateForCommand(args[0], userOnly);
+      console.log(`Template: ${entry.name}`);
+      console.log(`Location: ${entry.file} (${entry.scope})`);
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+      const template = entry.template;
+      console.log(`Source file: ${template.sourceFile || '-'}`);
+      if (template.mode === 'mask') {
+        console.log('Mode: mask (every source row is masked)');
+      } else {
+        console.log(`Records: ${template.numRecords !== undefined ? template.numRecords : '-'}`);
+      }
+      console.log(`Header row: ${template.includeHeader === false ? 'no' : 'yes'}`);
+      console.log(`Seed: ${template.seed !== undefined ? template.seed : 'random'}`);
+      console.log(`Format: ${template.format || 'csv'}${template.formatOptions ? ' ' + JSON.stringify(template.formatOptions) : ''}`);
+      if (template.createdAt) {
+        console.log(`Created: ${template.createdAt}`);
+      }
+      console.log('Columns:');
+      printTable(template.columnConfigurations.map(config => [
+        config.header,
+        config.transform === 'generate' ? `generate ${config.type}` : config.transform || config.type,
+        describeColumnSettings(config)
+      ]));
+
+      const problems = templates.validateTemplate(template);
+      if (problems.length > 0) {
+        console.log(`Problems:\n${templates.formatProblems(problems)}`);
+      }
+      return;
+    }
+
+    case 'rm': {
+      const entry = findTemplateForCommand(args[0], userOnly);
+      templateStore.removeTemplateEntry(entry);
+      console.log(`Removed template '${entry.name}' from ${entry.file}`);
+      const next = templateStore.findTemplateEntry(entry.name);
+      if (next) {
+        console.log(`Template '${entry.name}' from ${next.file} (${next.scope}) is used from now on`);
+      }
+      return;
+    }
+
+    case 'mv':
+    case 'cp': {
+      const [name, newName] = args;
+      const entry = findTemplateForCommand(name, userOnly);
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+      if (newName === name && action === 'mv') {
+        throw new Error('The new name is the same as the old one');
+      }
+      // A renamed template stays where it is; templates from config.json become files
+      const scope = action === 'mv' ? (entry.scope === 'config' ? 'project' : entry.scope) : targetScope;
+      const file = templateStore.saveTemplate({ ...entry.template, name: newName }, scope, options.force);
+      if (action === 'mv') {
+        templateStore.removeTemplateEntry(entry);
+        console.log(`Renamed template '${name}' to '${newName}' (${file})`);
+      } else {
+        console.log(`Copied template '${name}' to '${newName}' (${file})`);
+      }
+      return;
+    }
+
+    case 'export': {
+      const entry = findTemplateForCommand(args[0], userOnly);
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+      const json = JSON.stringify(entry.template, null, 2) + '\n';
+      const file = args[1] || options.output;
+      if (file) {
+        fs.writeFileSync(file, json);
+        console.log(`Exported template '${entry.name}' to ${file}`);
+      } else {
+        process.stdout.write(json);
+      }
+      return;
+    }
+
+    case 'import': {
+      const [file, name] = args;
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+      }
+      // An exported template, or a config.json with a "templates" array
+      const imported = Array.isArray(data.templates) ? data.templates : [data];
+      if (name && imported.length !== 1) {
+        throw new Error(`${file} contains ${imported.length} templates; a new name can only be given for one`);
+      }
+
+      const ready = imported.map(template => {
+        const migrated = templates.migrateTemplate(name ? { ...template, name } : template, `Template '${name || template.name}'`);
+        const problems = templates.validateTemplate(migrated);
+        if (problems.length > 0) {
+          throw new Error(`Template '${migrated.name}' in ${file} is not valid:\n${templates.formatProblems(problems)}`);
+        }
+        if (!options.force && fs.existsSync(templateStore.getTemplatePath(migrated.name, targetScope))) {
+          throw new Error(`Template '${migrated.name}' already exists in the ${targetScope} templates (use --force to replace it)`);
+        }
+        return migrated;
+      });
+
+      for (const template of ready) {
+        const savedTo = templateStore.saveTemplate(template, targetScope, options.force);
+        console.log(`Imported template '${template.name}' to ${savedTo}`);
+      }
+      return;
+    }
+  }
+}
+
+module.exports = {
+  runTemplatesCommand
+};
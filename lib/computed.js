@@ -0,0 +1,156 @@
+const dates = require('./dates');
+const { compileExpression, isTruthy, toOutput, DateValue } = require('./expressions');
+
+// Column types whose values expressions see as dates and as numbers
+const DATE_TYPES = ['dateRange', 'dateSequence', 'relativeDate'];
+const NUMERIC_TYPES = ['range', 'numberList', 'sequence'];
+
+// Function to turn a generated field into the value an expression works with
+function toExpressionValue(value, config) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (DATE_TYPES.includes(config.type)) {
+    const epoch = dates.parseFormattedDate(value, config);
+    return epoch === null ? value : new DateValue(epoch, config);
+  }
+  if (NUMERIC_TYPES.includes(config.type)) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Function to find one dependency cycle among columns that could not be ordered, for the error message
+function findCycle(remaining, dependencies) {
+  const path = [];
+  let config = remaining[0];
+  while (!path.includes(config)) {
+    path.push(config);
+    config = dependencies.get(config).find(dependency => remaining.includes(dependency));
+  }
+  return [...path.slice(path.indexOf(config)), config].map(c => c.header).join(' -> ');
+}
+
+// Function to order columns so every column comes after the columns it uses.
+// Other columns keep their relative order, so random values are still drawn in the same sequence.
+function orderColumns(columnConfigurations, dependencies) {
+  const order = [];
+  const placed = new Set();
+  let remaining = columnConfigurations;
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(config => (dependencies.get(config) || []).every(dependency => placed.has(dependency)));
+    if (ready.length === 0) {
+      throw new Error(`Columns depend on each other in a cycle: ${findCycle(remaining, dependencies)}`);
+    }
+    // Place the first ready column and look again, so earlier columns stay first
+    order.push(ready[0]);
+    placed.add(ready[0]);
+    remaining = remaining.filter(config => config !== ready[0]);
+  }
+  return order;
+}
+
+// Function to compile an expression of a column, naming the column and setting in errors
+function compileColumnExpression(config, text, setting) {
+  try {
+    return compileExpression(text);
+  } catch (error) {
+    throw new Error(`Column '${config.header}': ${setting ? `${setting}: ` : ''}${error.message}`);
+  }
+}
+
+// Function to prepare the columns that use other columns of the same row for a generation run:
+// computed columns, columns with a condition ("when", with an "otherwise" expression for the
+// rows where it does not hold), mapped columns and dates relative to another column.
+// Returns the order to generate columns in, a generator per computed column and a condition
+// per conditional column; both are called with the row index and the fields generated so far.
+function createComputedColumns(columnConfigurations) {
+  const byHeader = new Map(columnConfigurations.map(config => [config.header, config]));
+  const dependencies = new Map();
+  const expressions = new Map();
+  const conditionExpressions = new Map();
+
+  for (const config of columnConfigurations) {
+    const used = [];
+    if (config.type === 'computed') {
+      const expression = compileColumnExpression(config, config.expression);
+      expressions.set(config, expression);
+      used.push(...expression.columns);
+    }
+    if (config.when !== undefined) {
+      const when = compileColumnExpression(config, config.when, 'when');
+      const otherwise = config.otherwise !== undefined ? compileColumnExpression(config, config.otherwise, 'otherwise') : null;
+      conditionExpressions.set(config, { when, otherwise });
+      used.push(...when.columns, ...(otherwise ? otherwise.columns : []));
+    }
+    if (config.type === 'mapped') {
+      used.push(config.column);
+    }
+    if (config.type === 'relativeDate' && config.relativeTo) {
+      used.push(config.relativeTo);
+    }
+    if (used.length === 0) {
+      continue;
+    }
+
+    const unknown = [...new Set(used)].filter(name => !byHeader.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Column '${config.header}' uses unknown column(s): ${unknown.join(', ')}`);
+    }
+    dependencies.set(config, [...new Set(used)].map(name => byHeader.get(name)));
+  }
+
+  if (dependencies.size === 0) {
+    return { order: columnConfigurations, generators: new Map(), conditions: new Map() };
+  }
+
+  const order = orderColumns(columnConfigurations, dependencies);
+
+  // Raw results (e.g. dates) of computed columns in the current row, for computed columns that use them.
+  // Columns are generated in dependency order, so the entry is always from the row being generated.
+  const results = new Map();
+  const evaluateFor = (config, expression, i, record, setting) => {
+    const resolveColumn = (name) => (results.has(name)
+      ? results.get(name)
+      : toExpressionValue(record[name], byHeader.get(name)));
+    try {
+      return expression.evaluate(resolveColumn);
+    } catch (error) {
+      throw new Error(`Column '${config.header}', row ${i + 1}: ${setting ? `${setting}: ` : ''}${error.message}`);
+    }
+  };
+
+  const generators = new Map();
+  for (const [config, expression] of expressions) {
+    generators.set(config, (i, record) => {
+      const result = evaluateFor(config, expression, i, record);
+      results.set(config.header, result);
+      return toOutput(result);
+    });
+  }
+
+  // A conditional column uses its own generator only in rows where the condition holds;
+  // in other rows it gets the result of "otherwise", or stays empty
+  const conditions = new Map();
+  for (const [config, { when, otherwise }] of conditionExpressions) {
+    conditions.set(config, (i, record, generate) => {
+      results.delete(config.header);
+      if (isTruthy(evaluateFor(config, when, i, record, 'when'))) {
+        return generate(i, record);
+      }
+      if (!otherwise) {
+        return '';
+      }
+      const result = evaluateFor(config, otherwise, i, record, 'otherwise');
+      results.set(config.header, result);
+      return toOutput(result);
+    });
+  }
+
+  return { order, generators, conditions };
+}
+
+module.exports = {
+  createComputedColumns
+};
@@ -0,0 +1,166 @@
+const { getRandomFromList } = require('./random');
+const distributions = require('./distributions');
+
+// Correlated columns: values that go together within a row. A mapped column takes its value
+// from a map keyed by another column (e.g. the currency of the row's country), and the columns
+// of a row group take their values together from one source row, so combinations such as
+// city, postal code and country stay real instead of being mixed from different rows.
+
+// Function to parse "PL=PLN, US=USD, CH=CHF|EUR" into a value map; a value with | picks one alternative
+function parseValueMap(input) {
+  const map = {};
+  for (const item of String(input).split(',').map(part => part.trim()).filter(part => part !== '')) {
+    const equals = item.indexOf('=');
+    if (equals <= 0) {
+      throw new Error(`Invalid map entry: ${item} (use key=value, e.g. PL=PLN)`);
+    }
+    const values = item.slice(equals + 1).split('|').map(value => value.trim());
+    map[item.slice(0, equals).trim()] = values.length === 1 ? values[0] : values;
+  }
+  if (Object.keys(map).length === 0) {
+    throw new Error('The map needs at least one key=value entry');
+  }
+  return map;
+}
+
+// Function to write a value map in the form parseValueMap reads
+function formatValueMap(map) {
+  return Object.entries(map)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('|') : value}`)
+    .join(', ');
+}
+
+// Function to suggest a value map from the values found together in the source records:
+// each value of the key column maps to the values the column has in the same rows
+function suggestValueMap(records, keyColumn, header) {
+  const map = {};
+  for (const record of records) {
+    const key = record[keyColumn];
+    const value = record[header];
+    if (key === undefined || key === '' || value === undefined || value === '') {
+      continue;
+    }
+    map[key] = map[key] || [];
+    if (!map[key].includes(value)) {
+      map[key].push(value);
+    }
+  }
+  for (const key of Object.keys(map)) {
+    map[key] = map[key].length === 1 ? map[key][0] : map[key];
+  }
+  return map;
+}
+
+// Function to list the problems of a mapped column's settings
+function checkValueMap(config) {
+  const problems = [];
+  const isValue = value => typeof value === 'string' || typeof value === 'number' ||
+    (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' || typeof item === 'number'));
+
+  if (config.map === null || Array.isArray(config.map) || Object.keys(config.map).length === 0) {
+    problems.push('map must be an object with at least one key');
+  } else {
+    for (const [key, value] of Object.entries(config.map)) {
+      if (!isValue(value)) {
+        problems.push(`map value of ${JSON.stringify(key)} must be a value or a non-empty list of values`);
+      }
+    }
+  }
+  if (config.default !== undefined && !isValue(config.default)) {
+    problems.push('default must be a value or a non-empty list of values');
+  }
+  return problems;
+}
+
+// Function to create the generator of a mapped column; keys without an entry get the default, or nothing
+function createMappedGenerator(config) {
+  const pick = value => (Array.isArray(value) ? getRandomFromList(value) : value);
+
+  return (i, record) => {
+    const key = String(record[config.column]);
+    if (Object.prototype.hasOwnProperty.call(config.map, key)) {
+      return pick(config.map[key]);
+    }
+    return config.default !== undefined ? pick(config.default) : '';
+  };
+}
+
+// Function to create the column configurations of a row group from the source records.
+// Every distinct combination of the columns' values is kept once, in aligned lists; with
+// keepFrequencies, how often it occurs is saved as weights on the group's first column.
+function createRowGroup(group, headers, records, keepFrequencies) {
+  const separator = '\u0000';
+  const combinations = distributions.countFrequencies(records.map(record => headers.map(header => {
+    const value = record[header];
+    return value === undefined || value === null ? '' : String(value);
+  }).join(separator)));
+
+  const rows = combinations.list.map(combination => combination.split(separator));
+  return headers.map((header, index) => {
+    const config = { header, type: 'rowGroup', group, list: rows.map(row => row[index]) };
+    if (index === 0 && keepFrequencies) {
+      config.weights = combinations.weights;
+    }
+    return config;
+  });
+}
+
+// Function to collect the columns of each row group, in column order
+function groupMembers(columnConfigurations) {
+  const groups = new Map();
+  for (const config of columnConfigurations.filter(c => c.type === 'rowGroup')) {
+    groups.set(config.group, [...(groups.get(config.group) || []), config]);
+  }
+  return groups;
+}
+
+// Function to list the problems of the row groups among column configurations
+function checkRowGroups(columnConfigurations) {
+  const problems = [];
+  for (const [group, members] of groupMembers(columnConfigurations)) {
+    const length = members[0].list.length;
+    if (members.some(config => config.list.length !== length)) {
+      problems.push(`row group '${group}': all columns must have lists of the same length`);
+    }
+    const weighted = members.filter(config => config.weights !== undefined);
+    if (weighted.length > 1 || (weighted.length === 1 && weighted[0] !== members[0])) {
+      problems.push(`row group '${group}': only the group's first column can have weights`);
+    }
+  }
+  return problems;
+}
+
+// Function to create the generators of all row group columns. A group draws one source
+// combination per row, when the first of its columns is generated, and all of its columns use it.
+function createRowGroupGenerators(columnConfigurations) {
+  const generators = new Map();
+  for (const members of groupMembers(columnConfigurations).values()) {
+    const indexes = members[0].list.map((_, index) => index);
+    const draw = members[0].weights
+      ? distributions.createWeightedPicker(indexes, members[0].weights)
+      : () => getRandomFromList(indexes);
+    let row = -1;
+    let index = 0;
+    for (const config of members) {
+      generators.set(config, (i) => {
+        if (i !== row) {
+          row = i;
+          index = draw();
+        }
+        return config.list[index];
+      });
+    }
+  }
+  return generators;
+}
+
+module.exports = {
+  parseValueMap,
+  formatValueMap,
+  suggestValueMap,
+  checkValueMap,
+  createMappedGenerator,
+  createRowGroup,
+  checkRowGroups,
+  createRowGroupGenerators
+};
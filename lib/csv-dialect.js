@@ -0,0 +1,330 @@
+const fs = require('fs');
+const csvParse = require('csv-parse/sync');
+const { parse: createParser } = require('csv-parse');
+const iconv = require('iconv-lite');
+
+// CSV dialect: how fields and records are separated, quoted and encoded.
+// Source files are auto-detected; output mirrors the source unless overridden.
+const defaultDialect = {
+  delimiter: ',',
+  quote: '"',
+  escape: '"',
+  encoding: 'utf8',
+  bom: false,
+  lineEnding: 'lf',
+  quoteAll: false
+};
+
+// Delimiters tried by auto-detection, in order of preference on a tie
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Lines looked at when detecting the delimiter and quoting
+const SAMPLE_LINES = 20;
+
+// Bytes read from a file to detect its dialect without loading it whole
+const SAMPLE_BYTES = 64 * 1024;
+
+// Bytes that are letters in Windows-1250 but symbols or unused in Windows-1252
+// (Ś Ť Ź ś ť ź Ł Ą Ş Ż ł ą ş Ľ ľ ż)
+const WINDOWS_1250_LETTERS = new Set([
+  0x8c, 0x8d, 0x8f, 0x9c, 0x9d, 0x9f, 0xa3, 0xa5, 0xaa, 0xaf, 0xb3, 0xb9, 0xba, 0xbc, 0xbe, 0xbf
+]);
+
+const delimiterChoices = [
+  { name: 'Comma (,)', value: ',' },
+  { name: 'Semicolon (;)', value: ';' },
+  { name: 'Tab', value: '\t' },
+  { name: 'Pipe (|)', value: '|' }
+];
+
+const encodingChoices = [
+  { name: 'UTF-8', value: 'utf8' },
+  { name: 'UTF-16 LE', value: 'utf16le' },
+  { name: 'Windows-1250 (Central European)', value: 'windows-1250' },
+  { name: 'Windows-1252 (Western European)', value: 'windows-1252' },
+  { name: 'ISO-8859-2 (Latin-2)', value: 'iso-8859-2' },
+  { name: 'ISO-8859-1 (Latin-1)', value: 'latin1' }
+];
+
+const lineEndingChoices = [
+  { name: 'LF (Unix, macOS)', value: 'lf' },
+  { name: 'CRLF (Windows)', value: 'crlf' },
+  { name: 'CR (classic Mac)', value: 'cr' }
+];
+
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+// Function to parse a delimiter given by name or as the character itself
+function parseDelimiter(input) {
+  const names = { comma: ',', semicolon: ';', tab: '\t', '\\t': '\t', pipe: '|' };
+  const text = String(input);
+  return names[text.toLowerCase()] || text;
+}
+
+// Function to check a dialect and fill missing settings with defaults
+function normaliseDialect(dialect) {
+  const result = { ...defaultDialect, ...dialect };
+  result.encoding = String(result.encoding).toLowerCase();
+
+  if (typeof result.delimiter !== 'string' || result.delimiter === '') {
+    throw new Error('CSV delimiter cannot be empty');
+  }
+  if (typeof result.quote !== 'string' || result.quote.length !== 1) {
+    throw new Error(`CSV quote must be a single character, got: ${JSON.stringify(result.quote)}`);
+  }
+  if (typeof result.escape !== 'string' || result.escape.length !== 1) {
+    throw new Error(`CSV escape must be a single character, got: ${JSON.stringify(result.escape)}`);
+  }
+  if (result.delimiter === result.quote) {
+    throw new Error('CSV delimiter and quote must be different characters');
+  }
+  if (!iconv.encodingExists(result.encoding)) {
+    throw new Error(`Unknown encoding: ${result.encoding}`);
+  }
+  if (!LINE_ENDINGS[result.lineEnding]) {
+    throw new Error(`Unknown line ending: ${result.lineEnding} (use ${Object.keys(LINE_ENDINGS).join(', ')})`);
+  }
+  return result;
+}
+
+// Function to detect the encoding from a byte order mark or the bytes themselves
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { encoding: 'utf8', bom: true };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { encoding: 'utf16le', bom: true };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { encoding: 'utf16be', bom: true };
+  }
+
+  try {
+    // Streaming mode tolerates a character cut off at the end of a sample
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return { encoding: 'utf8', bom: false };
+  } catch (error) {
+    // Not UTF-8: tell the two common Windows code pages apart by their letters
+    const centralEuropean = buffer.some(byte => WINDOWS_1250_LETTERS.has(byte));
+    return { encoding: centralEuropean ? 'windows-1250' : 'windows-1252', bom: false };
+  }
+}
+
+// Function to split a line into fields, honouring quoted fields
+function splitLine(line, delimiter, quote) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === quote) {
+      quoted = !quoted;
+      field += char;
+    } else if (!quoted && line.startsWith(delimiter, i)) {
+      fields.push(field);
+      field = '';
+      i += delimiter.length - 1;
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Function to pick the delimiter that splits every sample line into the same number of fields
+function detectDelimiter(lines, quote) {
+  let best = { delimiter: defaultDialect.delimiter, consistent: 0, fields: 1 };
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const fields = splitLine(lines[0], delimiter, quote).length;
+    if (fields < 2) {
+      continue;
+    }
+    const consistent = lines.filter(line => splitLine(line, delimiter, quote).length === fields).length;
+    if (consistent > best.consistent || (consistent === best.consistent && fields > best.fields)) {
+      best = { delimiter, consistent, fields };
+    }
+  }
+  return best.delimiter;
+}
+
+// Function to detect the dialect of CSV text
+function detectTextDialect(text) {
+  const firstBreak = text.search(/\r\n|\n|\r/);
+  let lineEnding = defaultDialect.lineEnding;
+  if (firstBreak >= 0) {
+    lineEnding = text.startsWith('\r\n', firstBreak) ? 'crlf' : (text[firstBreak] === '\r' ? 'cr' : 'lf');
+  }
+
+  const lines = text.split(LINE_ENDINGS[lineEnding]).filter(line => line.trim() !== '').slice(0, SAMPLE_LINES);
+  if (lines.length === 0) {
+    return { lineEnding };
+  }
+
+  // Single quotes only count when the file never uses double quotes
+  const startsQuoted = char => lines.some(line => line.startsWith(char));
+  const quote = !text.includes('"') && startsQuoted("'") ? "'" : '"';
+
+  const delimiter = detectDelimiter(lines, quote);
+  const escape = text.includes('\\' + quote) ? '\\' : quote;
+  const quoteAll = splitLine(lines[0], delimiter, quote)
+    .every(field => field.length >= 2 && field.startsWith(quote) && field.endsWith(quote));
+
+  return { delimiter, quote, escape, lineEnding, quoteAll };
+}
+
+// Function to decode file contents with the given encoding, dropping any byte order mark
+function decode(buffer, encoding) {
+  return iconv.decode(buffer, encoding, { stripBOM: true });
+}
+
+// Function to detect the dialect of CSV file contents.
+// Settings in `overrides` (e.g. a known encoding) are used instead of being detected.
+function detectDialect(buffer, overrides = {}) {
+  const detected = detectEncoding(buffer);
+  if (overrides.encoding) {
+    detected.encoding = String(overrides.encoding).toLowerCase();
+  }
+  const text = decode(buffer, detected.encoding);
+  return normaliseDialect({ ...detected, ...detectTextDialect(text), ...overrides });
+}
+
+// Function to read the first bytes of a file
+function readSample(filePath) {
+  const buffer = Buffer.alloc(SAMPLE_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Function to detect the dialect of a CSV file from its first bytes
+function detectFileDialect(filePath, overrides) {
+  return detectDialect(readSample(filePath), overrides);
+}
+
+// Function to read the header row of a CSV file without loading it whole
+function readCsvHeaders(filePath, overrides) {
+  const sample = readSample(filePath);
+  const dialect = detectDialect(sample, overrides);
+  const rows = csvParse.parse(decode(sample, dialect.encoding), {
+    ...getParseOptions(dialect),
+    to_line: 1,
+    skip_empty_lines: true
+  });
+  return rows.length > 0 ? rows[0] : [];
+}
+
+// Function to get csv-parse options for a dialect
+function getParseOptions(dialect) {
+  return {
+    delimiter: dialect.delimiter,
+    quote: dialect.quote,
+    escape: dialect.escape
+  };
+}
+
+// Function to get csv-stringify options for a dialect
+function getStringifyOptions(dialect) {
+  return {
+    delimiter: dialect.delimiter,
+    quote: dialect.quote,
+    escape: dialect.escape,
+    record_delimiter: LINE_ENDINGS[dialect.lineEnding],
+    quoted: dialect.quoteAll,
+    quoted_empty: dialect.quoteAll,
+    // csv-stringify only writes the UTF-8 byte order mark; other encodings add theirs when encoding
+    bom: dialect.bom && dialect.encoding === 'utf8'
+  };
+}
+
+// Function to create a stream converting text to the dialect's encoding, or null for UTF-8
+function createEncodingStream(dialect) {
+  if (dialect.encoding === 'utf8') {
+    return null;
+  }
+  return iconv.encodeStream(dialect.encoding, { addBOM: dialect.bom });
+}
+
+// Function to read and parse a CSV file, detecting its dialect
+function readCsvFile(filePath, overrides) {
+  const buffer = fs.readFileSync(filePath);
+  const dialect = detectDialect(buffer, overrides);
+  const records = csvParse.parse(decode(buffer, dialect.encoding), {
+    ...getParseOptions(dialect),
+    columns: true,
+    skip_empty_lines: true
+  });
+  return { records, dialect };
+}
+
+// Function to stream the records of a CSV file in a known dialect without loading it whole.
+// Returns an async iterable of records keyed by header.
+function createCsvReader(filePath, dialect) {
+  const parser = createParser({
+    ...getParseOptions(dialect),
+    columns: true,
+    skip_empty_lines: true
+  });
+  const input = fs.createReadStream(filePath);
+  const decoder = iconv.decodeStream(dialect.encoding, { stripBOM: true });
+  // Read errors would otherwise leave the parser waiting for more input
+  input.on('error', error => parser.destroy(error));
+  decoder.on('error', error => parser.destroy(error));
+  return input.pipe(decoder).pipe(parser);
+}
+
+// Function to count the records of a CSV file in a known dialect, streaming it
+async function countCsvRecords(filePath, dialect) {
+  let count = 0;
+  for await (const record of createCsvReader(filePath, dialect)) {
+    count++;
+  }
+  return count;
+}
+
+// Function to describe a dialect in one line for the console
+function describeDialect(dialect) {
+  const delimiter = delimiterChoices.find(choice => choice.value === dialect.delimiter);
+  const encoding = encodingChoices.find(choice => choice.value === dialect.encoding);
+  const parts = [
+    delimiter ? delimiter.name.toLowerCase() : `delimiter ${JSON.stringify(dialect.delimiter)}`,
+    encoding ? encoding.name.replace(/ \(.*\)$/, '') : dialect.encoding,
+    dialect.lineEnding.toUpperCase()
+  ];
+  if (dialect.quote !== '"') {
+    parts.push(`quote ${dialect.quote}`);
+  }
+  if (dialect.escape !== dialect.quote) {
+    parts.push(`escape ${dialect.escape}`);
+  }
+  if (dialect.bom) {
+    parts.push('BOM');
+  }
+  if (dialect.quoteAll) {
+    parts.push('all fields quoted');
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  defaultDialect,
+  delimiterChoices,
+  encodingChoices,
+  lineEndingChoices,
+  parseDelimiter,
+  normaliseDialect,
+  detectDialect,
+  detectFileDialect,
+  getParseOptions,
+  getStringifyOptions,
+  createEncodingStream,
+  readCsvFile,
+  createCsvReader,
+  countCsvRecords,
+  readCsvHeaders,
+  describeDialect
+};
@@ -0,0 +1,439 @@
+const { getRandomNumber } = require('./random');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Units offered for steps and offsets, in the order shown in menus
+const dateUnits = [
+  { name: 'Seconds', value: 'second' },
+  { name: 'Minutes', value: 'minute' },
+  { name: 'Hours', value: 'hour' },
+  { name: 'Days', value: 'day' },
+  { name: 'Weeks', value: 'week' },
+  { name: 'Months', value: 'month' },
+  { name: 'Years', value: 'year' }
+];
+
+// Output formats offered in menus
+const dateFormats = [
+  { name: 'ISO 8601 (e.g. 2024-05-17 or 2024-05-17T14:30:00Z)', value: 'iso' },
+  { name: 'Custom pattern (e.g. %d.%m.%Y %H:%M)', value: 'pattern' },
+  { name: 'Unix epoch (seconds)', value: 'epoch-s' },
+  { name: 'Unix epoch (milliseconds)', value: 'epoch-ms' }
+];
+
+// Fixed-length units; calendar units (day and longer) follow wall-clock time instead
+const FIXED_UNIT_MS = {
+  second: SECOND,
+  minute: MINUTE,
+  hour: HOUR
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Cache of formatters per time zone, creating them is expensive
+const zoneFormatters = new Map();
+
+// Function to resolve 'local' and empty values to an IANA time zone name
+function resolveTimeZone(timeZone) {
+  if (!timeZone || timeZone === 'local') {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+  return timeZone;
+}
+
+// Function to check whether a time zone name is supported
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: resolveTimeZone(timeZone) });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to get the wall-clock parts of an instant in a time zone
+function getZonedParts(epoch, timeZone) {
+  if (timeZone === 'UTC') {
+    const date = new Date(epoch);
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      millisecond: date.getUTCMilliseconds()
+    };
+  }
+
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(epoch))) {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: ((epoch % SECOND) + SECOND) % SECOND
+  };
+}
+
+// Function to convert wall-clock parts to a UTC-based number without any zone
+function partsToUtc(parts) {
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+}
+
+// Function to get the offset of a time zone from UTC at an instant, in milliseconds
+function getZoneOffset(epoch, timeZone) {
+  if (timeZone === 'UTC') {
+    return 0;
+  }
+  return partsToUtc(getZonedParts(epoch, timeZone)) - epoch;
+}
+
+// Function to convert wall-clock parts in a time zone to an instant
+function zonedPartsToEpoch(parts, timeZone) {
+  const guess = partsToUtc(parts);
+  const firstOffset = getZoneOffset(guess, timeZone);
+  const epoch = guess - firstOffset;
+  // Re-check the offset at the result to handle DST transitions
+  const secondOffset = getZoneOffset(epoch, timeZone);
+  return secondOffset === firstOffset ? epoch : guess - secondOffset;
+}
+
+// Function to parse a date entered by the user ('now', 'today', YYYY-MM-DD[ HH:mm[:ss]])
+function parseDateInput(input, timeZone, now) {
+  const text = String(input).trim();
+  const zone = resolveTimeZone(timeZone);
+  const currentTime = now !== undefined ? now : Date.now();
+
+  if (text === 'now') {
+    return { epoch: currentTime, hasTime: true };
+  }
+  if (text === 'today') {
+    const parts = getZonedParts(currentTime, zone);
+    return {
+      epoch: zonedPartsToEpoch({ ...parts, hour: 0, minute: 0, second: 0, millisecond: 0 }, zone),
+      hasTime: false
+    };
+  }
+
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) {
+    throw new Error(`Invalid date: ${input} (expected YYYY-MM-DD, YYYY-MM-DD HH:mm[:ss], 'today' or 'now')`);
+  }
+
+  const parts = {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: match[4] !== undefined ? Number(match[4]) : 0,
+    minute: match[5] !== undefined ? Number(match[5]) : 0,
+    second: match[6] !== undefined ? Number(match[6]) : 0,
+    millisecond: 0
+  };
+
+  // Reject dates like 2024-02-30 that Date.UTC would silently roll over
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day ||
+      parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+    throw new Error(`Invalid date: ${input}`);
+  }
+
+  return { epoch: zonedPartsToEpoch(parts, zone), hasTime: match[4] !== undefined };
+}
+
+// Function to add an amount of units to an instant, following the calendar for days and longer
+function addToDate(epoch, amount, unit, timeZone) {
+  if (FIXED_UNIT_MS[unit]) {
+    return epoch + amount * FIXED_UNIT_MS[unit];
+  }
+
+  const parts = getZonedParts(epoch, timeZone);
+  switch (unit) {
+    case 'day':
+      parts.day += amount;
+      break;
+    case 'week':
+      parts.day += amount * 7;
+      break;
+    case 'month':
+    case 'year':
+      const totalMonths = parts.year * 12 + (parts.month - 1) + (unit === 'year' ? amount * 12 : amount);
+      parts.year = Math.floor(totalMonths / 12);
+      parts.month = totalMonths - parts.year * 12 + 1;
+      // Clamp to the last day of the month (Jan 31 + 1 month = Feb 28/29)
+      const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+      parts.day = Math.min(parts.day, daysInMonth);
+      break;
+    default:
+      throw new Error(`Unknown date unit: ${unit}`);
+  }
+
+  // Let Date.UTC normalise day overflow before converting back to the zone
+  const normalised = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  parts.year = normalised.getUTCFullYear();
+  parts.month = normalised.getUTCMonth() + 1;
+  parts.day = normalised.getUTCDate();
+  return zonedPartsToEpoch(parts, timeZone);
+}
+
+// Function to format a UTC offset as +hh:mm (or +hhmm without separator)
+function formatOffset(offset, separator) {
+  const minutes = Math.round(offset / MINUTE);
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  return `${sign}${hours}${separator}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Function to format an instant using a strftime-like pattern
+function formatPattern(epoch, pattern, timeZone) {
+  const parts = getZonedParts(epoch, timeZone);
+  const pad = (value, length) => String(value).padStart(length || 2, '0');
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  const dayOfYear = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(parts.year, 0, 1)) / DAY) + 1;
+  const hour12 = parts.hour % 12 === 0 ? 12 : parts.hour % 12;
+
+  return pattern.replace(/%([a-zA-Z%])/g, (match, token) => {
+    switch (token) {
+      case 'Y': return pad(parts.year, 4);
+      case 'y': return pad(parts.year % 100);
+      case 'm': return pad(parts.month);
+      case 'd': return pad(parts.day);
+      case 'e': return String(parts.day).padStart(2, ' ');
+      case 'H': return pad(parts.hour);
+      case 'I': return pad(hour12);
+      case 'p': return parts.hour < 12 ? 'AM' : 'PM';
+      case 'M': return pad(parts.minute);
+      case 'S': return pad(parts.second);
+      case 'L': return pad(parts.millisecond, 3);
+      case 'j': return pad(dayOfYear, 3);
+      case 'b': return MONTH_NAMES[parts.month - 1].slice(0, 3);
+      case 'B': return MONTH_NAMES[parts.month - 1];
+      case 'a': return DAY_NAMES[weekday].slice(0, 3);
+      case 'A': return DAY_NAMES[weekday];
+      case 'z': return formatOffset(getZoneOffset(epoch, timeZone), '');
+      case 'Z': return timeZone;
+      case 's': return String(Math.floor(epoch / SECOND));
+      case '%': return '%';
+      default: return match;
+    }
+  });
+}
+
+// Function to format an instant according to a date column configuration
+function formatDate(epoch, config) {
+  const timeZone = resolveTimeZone(config.timezone);
+
+  switch (config.format) {
+    case 'epoch-s':
+      return Math.floor(epoch / SECOND);
+    case 'epoch-ms':
+      return epoch;
+    case 'pattern':
+      return formatPattern(epoch, config.pattern || '%Y-%m-%d %H:%M:%S', timeZone);
+    case 'iso':
+    default:
+      if (!config.includeTime) {
+        return formatPattern(epoch, '%Y-%m-%d', timeZone);
+      }
+      const offset = getZoneOffset(epoch, timeZone);
+      return formatPattern(epoch, '%Y-%m-%dT%H:%M:%S', timeZone) + (offset === 0 ? 'Z' : formatOffset(offset, ':'));
+  }
+}
+
+// Regular expressions matching the output of each pattern token when reading dates back
+const PATTERN_TOKEN_REGEX = {
+  Y: '(\\d{4})', y: '(\\d{2})', m: '(\\d{2})', d: '(\\d{2})', e: ' ?(\\d{1,2})',
+  H: '(\\d{2})', I: '(\\d{2})', p: '(AM|PM)', M: '(\\d{2})', S: '(\\d{2})', L: '(\\d{3})',
+  j: '(\\d{3})', b: '([A-Za-z]{3})', B: '([A-Za-z]+)', a: '[A-Za-z]{3}', A: '[A-Za-z]+',
+  z: '([+-]\\d{4})', Z: '\\S+', s: '(-?\\d+)'
+};
+
+// Function to read a date back from text written with a strftime-like pattern
+function parsePattern(text, pattern, timeZone) {
+  const tokens = [];
+  const source = pattern.replace(/%([a-zA-Z%])|[^%]+/g, (match, token) => {
+    if (!token) {
+      return match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    if (token === '%') {
+      return '%';
+    }
+    if (PATTERN_TOKEN_REGEX[token] && PATTERN_TOKEN_REGEX[token].includes('(')) {
+      tokens.push(token);
+    }
+    return PATTERN_TOKEN_REGEX[token] || match;
+  });
+  const match = String(text).match(new RegExp(`^${source}$`));
+  if (!match) {
+    return null;
+  }
+
+  const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+  let pm = null;
+  let offset = null;
+  let dayOfYear = null;
+  for (let t = 0; t < tokens.length; t++) {
+    const value = match[t + 1];
+    switch (tokens[t]) {
+      case 'Y': parts.year = Number(value); break;
+      case 'y': parts.year = 2000 + Number(value); break;
+      case 'm': parts.month = Number(value); break;
+      case 'd': case 'e': parts.day = Number(value); break;
+      case 'H': case 'I': parts.hour = Number(value); break;
+      case 'p': pm = value === 'PM'; break;
+      case 'M': parts.minute = Number(value); break;
+      case 'S': parts.second = Number(value); break;
+      case 'L': parts.millisecond = Number(value); break;
+      case 'j': dayOfYear = Number(value); break;
+      case 'b': case 'B':
+        parts.month = MONTH_NAMES.findIndex(name => name.slice(0, value.length) === value) + 1;
+        break;
+      case 'z':
+        offset = (value[0] === '-' ? -1 : 1) * (Number(value.slice(1, 3)) * HOUR + Number(value.slice(3)) * MINUTE);
+        break;
+      case 's': return Number(value) * SECOND;
+    }
+  }
+  if (pm !== null) {
+    parts.hour = (parts.hour % 12) + (pm ? 12 : 0);
+  }
+  if (dayOfYear !== null) {
+    parts.month = 1;
+    parts.day = dayOfYear;
+  }
+  return offset !== null ? partsToUtc(parts) - offset : zonedPartsToEpoch(parts, timeZone);
+}
+
+// Function to read a value written by formatDate back into an instant, or null if it does not match
+function parseFormattedDate(value, config) {
+  const timeZone = resolveTimeZone(config.timezone);
+
+  switch (config.format) {
+    case 'epoch-s':
+      return value === '' || isNaN(value) ? null : Number(value) * SECOND;
+    case 'epoch-ms':
+      return value === '' || isNaN(value) ? null : Number(value);
+    case 'pattern':
+      return parsePattern(value, config.pattern || '%Y-%m-%d %H:%M:%S', timeZone);
+    case 'iso':
+    default: {
+      const text = String(value);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return parseDateInput(text, timeZone).epoch;
+      }
+      const epoch = Date.parse(text);
+      return isNaN(epoch) ? null : epoch;
+    }
+  }
+}
+
+// Function to describe the finite set of values of a random date column ('dateRange' or 'relativeDate')
+// as its size and a way to get the k-th value, so values can also be drawn without repeats
+function createDateSpace(config, now) {
+  const timeZone = resolveTimeZone(config.timezone);
+
+  switch (config.type) {
+    case 'dateRange': { // Random date in range
+      const from = parseDateInput(config.from, timeZone, now);
+      const to = parseDateInput(config.to, timeZone, now);
+      if (to.epoch < from.epoch) {
+        throw new Error(`Column '${config.header}': end date ${config.to} is before start date ${config.from}`);
+      }
+
+      if (!config.includeTime) {
+        const dayCount = Math.round((partsToUtc(getZonedParts(to.epoch, timeZone)) -
+          partsToUtc(getZonedParts(from.epoch, timeZone))) / DAY);
+        return {
+          size: dayCount + 1,
+          valueAt: k => formatDate(addToDate(from.epoch, k, 'day', timeZone), config)
+        };
+      }
+
+      // A date-only end includes the whole day
+      const toEpoch = to.hasTime ? to.epoch : addToDate(to.epoch, 1, 'day', timeZone) - SECOND;
+      return {
+        size: Math.floor((toEpoch - from.epoch) / SECOND) + 1,
+        valueAt: k => formatDate(from.epoch + k * SECOND, config)
+      };
+    }
+
+    case 'relativeDate': // Now plus or minus a random offset
+      return {
+        size: config.offsetTo - config.offsetFrom + 1,
+        valueAt: k => formatDate(addToDate(now, config.offsetFrom + k, config.offsetUnit, timeZone), config)
+      };
+
+    default:
+      throw new Error(`Not a random date column type: ${config.type}`);
+  }
+}
+
+// Function to create a value generator for a date column ('dateRange', 'dateSequence' or 'relativeDate').
+// Parsing happens once here so generating each row stays cheap. A relative date with relativeTo is
+// offset from the date in that column of the row (anchorConfig is its configuration, for parsing).
+function createDateGenerator(config, now, anchorConfig) {
+  if (config.type === 'relativeDate' && config.relativeTo) {
+    const timeZone = resolveTimeZone(config.timezone);
+    return (i, record) => {
+      const anchor = parseFormattedDate(record[config.relativeTo], anchorConfig);
+      if (anchor === null) {
+        // No date to start from (e.g. an empty conditional column), so no date either
+        return '';
+      }
+      const offset = getRandomNumber(config.offsetFrom, config.offsetTo);
+      return formatDate(addToDate(anchor, offset, config.offsetUnit, timeZone), config);
+    };
+  }
+
+  if (config.type === 'dateSequence') { // Sequential dates
+    const timeZone = resolveTimeZone(config.timezone);
+    const start = parseDateInput(config.start, timeZone, now).epoch;
+    // Computed from the row index so any row can be produced independently
+    return (i) => formatDate(addToDate(start, i * config.stepAmount, config.stepUnit, timeZone), config);
+  }
+
+  const space = createDateSpace(config, now);
+  return () => space.valueAt(getRandomNumber(0, space.size - 1));
+}
+
+module.exports = {
+  dateUnits,
+  dateFormats,
+  resolveTimeZone,
+  isValidTimeZone,
+  parseDateInput,
+  addToDate,
+  formatPattern,
+  formatDate,
+  parseFormattedDate,
+  createDateSpace,
+  createDateGenerator
+};
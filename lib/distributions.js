@@ -0,0 +1,155 @@
+const { random, getRandomNumber, getRandomDecimal } = require('./random');
+
+// Numeric distributions offered for random ranges
+const numberDistributions = [
+  { name: 'Uniform (every value equally likely)', value: 'uniform' },
+  { name: 'Normal (bell curve around a mean)', value: 'normal' },
+  { name: 'Exponential (many small values, few large)', value: 'exponential' },
+  { name: 'Zipf-like (first values dominate)', value: 'zipf' }
+];
+
+// Attempts at drawing a normal value inside the range before clamping
+const MAX_NORMAL_ATTEMPTS = 100;
+
+// Function to count how often each non-empty value occurs, in first-seen order
+function countFrequencies(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return { list: [...counts.keys()], weights: [...counts.values()] };
+}
+
+// Function to parse "A,B,C" or weighted "A:90,B:10" list input
+function parseWeightedList(input, numeric) {
+  const items = String(input).split(',').map(item => item.trim()).filter(item => item !== '');
+  const weighted = items.length > 0 && items.every(item => /:\s*\d+(\.\d+)?$/.test(item));
+
+  const list = [];
+  const weights = [];
+  for (const item of items) {
+    let value = item;
+    if (weighted) {
+      const colon = item.lastIndexOf(':');
+      value = item.slice(0, colon).trim();
+      weights.push(Number(item.slice(colon + 1)));
+    }
+    list.push(numeric ? Number(value) : value);
+  }
+
+  return weighted ? { list, weights } : { list };
+}
+
+// Function to create a picker that respects the given weights (cumulative table + binary search)
+function createWeightedPicker(list, weights) {
+  if (!Array.isArray(weights) || weights.length !== list.length) {
+    throw new Error('List and weights must have the same length');
+  }
+
+  const cumulative = [];
+  let total = 0;
+  for (const weight of weights) {
+    if (!(weight >= 0)) {
+      throw new Error(`Invalid weight: ${weight}`);
+    }
+    total += weight;
+    cumulative.push(total);
+  }
+  if (total <= 0) {
+    throw new Error('At least one weight must be greater than zero');
+  }
+
+  return () => {
+    const target = random() * total;
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cumulative[middle] > target) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return list[low];
+  };
+}
+
+// Function to draw from a standard normal distribution (Box-Muller)
+function getStandardNormal() {
+  let u = 0;
+  while (u === 0) {
+    u = random();
+  }
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Function to round a sampled value to the column's precision
+function toPrecision(value, decimals) {
+  return decimals ? Number(value.toFixed(decimals)) : Math.round(value);
+}
+
+// Function to create a sampler for a numeric range column ('range') with a distribution
+function createNumberSampler(config) {
+  const { min, max } = config;
+  const decimals = config.decimals || 0;
+
+  if (min === max) {
+    return () => toPrecision(min, decimals);
+  }
+
+  switch (config.distribution || 'uniform') {
+    case 'uniform':
+      return decimals ? () => getRandomDecimal(min, max, decimals) : () => getRandomNumber(min, max);
+
+    case 'normal': {
+      const mean = config.mean !== undefined ? config.mean : (min + max) / 2;
+      const stddev = config.stddev !== undefined ? config.stddev : (max - min) / 6;
+      return () => {
+        // Redraw values outside the range, clamp if the range is far from the mean
+        for (let attempt = 0; attempt < MAX_NORMAL_ATTEMPTS; attempt++) {
+          const value = mean + getStandardNormal() * stddev;
+          if (value >= min && value <= max) {
+            return toPrecision(value, decimals);
+          }
+        }
+        return toPrecision(Math.min(Math.max(mean, min), max), decimals);
+      };
+    }
+
+    case 'exponential': {
+      // Mean distance from the minimum; the tail is truncated at the maximum
+      const mean = config.mean !== undefined ? config.mean : (max - min) / 5;
+      const mass = 1 - Math.exp(-(max - min) / mean);
+      return () => toPrecision(min - mean * Math.log(1 - random() * mass), decimals);
+    }
+
+    case 'zipf': {
+      // Continuous approximation of Zipf's law over ranks 1..n mapped onto min..max
+      const exponent = config.exponent !== undefined ? config.exponent : 1;
+      const n = Math.floor(max - min) + 1;
+      return () => {
+        const u = random();
+        const rank = exponent === 1
+          ? Math.pow(n + 1, u)
+          : Math.pow((Math.pow(n + 1, 1 - exponent) - 1) * u + 1, 1 / (1 - exponent));
+        const offset = Math.min(Math.floor(rank) - 1, n - 1);
+        return toPrecision(min + offset, decimals);
+      };
+    }
+
+    default:
+      throw new Error(`Unknown distribution: ${config.distribution}`);
+  }
+}
+
+module.exports = {
+  numberDistributions,
+  countFrequencies,
+  parseWeightedList,
+  createWeightedPicker,
+  createNumberSampler
+};
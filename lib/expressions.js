@@ -0,0 +1,536 @@
+// Expression language for computed columns. Expressions are parsed into a small
+// syntax tree and evaluated by walking it, so nothing is ever passed to eval().
+//
+//   quantity * unit_price
+//   lower(ascii(first_name)) + "." + lower(ascii(last_name)) + "@example.com"
+//   start_date + 30d
+//   status == "CLOSED" ? "yes" : "no"
+//
+// Column names that are not plain identifiers are written in brackets: [unit price].
+
+const dates = require('./dates');
+const { toAscii } = require('./fake-data');
+
+// Duration suffixes accepted after a number literal, e.g. 30d or 12h
+const DURATION_UNITS = {
+  s: 'second',
+  min: 'minute',
+  h: 'hour',
+  d: 'day',
+  w: 'week',
+  mo: 'month',
+  y: 'year'
+};
+
+// Binary operators from lowest to highest precedence
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const OPERATORS = ['||', '&&', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A length of time written as a literal such as 30d
+class Duration {
+  constructor(amount, unit) {
+    this.amount = amount;
+    this.unit = unit;
+  }
+}
+
+// An instant read from a date column; keeps the column's settings so results are formatted the same way
+class DateValue {
+  constructor(epoch, config) {
+    this.epoch = epoch;
+    this.config = config;
+  }
+}
+
+// Function to create an error pointing at a position in the expression
+function syntaxError(message, text, position) {
+  return new Error(`${message} at position ${position + 1} in expression: ${text}`);
+}
+
+// Function to split an expression into tokens
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(text[i + 1]))) {
+      const match = text.slice(i).match(/^(\d+(?:\.\d+)?|\.\d+)([a-z]+)?/);
+      const unit = match[2];
+      if (unit && !DURATION_UNITS[unit]) {
+        throw syntaxError(`Unknown duration unit '${unit}' (use ${Object.keys(DURATION_UNITS).join(', ')})`, text, i);
+      }
+      tokens.push(unit
+        ? { type: 'duration', value: new Duration(Number(match[1]), DURATION_UNITS[unit]), position: i }
+        : { type: 'number', value: Number(match[1]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length && text[j] !== char) {
+        // Backslash escapes the next character, e.g. "say \"hi\""
+        if (text[j] === '\\' && j + 1 < text.length) {
+          j++;
+        }
+        value += text[j];
+        j++;
+      }
+      if (j >= text.length) {
+        throw syntaxError('Unterminated string', text, i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end < 0) {
+        throw syntaxError("Missing ']' after column name", text, i);
+      }
+      tokens.push({ type: 'identifier', value: text.slice(i + 1, end), quoted: true, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const identifier = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${char}'`, text, i);
+  }
+
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+}
+
+// Function to parse tokens into a syntax tree (recursive descent, one level per precedence)
+function parse(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`Expected '${value}'`, text, peek().position);
+    }
+    index++;
+  };
+
+  function parseConditional() {
+    const test = parseBinary(0);
+    if (!isOperator('?')) {
+      return test;
+    }
+    index++;
+    const consequent = parseConditional();
+    expect(':');
+    const alternate = parseConditional();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  function parseBinary(level) {
+    if (level >= BINARY_PRECEDENCE.length) {
+      return parseUnary();
+    }
+    let left = parseBinary(level + 1);
+    while (peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('-') || isOperator('!')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'duration':
+        return { type: 'literal', value: token.value };
+
+      case 'identifier':
+        if (!token.quoted && isOperator('(')) {
+          return parseCall(token);
+        }
+        if (!token.quoted && ['true', 'false', 'null'].includes(token.value)) {
+          return { type: 'literal', value: JSON.parse(token.value) };
+        }
+        return { type: 'column', name: token.value };
+
+      case 'operator':
+        if (token.value === '(') {
+          const inner = parseConditional();
+          expect(')');
+          return inner;
+        }
+        break;
+    }
+    throw syntaxError(token.type === 'end' ? 'Unexpected end' : `Unexpected '${token.value}'`, text, token.position);
+  }
+
+  function parseCall(token) {
+    const fn = getFunction(token.value);
+    if (!fn) {
+      throw syntaxError(`Unknown function '${token.value}'`, text, token.position);
+    }
+    expect('(');
+    const args = [];
+    if (!isOperator(')')) {
+      args.push(parseConditional());
+      while (isOperator(',')) {
+        index++;
+        args.push(parseConditional());
+      }
+    }
+    expect(')');
+    if (args.length < fn.min || args.length > fn.max) {
+      const expected = fn.min === fn.max ? fn.min : (fn.max === Infinity ? `at least ${fn.min}` : `${fn.min}-${fn.max}`);
+      throw syntaxError(`Function '${token.value}' takes ${expected} argument(s), got ${args.length}`, text, token.position);
+    }
+    return { type: 'call', name: token.value, args };
+  }
+
+  const tree = parseConditional();
+  if (peek().type !== 'end') {
+    throw syntaxError(`Unexpected '${peek().value}'`, text, peek().position);
+  }
+  return tree;
+}
+
+// Function to turn a value into text, as used for concatenation and string functions
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof DateValue) {
+    return String(dates.formatDate(value.epoch, value.config));
+  }
+  if (value instanceof Duration) {
+    return `${value.amount} ${value.unit}${value.amount === 1 ? '' : 's'}`;
+  }
+  return String(value);
+}
+
+// Function to turn a value into a number, accepting numeric text
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return Number(value);
+  }
+  throw new Error(`Cannot use ${JSON.stringify(toText(value))} as a number`);
+}
+
+// Function to decide whether a value counts as true in conditions
+function isTruthy(value) {
+  return !(value === null || value === undefined || value === false || value === 0 || value === '');
+}
+
+// Function to compare two values: dates by instant, numbers numerically, anything else as text
+function compare(left, right) {
+  if (left instanceof DateValue && right instanceof DateValue) {
+    return left.epoch - right.epoch;
+  }
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  const a = toText(left);
+  const b = toText(right);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Function to move a date by a duration, following the calendar of the date's time zone
+function shiftDate(date, duration, sign) {
+  const timeZone = dates.resolveTimeZone(date.config.timezone);
+  return new DateValue(dates.addToDate(date.epoch, sign * duration.amount, duration.unit, timeZone), date.config);
+}
+
+// Function to reject adding or subtracting a duration and a value that is not a date
+function checkDurationOperands(operator, left, right) {
+  if ((left instanceof Duration || right instanceof Duration) && left !== null && right !== null) {
+    const other = left instanceof Duration ? right : left;
+    throw new Error(
+      `Cannot ${operator === '+' ? 'add' : 'subtract'} ${toText(left instanceof Duration ? left : right)} ` +
+      `${operator === '+' ? 'to' : 'from'} ${JSON.stringify(toText(other))}, which is not a date column value`
+    );
+  }
+}
+
+// Function to apply a binary operator
+function applyBinary(operator, left, right) {
+  switch (operator) {
+    case '+':
+      if (left instanceof DateValue && right instanceof Duration) {
+        return shiftDate(left, right, 1);
+      }
+      if (left instanceof Duration && right instanceof DateValue) {
+        return shiftDate(right, left, 1);
+      }
+      checkDurationOperands(operator, left, right);
+      if (typeof left === 'number' && typeof right === 'number') {
+        return left + right;
+      }
+      // An empty number or date stays empty
+      const isNumberOrDuration = value => typeof value === 'number' || value instanceof Duration;
+      if ((left === null && isNumberOrDuration(right)) || (isNumberOrDuration(left) && right === null)) {
+        return null;
+      }
+      return toText(left) + toText(right);
+
+    case '-':
+      if (left instanceof DateValue && right instanceof Duration) {
+        return shiftDate(left, right, -1);
+      }
+      if (left instanceof DateValue && right instanceof DateValue) {
+        return (left.epoch - right.epoch) / DAY_MS; // Difference in days
+      }
+      checkDurationOperands(operator, left, right);
+      if (left === null || right === null) {
+        return null;
+      }
+      return toNumber(left) - toNumber(right);
+
+    case '*':
+      if (left instanceof Duration || right instanceof Duration) {
+        const duration = left instanceof Duration ? left : right;
+        return new Duration(duration.amount * toNumber(left instanceof Duration ? right : left), duration.unit);
+      }
+      if (left === null || right === null) {
+        return null;
+      }
+      return toNumber(left) * toNumber(right);
+
+    case '/':
+    case '%': {
+      if (left === null || right === null) {
+        return null;
+      }
+      const divisor = toNumber(right);
+      // Dividing by zero gives an empty value rather than stopping the whole run
+      if (divisor === 0) {
+        return null;
+      }
+      return operator === '/' ? toNumber(left) / divisor : toNumber(left) % divisor;
+    }
+
+    case '==': return compare(left, right) === 0;
+    case '!=': return compare(left, right) !== 0;
+    case '<': return compare(left, right) < 0;
+    case '<=': return compare(left, right) <= 0;
+    case '>': return compare(left, right) > 0;
+    case '>=': return compare(left, right) >= 0;
+
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+}
+
+// Function to get the [year, month, day] of a date value for date functions
+function toDateParts(value) {
+  if (!(value instanceof DateValue)) {
+    throw new Error(`${JSON.stringify(toText(value))} is not a date column value`);
+  }
+  return dates.formatPattern(value.epoch, '%Y-%m-%d', dates.resolveTimeZone(value.config.timezone)).split('-').map(Number);
+}
+
+// Functions available in expressions, with the number of arguments they take
+const FUNCTIONS = {
+  lower: { min: 1, max: 1, apply: (s) => toText(s).toLowerCase() },
+  upper: { min: 1, max: 1, apply: (s) => toText(s).toUpperCase() },
+  trim: { min: 1, max: 1, apply: (s) => toText(s).trim() },
+  ascii: { min: 1, max: 1, apply: (s) => toAscii(toText(s)) },
+  len: { min: 1, max: 1, apply: (s) => toText(s).length },
+  substr: {
+    min: 2,
+    max: 3,
+    apply: (s, start, length) => {
+      const text = toText(s);
+      const from = toNumber(start);
+      return length === undefined ? text.substr(from) : text.substr(from, toNumber(length));
+    }
+  },
+  replace: { min: 3, max: 3, apply: (s, find, replacement) => toText(s).split(toText(find)).join(toText(replacement)) },
+  concat: { min: 1, max: Infinity, apply: (...values) => values.map(toText).join('') },
+  coalesce: {
+    min: 1,
+    max: Infinity,
+    apply: (...values) => {
+      const found = values.find(value => value !== null && value !== undefined && value !== '');
+      return found === undefined ? null : found;
+    }
+  },
+  if: { min: 3, max: 3, lazy: true },
+  number: { min: 1, max: 1, apply: (value) => toNumber(value) },
+  text: { min: 1, max: 1, apply: (value) => toText(value) },
+  round: {
+    min: 1,
+    max: 2,
+    apply: (value, decimals) => {
+      const factor = Math.pow(10, decimals === undefined ? 0 : toNumber(decimals));
+      return Math.round(toNumber(value) * factor) / factor;
+    }
+  },
+  fixed: { min: 2, max: 2, apply: (value, decimals) => toNumber(value).toFixed(toNumber(decimals)) },
+  floor: { min: 1, max: 1, apply: (value) => Math.floor(toNumber(value)) },
+  ceil: { min: 1, max: 1, apply: (value) => Math.ceil(toNumber(value)) },
+  abs: { min: 1, max: 1, apply: (value) => Math.abs(toNumber(value)) },
+  min: { min: 1, max: Infinity, apply: (...values) => values.reduce((a, b) => (compare(a, b) <= 0 ? a : b)) },
+  max: { min: 1, max: Infinity, apply: (...values) => values.reduce((a, b) => (compare(a, b) >= 0 ? a : b)) },
+  year: { min: 1, max: 1, apply: (value) => toDateParts(value)[0] },
+  month: { min: 1, max: 1, apply: (value) => toDateParts(value)[1] },
+  day: { min: 1, max: 1, apply: (value) => toDateParts(value)[2] }
+};
+
+// Function to look up an expression function; names inherited from Object.prototype are not functions
+function getFunction(name) {
+  return Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+}
+
+// Function to evaluate a syntax tree; resolveColumn(name) returns the value of a column in the current row
+function evaluate(node, resolveColumn) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return resolveColumn(node.name);
+    case 'unary': {
+      const operand = evaluate(node.operand, resolveColumn);
+      if (node.operator === '!') {
+        return !isTruthy(operand);
+      }
+      if (operand instanceof Duration) {
+        return new Duration(-operand.amount, operand.unit);
+      }
+      return operand === null ? null : -toNumber(operand);
+    }
+    case 'binary':
+      // Logical operators only evaluate the right side when needed
+      if (node.operator === '&&') {
+        return isTruthy(evaluate(node.left, resolveColumn)) && isTruthy(evaluate(node.right, resolveColumn));
+      }
+      if (node.operator === '||') {
+        return isTruthy(evaluate(node.left, resolveColumn)) || isTruthy(evaluate(node.right, resolveColumn));
+      }
+      return applyBinary(node.operator, evaluate(node.left, resolveColumn), evaluate(node.right, resolveColumn));
+    case 'conditional':
+      return isTruthy(evaluate(node.test, resolveColumn))
+        ? evaluate(node.consequent, resolveColumn)
+        : evaluate(node.alternate, resolveColumn);
+    case 'call':
+      if (node.name === 'if') {
+        return isTruthy(evaluate(node.args[0], resolveColumn))
+          ? evaluate(node.args[1], resolveColumn)
+          : evaluate(node.args[2], resolveColumn);
+      }
+      return getFunction(node.name).apply(...node.args.map(arg => evaluate(arg, resolveColumn)));
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+// Function to list the column names a syntax tree refers to
+function collectColumns(node, names = new Set()) {
+  switch (node.type) {
+    case 'column':
+      names.add(node.name);
+      break;
+    case 'unary':
+      collectColumns(node.operand, names);
+      break;
+    case 'binary':
+      collectColumns(node.left, names);
+      collectColumns(node.right, names);
+      break;
+    case 'conditional':
+      collectColumns(node.test, names);
+      collectColumns(node.consequent, names);
+      collectColumns(node.alternate, names);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectColumns(arg, names));
+      break;
+  }
+  return names;
+}
+
+// Function to turn an expression result into an output value
+function toOutput(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof DateValue) {
+    return dates.formatDate(value.epoch, value.config);
+  }
+  if (typeof value === 'number') {
+    // Hide floating point noise such as 0.1 * 3 = 0.30000000000000004
+    return Number.isInteger(value) || !isFinite(value) ? value : Number(value.toFixed(10));
+  }
+  return typeof value === 'string' ? value : toText(value);
+}
+
+// Function to compile an expression once into an evaluator and the columns it uses.
+// Syntax errors, unknown functions and wrong argument counts are reported here, before generation.
+// evaluate() returns the raw result (e.g. a DateValue); toOutput() turns it into a field value.
+function compileExpression(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Expression cannot be empty');
+  }
+  const tree = parse(text);
+  return {
+    columns: [...collectColumns(tree)],
+    evaluate: (resolveColumn) => evaluate(tree, resolveColumn)
+  };
+}
+
+module.exports = {
+  Duration,
+  DateValue,
+  functionNames: Object.keys(FUNCTIONS),
+  compileExpression,
+  isTruthy,
+  toOutput
+};
@@ -0,0 +1,165 @@
+const { getRandomNumber, getRandomFromList } = require('./random');
+
+// Bundled offline word lists, keyed by locale code
+const locales = {
+  en: require('./locales/en.json'),
+  pl: require('./locales/pl.json')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Fake data kinds in the order they are offered in the menu
+const fakeDataTypes = [
+  { name: 'First name', value: 'firstName' },
+  { name: 'Last name', value: 'lastName' },
+  { name: 'Full name', value: 'fullName' },
+  { name: 'Email address', value: 'email' },
+  { name: 'Street address', value: 'streetAddress' },
+  { name: 'City', value: 'city' },
+  { name: 'Postal code', value: 'postalCode' },
+  { name: 'Phone number', value: 'phone' },
+  { name: 'UUID v4', value: 'uuid' },
+  { name: 'IBAN-style account number', value: 'iban' },
+  { name: 'Company name', value: 'company' }
+];
+
+// Function to get the word lists for a locale, falling back to English
+function getLocale(localeCode) {
+  return locales[localeCode] || locales[DEFAULT_LOCALE];
+}
+
+// Function to list available locales for menus
+function getLocaleChoices() {
+  return Object.keys(locales).map(code => ({ name: `${locales[code].name} (${code})`, value: code }));
+}
+
+// Function to fill a mask: '#' becomes a digit, 'N' a digit from 2 to 9 (e.g. the first digit
+// of a North American area code), 'A' an uppercase letter
+function fillMask(mask) {
+  let result = '';
+  for (const char of mask) {
+    if (char === '#') {
+      result += getRandomNumber(0, 9);
+    } else if (char === 'N') {
+      result += getRandomNumber(2, 9);
+    } else if (char === 'A') {
+      result += String.fromCharCode(getRandomNumber(65, 90));
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+// Function to fill "{placeholder}" tokens, calling the provider for every occurrence
+function fillFormat(format, providers) {
+  return format.replace(/\{(\w+)\}/g, (match, key) => (providers[key] ? providers[key]() : match));
+}
+
+// Function to strip diacritics so names can be used in email addresses
+function toAscii(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ł/g, 'l')
+    .replace(/Ł/g, 'L');
+}
+
+// Function to pick a person with matching first and last name forms
+function getRandomPerson(locale) {
+  const gender = getRandomFromList(['male', 'female']);
+  return {
+    firstName: getRandomFromList(locale.firstNames[gender]),
+    lastName: getRandomFromList(locale.lastNames[gender])
+  };
+}
+
+// Function to generate an email address based on a random person
+function getRandomEmail(locale) {
+  const person = getRandomPerson(locale);
+  const first = toAscii(person.firstName).toLowerCase();
+  const last = toAscii(person.lastName).toLowerCase().replace(/[^a-z]/g, '');
+  const localPart = getRandomFromList([
+    `${first}.${last}`,
+    `${first.charAt(0)}.${last}`,
+    `${first}${last}${getRandomNumber(1, 99)}`,
+    `${first}_${last}`
+  ]);
+  return `${localPart}@${getRandomFromList(locale.emailDomains)}`;
+}
+
+// Function to generate a random UUID v4
+function getRandomUuid() {
+  const bytes = [];
+  for (let i = 0; i < 16; i++) {
+    bytes.push(getRandomNumber(0, 255));
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Function to generate an IBAN-style account number with valid check digits
+function getRandomIban(locale) {
+  const { country, bban } = locale.iban;
+  const account = fillMask(bban);
+  // Letters map to 10..35, then the whole number is taken modulo 97
+  const numeric = (account + country + '00').replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  const checkDigits = String(98 - remainder).padStart(2, '0');
+  return country + checkDigits + account;
+}
+
+// Function to generate a fake value of the given kind
+function generateFakeValue(kind, localeCode) {
+  const locale = getLocale(localeCode);
+
+  switch (kind) {
+    case 'firstName':
+      return getRandomPerson(locale).firstName;
+    case 'lastName':
+      return getRandomPerson(locale).lastName;
+    case 'fullName':
+      const person = getRandomPerson(locale);
+      return `${person.firstName} ${person.lastName}`;
+    case 'email':
+      return getRandomEmail(locale);
+    case 'streetAddress':
+      return fillFormat(getRandomFromList(locale.streetFormats), {
+        streetName: () => getRandomFromList(locale.streetNames),
+        streetSuffix: () => getRandomFromList(locale.streetSuffixes),
+        buildingNumber: () => String(getRandomNumber(1, 250)),
+        apartmentNumber: () => String(getRandomNumber(1, 120))
+      });
+    case 'city':
+      return getRandomFromList(locale.cities);
+    case 'postalCode':
+      return fillMask(getRandomFromList(locale.postalCodeFormats));
+    case 'phone':
+      return fillMask(getRandomFromList(locale.phoneFormats));
+    case 'uuid':
+      return getRandomUuid();
+    case 'iban':
+      return getRandomIban(locale);
+    case 'company':
+      return fillFormat(getRandomFromList(locale.companyFormats), {
+        lastName: () => getRandomFromList(locale.lastNames.male),
+        companyWord: () => getRandomFromList(locale.companyWords),
+        companySuffix: () => getRandomFromList(locale.companySuffixes)
+      });
+    default:
+      throw new Error(`Unknown fake data type: ${kind}`);
+  }
+}
+
+module.exports = {
+  fakeDataTypes,
+  getLocaleChoices,
+  fillMask,
+  toAscii,
+  generateFakeValue
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const { once } = require('events');
+const { createDerivedRandom } = require('./random');
+
+// Fault injection for negative testing: a share of the generated cells (and rows) is made
+// "dirty" on purpose, e.g. left empty, padded with whitespace or given an impossible date.
+// Rates are fractions between 0 and 1. Faults set for the file apply to every column they
+// suit; faults set on a column override the file's rate for that column. Faults draw from
+// their own random generator, so the clean cells are the same as in a run without faults.
+
+// Kinds of faults, in the order they are tried for each cell.
+// appliesTo lists the column types a fault suits (all types when missing).
+const faultTypes = [
+  { name: 'Null (no value)', value: 'null' },
+  { name: 'Empty string', value: 'empty' },
+  { name: 'Leading/trailing whitespace', value: 'whitespace' },
+  { name: 'Over-length strings', value: 'overLength', appliesTo: ['list', 'randomString', 'listInOrder', 'prefixedString', 'pattern', 'fake', 'computed', 'foreignKey', 'mapped', 'rowGroup'] },
+  { name: 'Unicode and emoji', value: 'unicode' },
+  { name: 'Embedded delimiters, quotes and newlines', value: 'specialCharacters' },
+  { name: 'Out-of-range numbers', value: 'outOfRange', appliesTo: ['range', 'numberList', 'sequence'] },
+  { name: 'Malformed dates', value: 'malformedDate', appliesTo: ['dateRange', 'dateSequence', 'relativeDate'] }
+];
+
+// Faults that apply to whole rows, set for the file only
+const rowFaultTypes = [
+  { name: 'Duplicate rows', value: 'duplicateRows' }
+];
+
+// Length assumed for text columns without a known maximum (a common VARCHAR limit)
+const DEFAULT_TEXT_LIMIT = 255;
+
+// Number of recent rows a duplicate row is copied from, so memory stays flat for large files
+const DUPLICATE_WINDOW = 1000;
+
+const WHITESPACE = [' ', '  ', '\t', '\u00a0'];
+const UNICODE_SAMPLES = [
+  'Zoë', 'Ångström', 'straße', 'Łódź', '日本語', '中文', 'العربية', 'עברית', 'Ελληνικά',
+  '😀', '👍🏽', '👨\u200d👩\u200d👧', '🇵🇱', 'e\u0301', '\u200b', '\ufeff'
+];
+const SPECIAL_CHARACTERS = [',', ';', '\t', '|', '"', '\'', '""', '\\', '\n', '\r\n'];
+const MALFORMED_DATES = [
+  '2023-02-30', '2023-13-01', '2023-00-10', '2023-06-31T25:61:00', '31/31/2023',
+  '0000-00-00', '2023/1/1/1', 'yesterday', 'N/A', '1e12'
+];
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Function to check whether a fault suits a column type
+function faultAppliesTo(fault, type) {
+  const faultType = faultTypes.find(t => t.value === fault);
+  return Boolean(faultType) && (!faultType.appliesTo || faultType.appliesTo.includes(type));
+}
+
+// Function to parse a fault rate given as a fraction ("0.05") or a percentage ("5%")
+function parseRate(input) {
+  const text = String(input).trim();
+  const percent = text.endsWith('%');
+  const rate = Number(percent ? text.slice(0, -1) : text) / (percent ? 100 : 1);
+  if (text === '' || text === '%' || !(rate >= 0 && rate <= 1)) {
+    throw new Error(`Invalid fault rate: ${input} (use a fraction between 0 and 1 or a percentage)`);
+  }
+  return rate;
+}
+
+// Function to parse "null=0.05,whitespace=2%,duplicateRows=0.01" into file fault settings
+function parseFaultSpec(spec) {
+  const known = [...faultTypes, ...rowFaultTypes].map(t => t.value);
+  const faults = {};
+  for (const item of String(spec).split(',').map(part => part.trim()).filter(part => part !== '')) {
+    const equals = item.indexOf('=');
+    const fault = equals > 0 ? item.slice(0, equals).trim() : item;
+    if (!known.includes(fault)) {
+      throw new Error(`Unknown fault: ${fault} (available faults: ${known.join(', ')})`);
+    }
+    if (equals < 0) {
+      throw new Error(`Missing rate for fault ${fault} (e.g. ${fault}=0.05)`);
+    }
+    faults[fault] = parseRate(item.slice(equals + 1));
+  }
+  return faults;
+}
+
+// Function to list the problems of fault settings; column settings cannot set row faults
+function validateFaults(faults, columnType) {
+  if (faults === null || typeof faults !== 'object' || Array.isArray(faults)) {
+    return ['faults must be an object of fault rates'];
+  }
+  const allowed = columnType ? faultTypes : [...faultTypes, ...rowFaultTypes];
+  const problems = [];
+  for (const [fault, rate] of Object.entries(faults)) {
+    if (!allowed.some(t => t.value === fault)) {
+      problems.push(`unknown fault: ${fault}`);
+    } else if (columnType && !faultAppliesTo(fault, columnType)) {
+      problems.push(`fault ${fault} does not apply to ${columnType} columns`);
+    }
+    if (!(typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+      problems.push(`fault rate of ${fault} must be between 0 and 1, got ${JSON.stringify(rate)}`);
+    }
+  }
+  return problems;
+}
+
+// Function to check whether any faults are configured for the file or its columns
+function hasFaults(columnConfigurations, fileFaults) {
+  const anyRate = faults => Boolean(faults) && Object.values(faults).some(rate => rate > 0);
+  return anyRate(fileFaults) || columnConfigurations.some(config => anyRate(config.faults));
+}
+
+// Function to get the longest value a text column normally produces, or null when unknown
+function getTextLimit(config) {
+  switch (config.type) {
+    case 'randomString':
+      return config.length;
+    case 'prefixedString':
+      return config.prefix.length + config.length;
+    case 'list':
+    case 'listInOrder':
+    case 'rowGroup':
+      return Math.max(...config.list.map(value => String(value).length));
+    default:
+      return null;
+  }
+}
+
+// Function to get the lowest and highest value of a numeric column
+function getNumberBounds(config, numRecords) {
+  switch (config.type) {
+    case 'range':
+      return { min: config.min, max: config.max, decimals: config.decimals || 0 };
+    case 'numberList':
+      return { min: Math.min(...config.list), max: Math.max(...config.list), decimals: 0 };
+    case 'sequence': {
+      const last = config.start + Math.max(numRecords - 1, 0) * config.step;
+      return { min: Math.min(config.start, last), max: Math.max(config.start, last), decimals: 0 };
+    }
+  }
+}
+
+// Function to create the faulty value makers of a run, drawing from the given generator
+function createFaultMakers(random, numRecords) {
+  const pick = list => list[Math.floor(random() * list.length)];
+  // Inserted between characters (not UTF-16 code units), so existing emoji stay intact
+  const insert = (value, text) => {
+    const characters = Array.from(String(value));
+    const position = Math.floor(random() * (characters.length + 1));
+    return characters.slice(0, position).join('') + text + characters.slice(position).join('');
+  };
+
+  return {
+    null: () => null,
+    empty: () => '',
+    whitespace: (value) => {
+      const where = Math.floor(random() * 3);
+      return (where !== 1 ? pick(WHITESPACE) : '') + String(value) + (where !== 0 ? pick(WHITESPACE) : '');
+    },
+    overLength: (value, config) => {
+      const limit = getTextLimit(config) || DEFAULT_TEXT_LIMIT;
+      let text = String(value);
+      while (text.length < limit * 2) {
+        text += LETTERS.charAt(Math.floor(random() * LETTERS.length));
+      }
+      return text;
+    },
+    unicode: value => insert(value, pick(UNICODE_SAMPLES)),
+    specialCharacters: value => insert(value, pick(SPECIAL_CHARACTERS)),
+    outOfRange: (value, config) => {
+      const { min, max, decimals } = getNumberBounds(config, numRecords);
+      const step = Math.pow(10, -decimals);
+      const span = Math.max(max - min, 1);
+      const number = pick([min - step, max + step, min - span * 1000, max + span * 1000]);
+      return decimals ? Number(number.toFixed(decimals)) : number;
+    },
+    malformedDate: () => pick(MALFORMED_DATES)
+  };
+}
+
+// Function to prepare fault injection for a generation run.
+// Returns null when no faults are configured, otherwise an object whose apply(record, i)
+// returns the record to write and the mutations made to it (for the manifest).
+function createFaultInjector(columnConfigurations, fileFaults, numRecords) {
+  if (!hasFaults(columnConfigurations, fileFaults)) {
+    return null;
+  }
+
+  const random = createDerivedRandom('faults');
+  const makers = createFaultMakers(random, numRecords);
+
+  // Rates per column: the file's rates for the faults that suit the column, then the column's own
+  const columns = columnConfigurations.map(config => {
+    const rates = [];
+    for (const faultType of faultTypes) {
+      const fault = faultType.value;
+      const rate = config.faults && config.faults[fault] !== undefined
+        ? config.faults[fault]
+        : (fileFaults && faultAppliesTo(fault, config.type) ? fileFaults[fault] : undefined);
+      if (rate > 0) {
+        rates.push({ fault, rate });
+      }
+    }
+    return { config, rates };
+  }).filter(column => column.rates.length > 0);
+
+  const duplicateRate = (fileFaults && fileFaults.duplicateRows) || 0;
+  // Recently written rows with their row numbers, for duplicate rows to copy
+  const recent = [];
+
+  return {
+    apply(record, i) {
+      const mutations = [];
+      let result = record;
+
+      if (duplicateRate > 0 && recent.length > 0 && random() < duplicateRate) {
+        const original = recent[Math.floor(random() * recent.length)];
+        result = { ...original.record };
+        mutations.push({ row: i + 1, fault: 'duplicateRows', duplicateOf: original.row });
+      } else {
+        for (const { config, rates } of columns) {
+          const fault = rates.find(({ rate }) => random() < rate);
+          if (!fault) {
+            continue;
+          }
+          if (result === record) {
+            result = { ...record };
+          }
+          const original = record[config.header];
+          result[config.header] = makers[fault.fault](original, config);
+          mutations.push({ row: i + 1, column: config.header, fault: fault.fault, original, value: result[config.header] });
+        }
+      }
+
+      if (duplicateRate > 0) {
+        recent.push({ row: i + 1, record: result });
+        if (recent.length > DUPLICATE_WINDOW) {
+          recent.shift();
+        }
+      }
+      return { record: result, mutations };
+    }
+  };
+}
+
+// Function to create the sidecar manifest listing mutated rows and cells.
+// Entries are streamed as they happen, so the manifest never has to fit in memory.
+function createManifest(manifestFilePath, details) {
+  const stream = fs.createWriteStream(manifestFilePath, 'utf8');
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  const head = JSON.stringify({ ...details, mutations: [] }, null, 2);
+  stream.write(head.slice(0, head.lastIndexOf('[') + 1));
+  let count = 0;
+
+  return {
+    finished,
+    async add(mutations) {
+      for (const mutation of mutations) {
+        if (!stream.write(`${count === 0 ? '' : ','}\n    ${JSON.stringify(mutation)}`)) {
+          await once(stream, 'drain');
+        }
+        count++;
+      }
+    },
+    async close() {
+      stream.end(`${count === 0 ? '' : '\n  '}]\n}\n`);
+      await finished;
+      return count;
+    },
+    destroy(error) {
+      stream.destroy(error);
+    }
+  };
+}
+
+module.exports = {
+  faultTypes,
+  rowFaultTypes,
+  faultAppliesTo,
+  parseRate,
+  parseFaultSpec,
+  validateFaults,
+  hasFaults,
+  createFaultInjector,
+  createManifest
+};
@@ -0,0 +1,293 @@
+const path = require('path');
+const { once } = require('events');
+const {
+  getRandomNumber,
+  getRandomDecimal,
+  getRandomString,
+  getRandomStringWithPrefix,
+  getRandomFromList
+} = require('./random');
+const fakeData = require('./fake-data');
+const dates = require('./dates');
+const distributions = require('./distributions');
+const { createUniqueGenerator } = require('./unique');
+const { createComputedColumns } = require('./computed');
+const correlations = require('./correlations');
+const patterns = require('./patterns');
+const faults = require('./faults');
+const masking = require('./masking');
+const plugins = require('./plugins');
+const writers = require('./writers');
+const csvDialect = require('./csv-dialect');
+
+// Generation runs: turning column configurations into records and streaming them to an
+// output. Used by the command line and by the programmatic API.
+
+// Function to prepare per-run state shared by all records of one generation run.
+// foreignKeys maps foreign key column configurations to generators of their parent keys (projects only).
+// now is the time relative dates start from; runs split over worker threads share one.
+function createGenerationContext(columnConfigurations, numRecords, foreignKeys, now = Date.now()) {
+  // Columns that use other columns (computed, conditional, mapped...) are generated after them
+  const computed = createComputedColumns(columnConfigurations);
+  const context = {
+    now,
+    order: computed.order,
+    generators: new Map([...computed.generators, ...correlations.createRowGroupGenerators(columnConfigurations)])
+  };
+
+  for (const config of columnConfigurations) {
+    if (config.type === 'dateRange' || config.type === 'dateSequence' || config.type === 'relativeDate') {
+      const anchor = config.relativeTo ? columnConfigurations.find(c => c.header === config.relativeTo) : undefined;
+      context.generators.set(config, dates.createDateGenerator(config, context.now, anchor));
+    } else if (config.type === 'range' && config.distribution && config.distribution !== 'uniform') {
+      context.generators.set(config, distributions.createNumberSampler(config));
+    } else if (config.type === 'pattern') {
+      context.generators.set(config, patterns.createPatternGenerator(config));
+    } else if (config.type === 'mapped') {
+      context.generators.set(config, correlations.createMappedGenerator(config));
+    } else if ((config.type === 'numberList' || config.type === 'list') && config.weights) {
+      context.generators.set(config, distributions.createWeightedPicker(config.list, config.weights));
+    } else if (config.type === 'foreignKey') {
+      if (!foreignKeys || !foreignKeys.has(config)) {
+        throw new Error(
+          `Column '${config.header}' is a foreign key to ${config.table}.${config.column} ` +
+          'and can only be generated together with that table in a project (--project)'
+        );
+      }
+      context.generators.set(config, foreignKeys.get(config));
+    } else if (plugins.getGenerator(config.type)) {
+      context.generators.set(config, plugins.getGenerator(config.type).create(config, { now: context.now, numRecords }));
+    }
+    
+    // Unique columns wrap their generator so values never repeat
+    if (config.unique) {
+      const generator = context.generators.get(config) || (i => generateValue(config, i));
+      context.generators.set(config, createUniqueGenerator(config, generator, numRecords, context.now));
+    }
+    
+    // Conditional columns use their generator only in rows where their condition holds
+    const condition = computed.conditions.get(config);
+    if (condition) {
+      const generator = context.generators.get(config) || (i => generateValue(config, i));
+      context.generators.set(config, (i, record) => condition(i, record, generator));
+    }
+  }
+
+  return context;
+}
+
+// Function to generate a single value for a column without per-run state
+function generateValue(config, i) {
+  switch (config.type) {
+    case 'range': // Random numeric range
+      return config.decimals
+        ? getRandomDecimal(config.min, config.max, config.decimals)
+        : getRandomNumber(config.min, config.max);
+    case 'numberList': // Random numeric from list
+    case 'list': // Random alphanumeric from list
+      return getRandomFromList(config.list);
+    case 'randomString': // Random alphanumeric strings
+      return getRandomString(config.length);
+    case 'sequence': // Sequential range
+      return config.start + (i * config.step);
+    case 'listInOrder': // Values from list (repeating if needed)
+      return config.list[i % config.list.length];
+    case 'prefixedString': // Random alphanumeric with prefix
+      return getRandomStringWithPrefix(config.prefix, config.length);
+    case 'fake': // Realistic fake data
+      return fakeData.generateFakeValue(config.fakeType, config.locale);
+  }
+}
+
+// Function to generate a single record from column configurations
+function generateRecord(columnConfigurations, i, context) {
+  const record = {};
+
+  for (const config of context.order) {
+    // Columns with prepared per-run generators (dates, weights, distributions, unique values, expressions)
+    const generator = context.generators.get(config);
+    record[config.header] = generator ? generator(i, record) : generateValue(config, i);
+  }
+
+  if (context.order === columnConfigurations) {
+    return record;
+  }
+  // Put fields back in column order when computed columns were generated out of order
+  const ordered = {};
+  for (const config of columnConfigurations) {
+    ordered[config.header] = record[config.header];
+  }
+  return ordered;
+}
+
+// Function to create a progress reporter for long generation runs; total is null when not known in advance
+function createProgressReporter(total, verb = 'Generated') {
+  const startTime = Date.now();
+  const interactive = Boolean(process.stderr.isTTY);
+  // Redraw often on a terminal, but only log occasionally in CI logs
+  const interval = interactive ? 250 : 5000;
+  let lastReport = startTime;
+  let reported = false;
+
+  const format = (count) => {
+    const elapsed = Math.max(Date.now() - startTime, 1) / 1000;
+    const rate = Math.round(count / elapsed);
+    if (total === null) {
+      return `${verb} ${count.toLocaleString()} records - ${rate.toLocaleString()} rows/sec`;
+    }
+    const percent = ((count / total) * 100).toFixed(1);
+    return `${verb} ${count.toLocaleString()} / ${total.toLocaleString()} records (${percent}%) - ${rate.toLocaleString()} rows/sec`;
+  };
+
+  return {
+    update(count) {
+      const now = Date.now();
+      if (now - lastReport < interval) {
+        return;
+      }
+      lastReport = now;
+      reported = true;
+      if (interactive) {
+        process.stderr.write(`\r${format(count)}`);
+      } else {
+        console.error(format(count));
+      }
+    },
+    finish(count) {
+      if (!reported) {
+        return;
+      }
+      if (interactive) {
+        process.stderr.write(`\r${format(count)}\n`);
+      } else {
+        console.error(format(count));
+      }
+    }
+  };
+}
+
+// Function to stream generated records to the output file without keeping them in memory.
+// outputOptions holds the format plus writer settings such as includeHeader, table and dialect.
+// hooks can supply foreign key generators and an onRecord callback that sees every written record,
+// the file's fault settings (faults; false also turns off column faults) and a faultManifest path.
+async function generateToFile(columnConfigurations, numRecords, outputFilePath, outputOptions, hooks = {}) {
+  // Prepared before the output file is created, so configuration errors leave no partial file
+  const context = createGenerationContext(columnConfigurations, numRecords, hooks.foreignKeys);
+  const injector = hooks.faults === false
+    ? null
+    : faults.createFaultInjector(columnConfigurations, hooks.faults, numRecords);
+  const columns = columnConfigurations.map(config => config.header);
+  const output = writers.createOutput(outputOptions.format || 'csv', outputFilePath, columns, { ...outputOptions, columnConfigurations });
+  const manifest = injector && hooks.faultManifest
+    ? faults.createManifest(hooks.faultManifest, { output: outputFilePath, records: numRecords })
+    : null;
+  if (hooks.faultManifest && !injector) {
+    console.error(`Warning: no faults are configured, so ${hooks.faultManifest} is not written`);
+  }
+  const progress = createProgressReporter(numRecords);
+  let mutationCount = 0;
+
+  try {
+    for (let i = 0; i < numRecords; i++) {
+      let record = generateRecord(columnConfigurations, i, context);
+      if (injector) {
+        const injected = injector.apply(record, i);
+        record = injected.record;
+        mutationCount += injected.mutations.length;
+        if (manifest && injected.mutations.length > 0) {
+          await manifest.add(injected.mutations);
+        }
+      }
+      // Called with the record as written, so other tables refer to values found in this file
+      if (hooks.onRecord) {
+        hooks.onRecord(record);
+      }
+      // Respect backpressure so memory stays flat for very large files
+      if (!output.stream.write(record)) {
+        await once(output.stream, 'drain');
+      }
+      progress.update(i + 1);
+    }
+  } catch (error) {
+    output.stream.destroy(error);
+    await output.finished.catch(() => {});
+    if (manifest) {
+      manifest.destroy(error);
+      await manifest.finished.catch(() => {});
+    }
+    throw error;
+  }
+
+  output.stream.end();
+  await output.finished;
+  if (manifest) {
+    await manifest.close();
+  }
+  progress.finish(numRecords);
+  if (injector) {
+    console.log(`Injected ${mutationCount} fault(s)` + (manifest ? `, listed in ${hooks.faultManifest}` : ''));
+  }
+}
+
+// Function to stream the rows of a source CSV file to the output file with their columns masked.
+// Source columns without a configuration are left out; columns with the 'generate' transform
+// get generated values. settings holds the salt, the source file's dialect and an optional
+// onRecord callback that sees every masked record. Returns the row count.
+async function maskToFile(columnConfigurations, sourceFilePath, outputFilePath, outputOptions, settings) {
+  if (path.resolve(sourceFilePath) === path.resolve(outputFilePath)) {
+    throw new Error(`The output file cannot be the source file: ${sourceFilePath}`);
+  }
+  // Prepared before the output file is created, so configuration errors leave no partial file
+  const headers = csvDialect.readCsvHeaders(sourceFilePath, settings.dialect);
+  for (const config of columnConfigurations) {
+    if (config.keyColumn && !headers.includes(config.keyColumn)) {
+      throw new Error(`Key column '${config.keyColumn}' of column '${config.header}' is not in ${sourceFilePath}`);
+    }
+  }
+  const masker = masking.createMasker(columnConfigurations, settings.salt);
+  const generated = columnConfigurations.filter(config => config.transform === 'generate');
+  // Generated columns get the source file's row count, so unique columns check their value space
+  const rowCount = generated.length > 0 ? await csvDialect.countCsvRecords(sourceFilePath, settings.dialect) : 0;
+  const context = createGenerationContext(generated, rowCount);
+  const reader = csvDialect.createCsvReader(sourceFilePath, settings.dialect);
+  const columns = columnConfigurations.map(config => config.header);
+  const output = writers.createOutput(outputOptions.format || 'csv', outputFilePath, columns, { ...outputOptions, columnConfigurations });
+  const progress = createProgressReporter(null, 'Masked');
+  let count = 0;
+
+  try {
+    for await (const row of reader) {
+      const record = masker.apply(row);
+      if (generated.length > 0) {
+        Object.assign(record, generateRecord(generated, count, context));
+      }
+      if (settings.onRecord) {
+        settings.onRecord(record);
+      }
+      if (!output.stream.write(record)) {
+        await once(output.stream, 'drain');
+      }
+      progress.update(++count);
+    }
+  } catch (error) {
+    reader.destroy();
+    output.stream.destroy(error);
+    await output.finished.catch(() => {});
+    throw error;
+  }
+
+  output.stream.end();
+  await output.finished;
+  progress.finish(count);
+  masker.getWarnings().forEach(warning => console.error(`Warning: ${warning}`));
+  return count;
+}
+
+module.exports = {
+  createGenerationContext,
+  generateValue,
+  generateRecord,
+  createProgressReporter,
+  generateToFile,
+  maskToFile
+};
@@ -0,0 +1,265 @@
+// Column type inference: looks at the values of a source column and suggests
+// a generator (as the menu value used by configureColumn) with parameters.
+
+// Maximum number of distinct values for a column to be treated as an enum
+const MAX_ENUM_VALUES = 20;
+
+const BOOLEAN_SETS = [
+  ['true', 'false'],
+  ['yes', 'no'],
+  ['y', 'n'],
+  ['t', 'f']
+];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Leading zeros (postal codes, account numbers) mean the value is text, not a number
+const INTEGER_REGEX = /^-?(0|[1-9]\d*)$/;
+const DECIMAL_REGEX = /^-?(0|[1-9]\d*)\.\d+$/;
+
+// Recognised date layouts; each converts a match to 'YYYY-MM-DD HH:mm:ss' for comparison
+const DATE_LAYOUTS = [
+  {
+    regex: /^(\d{4})-(\d{2})-(\d{2})$/,
+    includeTime: false,
+    format: 'iso',
+    normalise: m => `${m[1]}-${m[2]}-${m[3]} 00:00:00`
+  },
+  {
+    regex: /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?Z$/,
+    includeTime: true,
+    format: 'iso',
+    normalise: m => `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}`
+  },
+  {
+    regex: /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/,
+    includeTime: true,
+    format: 'pattern',
+    pattern: '%Y-%m-%dT%H:%M:%S',
+    normalise: m => `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}`
+  },
+  {
+    regex: /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/,
+    includeTime: true,
+    format: 'pattern',
+    pattern: '%Y-%m-%d %H:%M:%S',
+    normalise: m => `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}`
+  },
+  {
+    regex: /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/,
+    includeTime: true,
+    format: 'pattern',
+    pattern: '%Y-%m-%d %H:%M',
+    normalise: m => `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:00`
+  },
+  {
+    regex: /^(\d{2})\.(\d{2})\.(\d{4})$/,
+    includeTime: false,
+    format: 'pattern',
+    pattern: '%d.%m.%Y',
+    normalise: m => `${m[3]}-${m[2]}-${m[1]} 00:00:00`
+  }
+];
+
+// Function to check that every value matches a predicate
+function allMatch(values, predicate) {
+  return values.length > 0 && values.every(predicate);
+}
+
+// Function to detect a date layout shared by all values and the range they cover
+function detectDates(values) {
+  for (const layout of DATE_LAYOUTS) {
+    const normalised = [];
+    for (const value of values) {
+      const match = value.match(layout.regex);
+      if (!match) {
+        break;
+      }
+      normalised.push(layout.normalise(match));
+    }
+    if (normalised.length !== values.length) {
+      continue;
+    }
+
+    normalised.sort();
+    const trim = text => (layout.includeTime ? text : text.slice(0, 10));
+    return {
+      layout,
+      from: trim(normalised[0]),
+      to: trim(normalised[normalised.length - 1])
+    };
+  }
+  return null;
+}
+
+// Function to get the smallest and largest number without spreading large arrays
+function getRange(numbers) {
+  return numbers.reduce(
+    (range, num) => ({ min: Math.min(range.min, num), max: Math.max(range.max, num) }),
+    { min: Infinity, max: -Infinity }
+  );
+}
+
+// Function to count decimal places of a numeric string
+function countDecimals(value) {
+  const dot = value.indexOf('.');
+  return dot < 0 ? 0 : value.length - dot - 1;
+}
+
+// Function to check whether a numeric string is too large to be a number without losing digits
+function isUnsafeNumber(value) {
+  return !Number.isSafeInteger(Math.trunc(Number(value)));
+}
+
+// Function to build a regular expression pattern matching integers with the digit counts of the values
+function getIntegerPattern(values) {
+  const lengths = values.map(value => value.replace('-', '').length);
+  const min = Math.min(...lengths) - 1;
+  const max = Math.max(...lengths) - 1;
+  const sign = values.some(value => value.startsWith('-')) ? '-?' : '';
+  return `${sign}[1-9]\\d{${min}${max > min ? `,${max}` : ''}}`;
+}
+
+// Function to detect a strictly increasing integer sequence and its usual step
+function detectSequence(numbers) {
+  if (numbers.length < 3) {
+    return null;
+  }
+
+  const steps = new Map();
+  for (let i = 1; i < numbers.length; i++) {
+    const step = numbers[i] - numbers[i - 1];
+    if (step <= 0) {
+      return null;
+    }
+    steps.set(step, (steps.get(step) || 0) + 1);
+  }
+
+  // Use the most common step, so occasional gaps do not hide the pattern
+  let step = 1;
+  let bestCount = 0;
+  for (const [candidate, count] of steps) {
+    if (count > bestCount) {
+      step = candidate;
+      bestCount = count;
+    }
+  }
+  return { start: numbers[0], step };
+}
+
+// Function to detect the type of a single value, e.g. for profiling a generated file:
+// 'empty', 'boolean', 'integer', 'decimal', 'date', 'uuid', 'email' or 'text'
+function detectValueType(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') {
+    return 'empty';
+  }
+  if (['true', 'false', 'yes', 'no'].includes(text.toLowerCase())) {
+    return 'boolean';
+  }
+  if (INTEGER_REGEX.test(text)) {
+    return 'integer';
+  }
+  if (DECIMAL_REGEX.test(text)) {
+    return 'decimal';
+  }
+  if (DATE_LAYOUTS.some(layout => layout.regex.test(text))) {
+    return 'date';
+  }
+  if (UUID_REGEX.test(text)) {
+    return 'uuid';
+  }
+  return EMAIL_REGEX.test(text) ? 'email' : 'text';
+}
+
+// Function to infer a generator for a column from its source values
+function inferColumn(header, rawValues) {
+  const values = rawValues
+    .filter(val => val !== undefined && val !== null)
+    .map(val => String(val).trim())
+    .filter(val => val !== '');
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  const uniqueValues = [...counts.keys()];
+  // Enum-like columns keep their source frequencies
+  const weights = [...counts.values()];
+
+  const suggest = (generationType, config, description) => ({
+    generationType,
+    config: { header, type: generationType === 'list-source' ? 'list' : generationType, ...config },
+    description
+  });
+
+  if (values.length === 0) {
+    return suggest('randomString', { length: 10 }, 'empty column, random strings');
+  }
+
+  const lowerUnique = uniqueValues.map(val => val.toLowerCase());
+  if (BOOLEAN_SETS.some(set => lowerUnique.every(val => set.includes(val)))) {
+    return suggest('list-source', { list: uniqueValues, weights }, `boolean (${uniqueValues.join('/')})`);
+  }
+
+  if (allMatch(values, val => UUID_REGEX.test(val))) {
+    return suggest('fake', { fakeType: 'uuid', locale: 'en' }, 'UUIDs');
+  }
+
+  if (allMatch(values, val => EMAIL_REGEX.test(val))) {
+    return suggest('fake', { fakeType: 'email', locale: 'en' }, 'email addresses');
+  }
+
+  const dates = detectDates(values);
+  if (dates) {
+    const config = {
+      from: dates.from,
+      to: dates.to,
+      includeTime: dates.layout.includeTime,
+      format: dates.layout.format,
+      timezone: 'UTC'
+    };
+    if (dates.layout.pattern) {
+      config.pattern = dates.layout.pattern;
+    }
+    return suggest('dateRange', config, `dates ${dates.from} to ${dates.to}`);
+  }
+
+  const isEnum = uniqueValues.length <= MAX_ENUM_VALUES && uniqueValues.length * 2 <= values.length;
+
+  // Numbers beyond Number.MAX_SAFE_INTEGER (e.g. 20-digit IDs) would lose digits, so they are kept as text
+  if (values.some(val => (INTEGER_REGEX.test(val) || DECIMAL_REGEX.test(val)) && isUnsafeNumber(val))) {
+    if (!isEnum && allMatch(values, val => INTEGER_REGEX.test(val))) {
+      const pattern = getIntegerPattern(values);
+      return suggest('pattern', { patternSyntax: 'regex', pattern }, `integers too large for numbers, digits matching ${pattern}`);
+    }
+  } else if (allMatch(values, val => INTEGER_REGEX.test(val))) {
+    const numbers = values.map(Number);
+
+    const sequence = detectSequence(numbers);
+    if (sequence) {
+      return suggest('sequence', { ...sequence, unique: true }, `increasing IDs from ${sequence.start} by ${sequence.step}`);
+    }
+    if (isEnum) {
+      return suggest('numberList', { list: uniqueValues.map(Number), weights }, `${uniqueValues.length} distinct integers`);
+    }
+
+    const { min, max } = getRange(numbers);
+    return suggest('range', { min, max }, `integers ${min} to ${max}`);
+  } else if (allMatch(values, val => INTEGER_REGEX.test(val) || DECIMAL_REGEX.test(val))) {
+    const numbers = values.map(Number);
+    const { min, max } = getRange(numbers);
+    const decimals = values.reduce((most, val) => Math.max(most, countDecimals(val)), 0);
+    return suggest('range', { min, max, decimals }, `decimals ${min} to ${max}`);
+  }
+
+  if (isEnum) {
+    return suggest('list-source', { list: uniqueValues, weights }, `${uniqueValues.length} distinct values, weighted`);
+  }
+
+  return suggest('list-source', { list: uniqueValues }, 'text');
+}
+
+module.exports = {
+  detectValueType,
+  inferColumn
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const dates = require('./dates');
+const fakeData = require('./fake-data');
+const { inferColumn } = require('./inference');
+const { suggestFromHeader } = require('./schema-import');
+const { random, createRandom, withRandom, getRandomNumber } = require('./random');
+
+// Masking: instead of generating rows, every row of a source file is copied with its
+// sensitive columns transformed, so a production extract becomes a safe test file with
+// the same rows and shape. Hashing, scrambling, pseudonymization and keyed date shifts
+// are derived from the value and a secret salt, so the same value gives the same result
+// in every row and every file masked with that salt. Empty values stay empty.
+
+// Transforms offered in the column menu
+const maskTransforms = [
+  { name: 'Keep the source value', value: 'keep' },
+  { name: 'Hash (salted SHA-256)', value: 'hash' },
+  { name: 'Scramble, keeping the format (digits stay digits, letters stay letters)', value: 'scramble' },
+  { name: 'Pseudonymize (the same value always gets the same fake value)', value: 'pseudonymize' },
+  { name: 'Redact (replace with fixed text)', value: 'redact' },
+  { name: 'Shift dates by a random number of days', value: 'dateShift' },
+  { name: 'Replace with generated values (any generation type)', value: 'generate' }
+];
+
+// Transforms that need the salt
+const SALTED_TRANSFORMS = ['hash', 'scramble', 'pseudonymize'];
+
+const DEFAULT_REPLACEMENT = 'REDACTED';
+const DEFAULT_MAX_SHIFT_DAYS = 30;
+
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+
+// Function to get the menu name of a transform
+function getTransformName(transform) {
+  const entry = maskTransforms.find(t => t.value === transform);
+  return entry ? entry.name : transform;
+}
+
+// Function to suggest a transform for a source column from its name and values
+function suggestTransform(header, values) {
+  const suggest = (transform, settings, description) => ({
+    config: { header, transform, ...settings },
+    description
+  });
+
+  // Names, emails, phone numbers... recognised by the column name or the values get fake replacements
+  const byName = suggestFromHeader(header);
+  const inferred = inferColumn(header, values);
+  const fake = byName.generationType === 'fake' ? byName : (inferred.generationType === 'fake' ? inferred : null);
+  if (fake) {
+    const { fakeType, locale } = fake.config;
+    return suggest('pseudonymize', { fakeType, locale }, `${fakeType} values replaced consistently`);
+  }
+
+  switch (inferred.generationType) {
+    case 'dateRange': {
+      const { format, pattern, includeTime, timezone } = inferred.config;
+      const settings = { maxDays: DEFAULT_MAX_SHIFT_DAYS, format, includeTime, timezone };
+      if (pattern) {
+        settings.pattern = pattern;
+      }
+      return suggest('dateShift', settings, `dates shifted by up to ${DEFAULT_MAX_SHIFT_DAYS} days`);
+    }
+    case 'sequence':
+      return suggest('keep', {}, 'increasing IDs, kept');
+    case 'randomString':
+      return suggest('keep', {}, 'empty column, kept');
+  }
+  // Small sets of values (statuses, flags) and numbers say little about a person
+  if (inferred.config.weights || inferred.generationType !== 'list-source') {
+    return suggest('keep', {}, `${inferred.description}, kept`);
+  }
+  return suggest('scramble', {}, 'free text or identifiers, scrambled keeping the format');
+}
+
+// Function to check whether columns need a salt
+function needsSalt(columnConfigurations) {
+  return columnConfigurations.some(config => SALTED_TRANSFORMS.includes(config.transform) ||
+    (config.transform === 'dateShift' && config.keyColumn));
+}
+
+// Function to list the problems of a masking column's transform settings
+function checkTransform(config) {
+  const problems = [];
+  const isOneOf = (value, choices) => choices.some(choice => choice.value === value);
+
+  switch (config.transform) {
+    case undefined:
+      problems.push('missing transform');
+      break;
+    case 'keep':
+    case 'scramble':
+    case 'generate':
+      break;
+    case 'hash':
+      if (config.hashLength !== undefined && !(Number.isInteger(config.hashLength) && config.hashLength >= 1 && config.hashLength <= 64)) {
+        problems.push(`hashLength must be a whole number from 1 to 64, got ${JSON.stringify(config.hashLength)}`);
+      }
+      break;
+    case 'pseudonymize':
+      if (!isOneOf(config.fakeType, fakeData.fakeDataTypes)) {
+        problems.push(`unknown fake data type: ${config.fakeType}`);
+      }
+      if (config.locale !== undefined && !isOneOf(config.locale, fakeData.getLocaleChoices())) {
+        problems.push(`unknown locale: ${config.locale} (use ${fakeData.getLocaleChoices().map(choice => choice.value).join(', ')})`);
+      }
+      break;
+    case 'redact':
+      if (config.replacement !== undefined && typeof config.replacement !== 'string') {
+        problems.push('replacement must be a string');
+      }
+      break;
+    case 'dateShift':
+      if (config.maxDays !== undefined && !(Number.isInteger(config.maxDays) && config.maxDays > 0)) {
+        problems.push(`maxDays must be a whole number greater than 0, got ${JSON.stringify(config.maxDays)}`);
+      }
+      if (config.keyColumn !== undefined && typeof config.keyColumn !== 'string') {
+        problems.push('keyColumn must be a column name');
+      }
+      if (config.format !== undefined && !isOneOf(config.format, dates.dateFormats)) {
+        problems.push(`unknown date format: ${config.format}`);
+      }
+      if (config.timezone !== undefined && !dates.isValidTimeZone(config.timezone)) {
+        problems.push(`unknown time zone: ${config.timezone}`);
+      }
+      break;
+    default:
+      problems.push(`unknown transform ${JSON.stringify(config.transform)}`);
+  }
+  return problems;
+}
+
+// Function to replace every digit and letter with a random one of the same kind.
+// The first digit of a number stays non-zero, so numbers keep their number of digits.
+function scramble(value) {
+  const chars = Array.from(value);
+  return chars.map((char, index) => {
+    if (char >= '0' && char <= '9') {
+      const leading = index === 0 || !(chars[index - 1] >= '0' && chars[index - 1] <= '9');
+      return String(getRandomNumber(leading && char !== '0' ? 1 : 0, 9));
+    }
+    if (UPPER.includes(char)) {
+      return UPPER.charAt(getRandomNumber(0, 25));
+    }
+    if (LOWER.includes(char)) {
+      return LOWER.charAt(getRandomNumber(0, 25));
+    }
+    return char;
+  }).join('');
+}
+
+// Function to draw a date shift: a whole number of days, at most maxDays either way, never 0
+function drawShift(maxDays) {
+  const days = getRandomNumber(1, maxDays);
+  return random() < 0.5 ? -days : days;
+}
+
+// Function to prepare the transforms of a masking run.
+// Returns an object whose apply(row) returns the masked record (generated columns are left
+// undefined for the caller to fill) and whose getWarnings() lists values that could not be masked.
+function createMasker(columnConfigurations, salt) {
+  if (needsSalt(columnConfigurations) && !salt) {
+    throw new Error('Hashing, scrambling, pseudonymizing and keyed date shifts need a salt (--salt or TEST_FILE_GENERATOR_SALT)');
+  }
+
+  // Generator derived from the salt and a value, so the same value always gives the same result
+  const derive = (purpose, value) => createRandom(
+    crypto.createHmac('sha256', salt).update(`${purpose}\0${value}`).digest('hex')
+  );
+  const blanked = new Map();
+  let rowShift = null;
+
+  const transforms = columnConfigurations.map(config => {
+    switch (config.transform) {
+      case 'hash':
+        return value => {
+          const hash = crypto.createHmac('sha256', salt).update(value).digest('hex');
+          return config.hashLength ? hash.slice(0, config.hashLength) : hash;
+        };
+      case 'scramble':
+        return value => withRandom(derive('scramble', value), () => scramble(value));
+      case 'pseudonymize': {
+        const purpose = `pseudonymize:${config.fakeType}:${config.locale || 'en'}`;
+        return value => withRandom(derive(purpose, value), () => fakeData.generateFakeValue(config.fakeType, config.locale));
+      }
+      case 'redact':
+        return () => (config.replacement !== undefined ? config.replacement : DEFAULT_REPLACEMENT);
+      case 'dateShift': {
+        const dateConfig = { format: 'iso', timezone: 'UTC', ...config };
+        const timeZone = dates.resolveTimeZone(dateConfig.timezone);
+        const maxDays = config.maxDays || DEFAULT_MAX_SHIFT_DAYS;
+        return (value, row) => {
+          const epoch = dates.parseFormattedDate(value, dateConfig);
+          if (epoch === null) {
+            blanked.set(config.header, (blanked.get(config.header) || 0) + 1);
+            return '';
+          }
+          // A key column (e.g. a patient ID) shifts all dates of that key alike, keeping the
+          // intervals between them; otherwise all dates of a row share one random shift
+          let days;
+          if (config.keyColumn) {
+            days = withRandom(derive('dateShift', row[config.keyColumn]), () => drawShift(maxDays));
+          } else {
+            rowShift = rowShift !== null ? rowShift : drawShift(maxDays);
+            days = rowShift;
+          }
+          return dates.formatDate(dates.addToDate(epoch, days, 'day', timeZone), dateConfig);
+        };
+      }
+      case 'generate':
+        return null;
+      default: // 'keep'
+        return value => value;
+    }
+  });
+
+  return {
+    apply(row) {
+      const record = {};
+      rowShift = null;
+      columnConfigurations.forEach((config, index) => {
+        const value = row[config.header];
+        const transform = transforms[index];
+        if (!transform) {
+          record[config.header] = undefined;
+        } else {
+          record[config.header] = value === undefined || value === null || value === '' ? value : transform(String(value), row);
+        }
+      });
+      return record;
+    },
+    getWarnings() {
+      return [...blanked].map(([header, count]) => `${count} value(s) of column '${header}' are not dates in the configured format and were left empty`);
+    }
+  };
+}
+
+module.exports = {
+  maskTransforms,
+  getTransformName,
+  suggestTransform,
+  needsSalt,
+  checkTransform,
+  createMasker
+};
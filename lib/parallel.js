@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { setSeed, getSeed } = require('./random');
+const templates = require('./templates');
+const faults = require('./faults');
+const plugins = require('./plugins');
+const writers = require('./writers');
+const { isUniqueByRowIndex } = require('./unique');
+const { createProfiler } = require('./report');
+const { createGenerationContext, generateRecord, createProgressReporter } = require('./generator');
+
+// Parallel generation: the rows of a run are split into parts generated in worker threads.
+// Each part has its own seed derived from the run's seed and the part's number, and starts at
+// its own row index, so sequences, in-order lists, date sequences and pattern counters continue
+// across parts, and the output depends on the seed but not on the number of workers.
+// Parts are joined in order into one file, or each part is written as a shard file.
+
+// Rows per part when the parts are joined into one file
+const PART_ROWS = 10000;
+
+// Marks the worker threads started by this module
+const WORKER_KIND = 'test-file-generator:parallel';
+
+// Function to get the file name of a shard: orders.csv -> orders-0001.csv
+function getShardPath(outputFilePath, index) {
+  const extension = path.extname(outputFilePath);
+  const base = outputFilePath.slice(0, outputFilePath.length - extension.length);
+  return `${base}-${String(index + 1).padStart(4, '0')}${extension}`;
+}
+
+// Function to list why columns cannot be generated in separate parts
+function checkParallelColumns(columnConfigurations) {
+  const problems = [];
+  for (const config of columnConfigurations) {
+    if (config.unique && !isUniqueByRowIndex(config)) {
+      problems.push(`column '${config.header}' is unique, which cannot be guaranteed across worker threads`);
+    }
+    if (config.type === 'foreignKey') {
+      problems.push(`column '${config.header}' is a foreign key, which needs its parent table's keys`);
+    }
+  }
+  return problems;
+}
+
+// Function to start a worker thread; run(part) resolves with the worker's result for the part
+function startWorker(settings) {
+  const worker = new Worker(__filename, { workerData: { kind: WORKER_KIND, ...settings } });
+  let pending = null;
+  const settle = (error, result) => {
+    const current = pending;
+    pending = null;
+    if (current) {
+      if (error) {
+        current.reject(error);
+      } else {
+        current.resolve(result);
+      }
+    }
+  };
+  worker.on('message', message => settle(message.error ? new Error(message.error) : null, message));
+  worker.on('error', error => settle(error));
+  worker.on('exit', code => settle(new Error(`A worker thread stopped unexpectedly (exit code ${code})`)));
+
+  return {
+    run(part) {
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        worker.postMessage(part);
+      });
+    },
+    terminate() {
+      worker.removeAllListeners('exit');
+      return worker.terminate();
+    }
+  };
+}
+
+// Function to generate records in worker threads. settings holds the number of workers,
+// rowsPerFile to write shard files instead of one file, the file's faults and faultManifest
+// as for generateToFile, and an optional profiler that the workers' record statistics are
+// merged into. The shared generator's seed is the run's seed. Returns the written files.
+async function generateInWorkers(columnConfigurations, numRecords, outputFilePath, outputOptions, settings) {
+  const format = outputOptions.format || 'csv';
+  const writer = writers.getWriter(format);
+  const sharded = Boolean(settings.rowsPerFile);
+  if (!sharded && !writer.concatenable) {
+    const formats = writers.getFormatChoices().map(choice => choice.value).filter(value => writers.getWriter(value).concatenable);
+    throw new Error(
+      `${writer.name} files cannot be joined from parts written in parallel; ` +
+      `write shard files with --rows-per-file or use ${formats.join(', ')}`
+    );
+  }
+  const problems = checkParallelColumns(columnConfigurations);
+  if (problems.length > 0) {
+    throw new Error(`Cannot generate in parallel:\n${templates.formatProblems(problems)}`);
+  }
+
+  // Prepared before any file is created, so configuration errors leave no partial files
+  const now = Date.now();
+  createGenerationContext(columnConfigurations, numRecords, undefined, now);
+  const injecting = settings.faults !== false && faults.hasFaults(columnConfigurations, settings.faults);
+  if (settings.faultManifest && !injecting) {
+    console.error(`Warning: no faults are configured, so ${settings.faultManifest} is not written`);
+  }
+
+  const partRows = sharded ? settings.rowsPerFile : PART_ROWS;
+  const parts = [];
+  for (let start = 0; start < numRecords; start += partRows) {
+    const index = parts.length;
+    parts.push({ index, start, count: Math.min(partRows, numRecords - start), file: sharded ? getShardPath(outputFilePath, index) : null });
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(settings.workers || 1, parts.length)) }, () => startWorker({
+    columnConfigurations,
+    numRecords,
+    format,
+    outputOptions,
+    seed: getSeed(),
+    now,
+    faults: settings.faults,
+    profile: Boolean(settings.profiler),
+    pluginModules: plugins.getPluginModules()
+  }));
+
+  // Parts go to whichever worker is free
+  const idle = [...workers];
+  const waiting = [];
+  const runPart = async part => {
+    const worker = idle.length > 0 ? idle.pop() : await new Promise(resolve => waiting.push(resolve));
+    try {
+      return await worker.run(part);
+    } finally {
+      if (waiting.length > 0) {
+        waiting.shift()(worker);
+      } else {
+        idle.push(worker);
+      }
+    }
+  };
+
+  const output = sharded ? null : fs.createWriteStream(outputFilePath);
+  const manifest = injecting && settings.faultManifest
+    ? faults.createManifest(settings.faultManifest, { output: outputFilePath, records: numRecords })
+    : null;
+  const progress = createProgressReporter(numRecords);
+  const results = [];
+  let scheduled = 0;
+  let generated = 0;
+  let mutationCount = 0;
+
+  try {
+    for (const part of parts) {
+      // Workers run at most a few parts ahead of the file, so memory stays bounded
+      while (scheduled < parts.length && scheduled < part.index + 2 * workers.length) {
+        const result = runPart(parts[scheduled]);
+        result.catch(() => {});
+        results[scheduled++] = result;
+      }
+      const result = await results[part.index];
+      results[part.index] = null;
+
+      if (output && !output.write(result.content)) {
+        await once(output, 'drain');
+      }
+      if (manifest && result.mutations.length > 0) {
+        await manifest.add(sharded ? result.mutations.map(mutation => ({ file: part.file, ...mutation })) : result.mutations);
+      }
+      if (settings.profiler) {
+        settings.profiler.merge(result.profile);
+      }
+      mutationCount += result.mutations.length;
+      generated += part.count;
+      progress.update(generated);
+    }
+  } catch (error) {
+    if (output) {
+      output.destroy(error);
+    }
+    if (manifest) {
+      manifest.destroy(error);
+      await manifest.finished.catch(() => {});
+    }
+    throw error;
+  } finally {
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  if (output) {
+    output.end();
+    await once(output, 'finish');
+  }
+  if (manifest) {
+    await manifest.close();
+  }
+  progress.finish(numRecords);
+  if (injecting) {
+    console.log(`Injected ${mutationCount} fault(s)` + (manifest ? `, listed in ${settings.faultManifest}` : ''));
+  }
+  return sharded ? parts.map(part => part.file) : [outputFilePath];
+}
+
+// Function to generate one part in a worker thread: its rows are written to its shard file,
+// or returned as content to be joined with the other parts
+async function generatePart(part) {
+  const { columnConfigurations, numRecords, format, outputOptions, seed, now } = workerData;
+  setSeed(`${seed}:part:${part.index}`);
+  const context = createGenerationContext(columnConfigurations, numRecords, undefined, now);
+  const injector = workerData.faults === false
+    ? null
+    : faults.createFaultInjector(columnConfigurations, workerData.faults, numRecords);
+
+  // Joined parts after the first leave out the header and byte order mark
+  const options = part.file || part.index === 0
+    ? outputOptions
+    : { ...outputOptions, includeHeader: false, csvDialect: { ...outputOptions.csvDialect, bom: false } };
+  const chunks = [];
+  const target = part.file || new PassThrough().on('data', chunk => chunks.push(chunk));
+  const columns = columnConfigurations.map(config => config.header);
+  const output = writers.createOutput(format, target, columns, { ...options, columnConfigurations });
+  const profiler = workerData.profile ? createProfiler(columns) : null;
+  const mutations = [];
+
+  for (let i = part.start; i < part.start + part.count; i++) {
+    let record = generateRecord(columnConfigurations, i, context);
+    if (injector) {
+      // Rows of a shard are numbered within the shard
+      const injected = injector.apply(record, part.file ? i - part.start : i);
+      record = injected.record;
+      mutations.push(...injected.mutations);
+    }
+    if (profiler) {
+      profiler.add(record);
+    }
+    if (!output.stream.write(record)) {
+      await once(output.stream, 'drain');
+    }
+  }
+  output.stream.end();
+  await output.finished;
+
+  return { content: part.file ? null : Buffer.concat(chunks), mutations, profile: profiler ? profiler.states : null };
+}
+
+// Worker threads load the plugins of the main thread and then generate the parts they are sent
+if (!isMainThread && workerData && workerData.kind === WORKER_KIND) {
+  let startupError = null;
+  try {
+    require('./api').loadPlugins(workerData.pluginModules);
+    const problems = templates.validateColumns(workerData.columnConfigurations);
+    if (problems.length > 0) {
+      // e.g. types registered with registerGenerator() rather than by a plugin module
+      startupError = `The columns cannot be generated in a worker thread:\n${templates.formatProblems(problems)}`;
+    }
+  } catch (error) {
+    startupError = error.message;
+  }
+
+  parentPort.on('message', part => {
+    if (startupError) {
+      parentPort.postMessage({ error: startupError });
+      return;
+    }
+    generatePart(part).then(
+      result => parentPort.postMessage(result),
+      error => parentPort.postMessage({ error: error.message })
+    );
+  });
+}
+
+module.exports = {
+  getShardPath,
+  checkParallelColumns,
+  generateInWorkers
+};
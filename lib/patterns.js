@@ -0,0 +1,405 @@
+const { getRandomNumber } = require('./random');
+
+// Pattern columns: every row gets a random string matching a pattern, written either as a
+// simple mask ("AAA-####-??") or as a subset of regular expression syntax ("[A-Z]{3}\d{4}").
+// Both can embed a sequence counter, {seq} or zero-padded {seq:6}, which counts like a
+// sequential column: counterStart + row index * counterStep.
+
+const DIGITS = '0123456789';
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+
+// Pattern syntaxes offered in the column menu
+const patternSyntaxes = [
+  { name: 'Mask (# digit, A upper-case letter, a lower-case letter, ? letter or digit, * any case letter or digit)', value: 'mask' },
+  { name: 'Regular expression subset ([A-Z]{3}\\d{4}, (INV|ORD)-\\d+ ...)', value: 'regex' }
+];
+
+// Placeholders of the mask syntax; any other character is written as is (escape with \)
+const MASK_PLACEHOLDERS = {
+  '#': DIGITS,
+  A: UPPER,
+  a: LOWER,
+  '?': UPPER + DIGITS,
+  '*': UPPER + LOWER + DIGITS
+};
+
+// Regular expression escapes standing for a class of characters
+const CLASS_ESCAPES = {
+  d: DIGITS,
+  w: UPPER + LOWER + DIGITS + '_',
+  s: ' '
+};
+
+// Most extra repetitions generated for open-ended quantifiers (*, + and {n,})
+const MAX_EXTRA_REPEATS = 8;
+
+const COUNTER_REGEX = /^\{seq(?::(\d+))?\}/;
+
+// Function to build the error for an invalid pattern
+function patternError(message, position) {
+  return new Error(`Invalid pattern at position ${position + 1}: ${message}`);
+}
+
+// Function to remove duplicate characters from a character class
+function uniqueCharacters(chars) {
+  return [...new Set(chars)].join('');
+}
+
+// Function to read a sequence counter ({seq} or {seq:6}) at a position, or null when there is none
+function readCounter(pattern, position) {
+  const match = COUNTER_REGEX.exec(pattern.slice(position));
+  return match ? { node: { kind: 'counter', width: match[1] ? parseInt(match[1]) : 0 }, length: match[0].length } : null;
+}
+
+// Function to parse a mask such as "INV-{seq:6}-AA##" into a list of nodes
+function parseMask(pattern) {
+  const items = [];
+  for (let position = 0; position < pattern.length; position++) {
+    const counter = readCounter(pattern, position);
+    if (counter) {
+      items.push(counter.node);
+      position += counter.length - 1;
+    } else if (pattern[position] === '\\') {
+      if (position + 1 >= pattern.length) {
+        throw patternError('\\ at the end of the pattern', position);
+      }
+      items.push({ kind: 'literal', text: pattern[++position] });
+    } else if (MASK_PLACEHOLDERS[pattern[position]]) {
+      items.push({ kind: 'set', chars: MASK_PLACEHOLDERS[pattern[position]] });
+    } else {
+      items.push({ kind: 'literal', text: pattern[position] });
+    }
+  }
+  return { kind: 'sequence', items };
+}
+
+// Function to parse a regular expression subset: literals, ., character classes with ranges
+// and negation, \d \w \s (and \D \W \S), groups with alternation, and the quantifiers ? * + {n} {n,} {n,m}.
+// Anchors (^ and $) are accepted and ignored; back-references and lookarounds are not supported.
+function parseRegex(pattern) {
+  let position = 0;
+
+  const peek = () => pattern[position];
+
+  function parseEscape(inClass) {
+    const start = position;
+    position++; // Skip the backslash
+    if (position >= pattern.length) {
+      throw patternError('\\ at the end of the pattern', start);
+    }
+    const char = pattern[position++];
+    const lower = char.toLowerCase();
+    if (CLASS_ESCAPES[lower]) {
+      const chars = CLASS_ESCAPES[lower];
+      return { chars: char === lower ? chars : [...PRINTABLE].filter(c => !chars.includes(c)).join('') };
+    }
+    if (/[1-9]/.test(char) && !inClass) {
+      throw patternError('back-references are not supported', start);
+    }
+    const controls = { t: '\t', n: '\n', r: '\r' };
+    return { chars: controls[char] || char };
+  }
+
+  function parseClass() {
+    const start = position;
+    position++; // Skip [
+    const negated = peek() === '^';
+    if (negated) {
+      position++;
+    }
+    let chars = '';
+    let first = true;
+    while (position < pattern.length && (peek() !== ']' || first)) {
+      first = false;
+      const from = peek() === '\\' ? parseEscape(true).chars : pattern[position++];
+      if (peek() === '-' && pattern[position + 1] !== undefined && pattern[position + 1] !== ']' && from.length === 1) {
+        position++; // Skip -
+        const to = peek() === '\\' ? parseEscape(true).chars : pattern[position++];
+        if (to.length !== 1 || to.charCodeAt(0) < from.charCodeAt(0)) {
+          throw patternError(`invalid range ${from}-${to}`, start);
+        }
+        for (let code = from.charCodeAt(0); code <= to.charCodeAt(0); code++) {
+          chars += String.fromCharCode(code);
+        }
+      } else {
+        chars += from;
+      }
+    }
+    if (position >= pattern.length) {
+      throw patternError('unterminated character class', start);
+    }
+    position++; // Skip ]
+    chars = negated ? [...PRINTABLE].filter(c => !chars.includes(c)).join('') : uniqueCharacters(chars);
+    if (chars === '') {
+      throw patternError('character class matches nothing', start);
+    }
+    return { kind: 'set', chars };
+  }
+
+  function parseAtom() {
+    const char = peek();
+    const start = position;
+
+    if (char === '(') {
+      position++;
+      if (pattern.startsWith('?:', position)) {
+        position += 2;
+      } else if (peek() === '?') {
+        throw patternError('lookarounds and named groups are not supported', start);
+      }
+      const node = parseAlternation();
+      if (peek() !== ')') {
+        throw patternError('unterminated group', start);
+      }
+      position++;
+      return node;
+    }
+    if (char === '[') {
+      return parseClass();
+    }
+    if (char === '\\') {
+      const { chars } = parseEscape(false);
+      return chars.length === 1 ? { kind: 'literal', text: chars } : { kind: 'set', chars };
+    }
+    if (char === '.') {
+      position++;
+      return { kind: 'set', chars: PRINTABLE };
+    }
+    const counter = readCounter(pattern, position);
+    if (counter) {
+      position += counter.length;
+      return counter.node;
+    }
+    if ('*+?{'.includes(char) && !(char === '{' && !/^\{\d/.test(pattern.slice(position)))) {
+      throw patternError(`nothing to repeat before ${char}`, start);
+    }
+    position++;
+    return { kind: 'literal', text: char };
+  }
+
+  function parseQuantifier(node) {
+    const start = position;
+    const char = peek();
+    let min;
+    let max;
+    if (char === '?') {
+      [min, max] = [0, 1];
+      position++;
+    } else if (char === '*') {
+      [min, max] = [0, MAX_EXTRA_REPEATS];
+      position++;
+    } else if (char === '+') {
+      [min, max] = [1, 1 + MAX_EXTRA_REPEATS];
+      position++;
+    } else {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(position));
+      if (!match) {
+        return node;
+      }
+      min = parseInt(match[1]);
+      max = match[2] === undefined ? min : (match[3] === '' ? min + MAX_EXTRA_REPEATS : parseInt(match[3]));
+      if (max < min) {
+        throw patternError(`quantifier {${min},${max}} has its maximum below its minimum`, start);
+      }
+      position += match[0].length;
+    }
+    // Lazy quantifiers generate the same strings
+    if (peek() === '?') {
+      position++;
+    }
+    return { kind: 'repeat', node, min, max };
+  }
+
+  function parseSequence() {
+    const items = [];
+    while (position < pattern.length && peek() !== '|' && peek() !== ')') {
+      // Anchors do not produce characters
+      if ((peek() === '^' && position === 0) || (peek() === '$' && position === pattern.length - 1)) {
+        position++;
+        continue;
+      }
+      items.push(parseQuantifier(parseAtom()));
+    }
+    return { kind: 'sequence', items };
+  }
+
+  function parseAlternation() {
+    const options = [parseSequence()];
+    while (peek() === '|') {
+      position++;
+      options.push(parseSequence());
+    }
+    return options.length === 1 ? options[0] : { kind: 'choice', options };
+  }
+
+  const node = parseAlternation();
+  if (position < pattern.length) {
+    throw patternError(`unmatched ${peek()}`, position);
+  }
+  return node;
+}
+
+// Function to count the strings a node can produce (an upper bound when alternatives overlap)
+function countStrings(node) {
+  switch (node.kind) {
+    case 'set':
+      return node.chars.length;
+    case 'sequence':
+      return node.items.reduce((total, item) => total * countStrings(item), 1);
+    case 'choice':
+      return node.options.reduce((total, option) => total + countStrings(option), 0);
+    case 'repeat': {
+      const size = countStrings(node.node);
+      let total = 0;
+      for (let count = node.min; count <= node.max; count++) {
+        total += Math.pow(size, count);
+      }
+      return total;
+    }
+    default: // Literals, and counters that are constant within the value space
+      return 1;
+  }
+}
+
+// Function to flatten a node with a fixed structure (no alternatives, fixed repeats) into a list
+// of literals, sets and counters; returns null when the structure varies between strings
+function flattenFixed(node) {
+  switch (node.kind) {
+    case 'sequence': {
+      const flat = [];
+      for (const item of node.items) {
+        const items = flattenFixed(item);
+        if (!items) {
+          return null;
+        }
+        flat.push(...items);
+      }
+      return flat;
+    }
+    case 'repeat': {
+      const items = node.min === node.max ? flattenFixed(node.node) : null;
+      return items && Array.from({ length: node.min }, () => items).flat();
+    }
+    case 'choice':
+      return node.options.length === 1 ? flattenFixed(node.options[0]) : null;
+    default:
+      return [node];
+  }
+}
+
+// Function to compile a column's pattern. Returns the parsed pattern with the number of strings
+// it can produce, whether it embeds a counter, and generate(i) for the value of row i.
+function compilePattern(config) {
+  const syntax = config.patternSyntax || 'mask';
+  if (!patternSyntaxes.some(s => s.value === syntax)) {
+    throw new Error(`Unknown pattern syntax: ${syntax} (use mask or regex)`);
+  }
+  if (typeof config.pattern !== 'string' || config.pattern === '') {
+    throw new Error('Pattern is empty');
+  }
+  const root = syntax === 'regex' ? parseRegex(config.pattern) : parseMask(config.pattern);
+  const counterStart = config.counterStart !== undefined ? config.counterStart : 1;
+  const counterStep = config.counterStep !== undefined ? config.counterStep : 1;
+  let hasCounter = false;
+
+  const formatCounter = (node, i) => {
+    const value = counterStart + i * counterStep;
+    const digits = String(Math.abs(value)).padStart(node.width, '0');
+    return value < 0 ? `-${digits}` : digits;
+  };
+
+  const generate = (node, i) => {
+    switch (node.kind) {
+      case 'literal':
+        return node.text;
+      case 'set':
+        return node.chars.charAt(getRandomNumber(0, node.chars.length - 1));
+      case 'counter':
+        return formatCounter(node, i);
+      case 'sequence':
+        return node.items.map(item => generate(item, i)).join('');
+      case 'choice':
+        return generate(node.options[getRandomNumber(0, node.options.length - 1)], i);
+      case 'repeat': {
+        let text = '';
+        for (let count = getRandomNumber(node.min, node.max); count > 0; count--) {
+          text += generate(node.node, i);
+        }
+        return text;
+      }
+    }
+  };
+
+  const visit = node => {
+    hasCounter = hasCounter || node.kind === 'counter';
+    (node.items || node.options || (node.node ? [node.node] : [])).forEach(visit);
+  };
+  visit(root);
+
+  return {
+    root,
+    size: countStrings(root),
+    hasCounter,
+    // With a counter that changes every row, no two rows can get the same value
+    uniqueByCounter: hasCounter && counterStep !== 0,
+    flat: flattenFixed(root),
+    counterValue: node => formatCounter(node, 0),
+    generate: i => generate(root, i)
+  };
+}
+
+// Function to create the generator of a pattern column
+function createPatternGenerator(config) {
+  const compiled = compilePattern(config);
+  return i => compiled.generate(i);
+}
+
+// Function to describe a pattern column's value space for unique columns.
+// Patterns with a fixed structure can give their k-th string, so they are drawn without collisions.
+function getPatternSpace(config) {
+  const compiled = compilePattern(config);
+  const space = { size: compiled.size, describe: `pattern ${config.pattern}` };
+  if (compiled.flat) {
+    space.valueAt = k => {
+      let result = '';
+      for (let index = compiled.flat.length - 1; index >= 0; index--) {
+        const node = compiled.flat[index];
+        if (node.kind === 'set') {
+          result = node.chars.charAt(k % node.chars.length) + result;
+          k = Math.floor(k / node.chars.length);
+        } else {
+          result = (node.kind === 'counter' ? compiled.counterValue(node) : node.text) + result;
+        }
+      }
+      return result;
+    };
+  }
+  return space;
+}
+
+// Function to check whether a pattern can be used; returns the error message, or null
+function checkPattern(config) {
+  try {
+    compilePattern(config);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Function to generate a few example values of a pattern, for showing while configuring
+function getExamples(config, count = 3) {
+  const compiled = compilePattern(config);
+  return Array.from({ length: count }, (_, i) => compiled.generate(i));
+}
+
+module.exports = {
+  patternSyntaxes,
+  compilePattern,
+  createPatternGenerator,
+  getPatternSpace,
+  checkPattern,
+  getExamples
+};
@@ -0,0 +1,69 @@
+// Generator plugins: column types added on top of the built-in ones. A registered type is
+// offered in the column menu, validated and saved in templates like a built-in type:
+//
+//   registerGenerator('iban', {
+//     name: 'IBAN (payments team)',               // menu name
+//     settings: { country: 'string' },             // settings every column of the type needs
+//     prompt: async (inquirer, { header, records, suggested }) => ({ country: 'PL' }),
+//     validate: config => [],                      // problems of a column's settings (optional)
+//     create: (config, { now, numRecords }) => (i, record) => value
+//   });
+//
+// create() is called once per generation run and returns the column's value generator,
+// called with the row index and the fields generated so far. Random values should be drawn
+// with the random helpers plugins are given (random, getRandomNumber...), so seeds reproduce them.
+// Plugins are loaded with --plugin or the "plugins" list of config.json (see lib/api.js).
+
+const SETTING_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+const generators = new Map();
+
+// Files of the plugin modules loaded so far, so worker threads can load the same plugins
+const modules = [];
+
+// Function to register a generator type; built-in types are checked by the caller
+function registerGenerator(type, generator) {
+  if (typeof type !== 'string' || !/^[A-Za-z][\w-]*$/.test(type)) {
+    throw new Error(`Invalid generator type name: ${JSON.stringify(type)} (use letters, digits, _ and -)`);
+  }
+  if (generators.has(type)) {
+    throw new Error(`Generator type '${type}' is already registered`);
+  }
+  if (!generator || typeof generator.create !== 'function') {
+    throw new Error(`Generator '${type}' must provide create()`);
+  }
+  for (const [setting, settingType] of Object.entries(generator.settings || {})) {
+    if (!SETTING_TYPES.includes(settingType)) {
+      throw new Error(`Generator '${type}': setting ${setting} has unknown type ${settingType} (use ${SETTING_TYPES.join(', ')})`);
+    }
+  }
+  generators.set(type, { name: type, settings: {}, ...generator });
+}
+
+// Function to get a registered generator, or null
+function getGenerator(type) {
+  return generators.get(type) || null;
+}
+
+// Function to list the registered generators for the column menu
+function getGeneratorChoices() {
+  return [...generators].map(([type, generator]) => ({ name: generator.name, value: type }));
+}
+
+// Function to record that a plugin module has been loaded
+function addPluginModule(file) {
+  modules.push(file);
+}
+
+// Function to list the files of the loaded plugin modules
+function getPluginModules() {
+  return [...modules];
+}
+
+module.exports = {
+  registerGenerator,
+  getGenerator,
+  getGeneratorChoices,
+  addPluginModule,
+  getPluginModules
+};
@@ -0,0 +1,162 @@
+const { getRandomNumber } = require('./random');
+const patterns = require('./patterns');
+
+// Multi-table projects: several tables generated in one run, parents before children.
+// A foreign key column takes its values from the keys generated for a column of
+// another table, either picking a random parent per row or giving every parent a
+// random number of rows (e.g. 1-5 orders per customer).
+
+// Function to check whether a foreign key column sets how many rows each parent gets
+function hasCardinality(config) {
+  return config.minPerParent !== undefined || config.maxPerParent !== undefined;
+}
+
+// Function to get the rows-per-parent range of a foreign key column
+function getCardinality(config) {
+  const min = config.minPerParent !== undefined ? config.minPerParent : 1;
+  const max = config.maxPerParent !== undefined ? config.maxPerParent : min;
+  return { min, max };
+}
+
+// Function to check whether a column's values can identify rows of its table
+function isKeyColumn(config) {
+  return Boolean(config.unique || config.primaryKey) ||
+    (config.type === 'sequence' && config.step !== 0) ||
+    (config.type === 'dateSequence' && config.stepAmount !== 0) ||
+    (config.type === 'pattern' && patterns.compilePattern(config).uniqueByCounter);
+}
+
+// Function to put tables in dependency order, keeping the project's order where possible
+function orderTables(tables, dependencies) {
+  const order = [];
+  let remaining = tables;
+
+  while (remaining.length > 0) {
+    const next = remaining.find(table => dependencies.get(table).every(parent => order.includes(parent)));
+    if (!next) {
+      throw new Error(`Tables reference each other in a cycle: ${remaining.map(table => table.name).join(', ')}`);
+    }
+    order.push(next);
+    remaining = remaining.filter(table => table !== next);
+  }
+  return order;
+}
+
+// Function to check a project and return its tables in the order they must be generated.
+// findTemplate(name) looks up a saved template. Each returned table has its columnConfigurations
+// and keyColumns, the columns whose generated values other tables refer to.
+function planProject(project, findTemplate) {
+  if (!Array.isArray(project.tables) || project.tables.length === 0) {
+    throw new Error(`Project '${project.name}' has no tables`);
+  }
+
+  const tables = project.tables.map(table => {
+    if (!table.name) {
+      throw new Error(`Project '${project.name}' has a table without a name`);
+    }
+    const template = table.template ? findTemplate(table.template) : null;
+    if (table.template && !template) {
+      throw new Error(`Table '${table.name}': template not found: ${table.template}`);
+    }
+    const columnConfigurations = table.columnConfigurations || (template && template.columnConfigurations);
+    if (!Array.isArray(columnConfigurations) || columnConfigurations.length === 0) {
+      throw new Error(`Table '${table.name}' has no template or column configurations`);
+    }
+    return { ...table, template, columnConfigurations, keyColumns: [] };
+  });
+
+  const byName = new Map();
+  for (const table of tables) {
+    if (byName.has(table.name)) {
+      throw new Error(`Project '${project.name}' has more than one table named '${table.name}'`);
+    }
+    byName.set(table.name, table);
+  }
+
+  const dependencies = new Map();
+  for (const table of tables) {
+    const foreignKeys = table.columnConfigurations.filter(config => config.type === 'foreignKey');
+    const parents = [];
+
+    for (const config of foreignKeys) {
+      const where = `Table '${table.name}', column '${config.header}'`;
+      const parent = byName.get(config.table);
+      if (!parent) {
+        throw new Error(`${where}: references unknown table '${config.table}'`);
+      }
+      if (parent === table) {
+        throw new Error(`${where}: a table cannot reference its own keys`);
+      }
+      const parentColumn = parent.columnConfigurations.find(c => c.header === config.column);
+      if (!parentColumn) {
+        throw new Error(`${where}: table '${parent.name}' has no column '${config.column}'`);
+      }
+      if (!isKeyColumn(parentColumn)) {
+        throw new Error(`${where}: ${parent.name}.${config.column} is not a primary key or unique column`);
+      }
+      if (hasCardinality(config)) {
+        const { min, max } = getCardinality(config);
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+          throw new Error(`${where}: rows per parent must be whole numbers with 0 <= min <= max`);
+        }
+      }
+
+      if (!parent.keyColumns.includes(config.column)) {
+        parent.keyColumns.push(config.column);
+      }
+      parents.push(parent);
+    }
+
+    if (foreignKeys.filter(hasCardinality).length > 1) {
+      throw new Error(`Table '${table.name}': only one foreign key can set the number of rows per parent`);
+    }
+    dependencies.set(table, parents);
+  }
+
+  return orderTables(tables, dependencies);
+}
+
+// Function to draw how many rows each parent gets; returns the running totals and the row count
+function planChildRows(config, parentCount) {
+  const { min, max } = getCardinality(config);
+  const ends = new Float64Array(parentCount);
+  let total = 0;
+  for (let p = 0; p < parentCount; p++) {
+    total += getRandomNumber(min, max);
+    ends[p] = total;
+  }
+  return { ends, total };
+}
+
+// Function to create the generator for a foreign key column.
+// With a plan, rows are grouped by parent (row i belongs to the first parent whose running total exceeds i);
+// without one, every row picks a random parent.
+function createForeignKeyGenerator(parentKeys, plan) {
+  if (!plan) {
+    if (parentKeys.length === 0) {
+      throw new Error('The referenced table has no rows to take keys from');
+    }
+    return () => parentKeys[getRandomNumber(0, parentKeys.length - 1)];
+  }
+
+  return (i) => {
+    let low = 0;
+    let high = plan.ends.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (plan.ends[middle] > i) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return parentKeys[low];
+  };
+}
+
+module.exports = {
+  hasCardinality,
+  planProject,
+  planChildRows,
+  createForeignKeyGenerator
+};
@@ -0,0 +1,113 @@
+// Shared pseudo-random number generator used by all generators.
+// It is always seeded, so any run can be reproduced with its seed.
+let currentSeed = createSeed();
+let generator = createRandom(currentSeed);
+
+// Function to create a random seed when none is given
+function createSeed() {
+  return String(Math.floor(Math.random() * 0x100000000));
+}
+
+// Function to hash a seed (number or string) into a 32-bit integer
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Function to create a seeded generator returning floats in [0, 1) (mulberry32)
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Function to return the next float in [0, 1) from the shared generator
+function random() {
+  return generator();
+}
+
+// Function to reset the shared generator to the given seed
+function setSeed(seed) {
+  currentSeed = seed;
+  generator = createRandom(seed);
+}
+
+// Function to get the seed the shared generator was last reset to
+function getSeed() {
+  return currentSeed;
+}
+
+// Function to create a separate generator derived from the current seed. Optional features
+// (e.g. fault injection) draw from it, so they do not change the values of a clean run.
+function createDerivedRandom(label) {
+  return createRandom(`${currentSeed}:${label}`);
+}
+
+// Function to run a callback with another generator in place of the shared one, so the
+// existing generators can draw from it (e.g. one derived from a value, for repeatable results)
+function withRandom(randomGenerator, callback) {
+  const previous = generator;
+  generator = randomGenerator;
+  try {
+    return callback();
+  } finally {
+    generator = previous;
+  }
+}
+
+// Function to generate random number within a range
+function getRandomNumber(min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// Function to generate a random decimal within a range, rounded to the given decimal places.
+// Returns a number; text writers show it with all its places (see lib/writers/text.js).
+function getRandomDecimal(min, max, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Number((getRandomNumber(Math.ceil(min * factor), Math.floor(max * factor)) / factor).toFixed(decimals));
+}
+
+// Function to generate random string
+function getRandomString(length) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += chars.charAt(Math.floor(random() * chars.length));
+  }
+  return result;
+}
+
+// Function to generate random string with prefix
+function getRandomStringWithPrefix(prefix, length) {
+  return prefix + getRandomString(length);
+}
+
+// Function to pick a random item from a list
+function getRandomFromList(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+module.exports = {
+  random,
+  createSeed,
+  createRandom,
+  hashSeed,
+  setSeed,
+  getSeed,
+  createDerivedRandom,
+  withRandom,
+  getRandomNumber,
+  getRandomDecimal,
+  getRandomString,
+  getRandomStringWithPrefix,
+  getRandomFromList
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const csvDialect = require('./csv-dialect');
+const { detectValueType } = require('./inference');
+
+// Profiling reports: per-column statistics of a file's records (empty values, distinct values,
+// numbers, lengths, most common values and the detected type), with the source file and the
+// generated output side by side. Columns whose output no longer looks like the source are
+// flagged, e.g. a column that is always numeric in the source but contains text in the output.
+
+// Distinct values counted per column; columns with more are reported as having at least this many
+const MAX_TRACKED_VALUES = 10000;
+// Most common values listed per column
+const TOP_VALUE_COUNT = 5;
+// Difference in the share of empty values that is flagged
+const EMPTY_RATE_TOLERANCE = 0.05;
+// Source columns with at most this many distinct values, each seen twice on average, are
+// treated as enumerations: output values outside them are flagged
+const MAX_ENUM_VALUES = 20;
+
+// Function to create the statistics of a column before any value is added
+function createColumnState() {
+  return {
+    count: 0,
+    empty: 0,
+    types: {},
+    numbers: { count: 0, sum: 0, min: null, max: null },
+    lengths: {},
+    values: new Map(),
+    capped: false
+  };
+}
+
+// Function to count a value occurrence, up to MAX_TRACKED_VALUES distinct values
+function countValue(state, value, count) {
+  if (state.values.has(value)) {
+    state.values.set(value, state.values.get(value) + count);
+  } else if (state.values.size < MAX_TRACKED_VALUES) {
+    state.values.set(value, count);
+  } else {
+    state.capped = true;
+  }
+}
+
+// Function to create a profiler collecting the statistics of records, column by column.
+// The states of profilers fed with parts of a file (e.g. in worker threads) can be merged.
+function createProfiler(columns) {
+  const states = new Map(columns.map(column => [column, createColumnState()]));
+
+  return {
+    columns,
+    states,
+    add(record) {
+      for (const [column, state] of states) {
+        const value = record[column];
+        const type = detectValueType(value);
+        state.count++;
+        state.types[type] = (state.types[type] || 0) + 1;
+        if (type === 'empty') {
+          state.empty++;
+          continue;
+        }
+        const text = String(value);
+        state.lengths[text.length] = (state.lengths[text.length] || 0) + 1;
+        if (type === 'integer' || type === 'decimal') {
+          const number = Number(text);
+          state.numbers.count++;
+          state.numbers.sum += number;
+          state.numbers.min = state.numbers.min === null ? number : Math.min(state.numbers.min, number);
+          state.numbers.max = state.numbers.max === null ? number : Math.max(state.numbers.max, number);
+        }
+        countValue(state, text, 1);
+      }
+    },
+    merge(otherStates) {
+      for (const [column, other] of otherStates) {
+        const state = states.get(column);
+        state.count += other.count;
+        state.empty += other.empty;
+        for (const [key, count] of Object.entries(other.types)) {
+          state.types[key] = (state.types[key] || 0) + count;
+        }
+        for (const [key, count] of Object.entries(other.lengths)) {
+          state.lengths[key] = (state.lengths[key] || 0) + count;
+        }
+        if (other.numbers.count > 0) {
+          state.numbers.count += other.numbers.count;
+          state.numbers.sum += other.numbers.sum;
+          state.numbers.min = state.numbers.min === null ? other.numbers.min : Math.min(state.numbers.min, other.numbers.min);
+          state.numbers.max = state.numbers.max === null ? other.numbers.max : Math.max(state.numbers.max, other.numbers.max);
+        }
+        for (const [value, count] of other.values) {
+          countValue(state, value, count);
+        }
+        state.capped = state.capped || other.capped;
+      }
+    }
+  };
+}
+
+// Function to get a column's type from the types of its values: the only type of its
+// non-empty values, 'decimal' for whole and decimal numbers, 'mixed' or 'empty'
+function getColumnType(types) {
+  const found = Object.keys(types).filter(type => type !== 'empty');
+  if (found.length === 0) {
+    return 'empty';
+  }
+  if (found.length === 1) {
+    return found[0];
+  }
+  return found.every(type => type === 'integer' || type === 'decimal') ? 'decimal' : 'mixed';
+}
+
+// Function to summarise the statistics of a column
+function summarizeColumn(state) {
+  const filled = state.count - state.empty;
+  const share = count => (filled > 0 ? count / filled : 0);
+  const lengths = Object.entries(state.lengths).map(([length, count]) => [Number(length), count]);
+  const types = {};
+  for (const [type, count] of Object.entries(state.types)) {
+    if (type !== 'empty') {
+      types[type] = share(count);
+    }
+  }
+
+  return {
+    type: getColumnType(state.types),
+    types,
+    count: state.count,
+    emptyRate: state.count > 0 ? state.empty / state.count : 0,
+    distinct: state.values.size,
+    distinctCapped: state.capped,
+    min: state.numbers.count > 0 ? state.numbers.min : null,
+    max: state.numbers.count > 0 ? state.numbers.max : null,
+    mean: state.numbers.count > 0 ? state.numbers.sum / state.numbers.count : null,
+    length: lengths.length === 0 ? null : {
+      min: Math.min(...lengths.map(([length]) => length)),
+      max: Math.max(...lengths.map(([length]) => length)),
+      mean: lengths.reduce((sum, [length, count]) => sum + length * count, 0) / filled,
+      distribution: Object.fromEntries(lengths.sort((a, b) => a[0] - b[0]).map(([length, count]) => [length, share(count)]))
+    },
+    topValues: [...state.values]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUE_COUNT)
+      .map(([value, count]) => ({ value, count, share: share(count) }))
+  };
+}
+
+// Function to format a share as a percentage
+function formatPercent(share) {
+  return share > 0 && share < 0.001 ? '<0.1%' : `${(share * 100).toFixed(1)}%`;
+}
+
+// Function to list the mismatches between a column's statistics in the source and in the output
+function findMismatches(sourceState, source, outputState, output) {
+  const flags = [];
+
+  // Values of other types than the source's, e.g. text in a column that was always numeric
+  if (source.type !== 'empty' && source.type !== 'mixed' && output.type !== 'empty') {
+    const expected = source.type === 'decimal' ? ['integer', 'decimal'] : [source.type];
+    const other = Object.entries(output.types).filter(([type]) => !expected.includes(type));
+    if (other.length > 0) {
+      flags.push(`always ${source.type} in the source, but ${other.map(([type, share]) => `${formatPercent(share)} ${type}`).join(', ')} in the output`);
+    }
+  }
+
+  if (Math.abs(source.emptyRate - output.emptyRate) > EMPTY_RATE_TOLERANCE) {
+    flags.push(`${formatPercent(source.emptyRate)} empty in the source, ${formatPercent(output.emptyRate)} in the output`);
+  }
+
+  const filled = sourceState.count - sourceState.empty;
+  if (!sourceState.capped && source.distinct > 0 && source.distinct <= MAX_ENUM_VALUES && source.distinct * 2 <= filled) {
+    const unknown = [...outputState.values.keys()].filter(value => !sourceState.values.has(value));
+    if (unknown.length > 0) {
+      flags.push(`${unknown.length}${outputState.capped ? '+' : ''} value(s) not in the source, e.g. ${unknown.slice(0, 3).map(value => JSON.stringify(value)).join(', ')}`);
+    }
+  }
+  return flags;
+}
+
+// Function to create a report from the profiler of the generated output and, when there
+// is one, the profiler of the source file. files names the source and the output.
+function createReport(sourceProfiler, outputProfiler, files) {
+  const sourceColumns = sourceProfiler ? sourceProfiler.columns : [];
+  const columns = [...outputProfiler.columns, ...sourceColumns.filter(column => !outputProfiler.columns.includes(column))];
+
+  return {
+    source: sourceProfiler ? files.source : null,
+    output: files.output,
+    columns: columns.map(column => {
+      const sourceState = sourceProfiler ? sourceProfiler.states.get(column) : undefined;
+      const outputState = outputProfiler.states.get(column);
+      const source = sourceState ? summarizeColumn(sourceState) : null;
+      const output = outputState ? summarizeColumn(outputState) : null;
+      return {
+        column,
+        source,
+        output,
+        flags: source && output ? findMismatches(sourceState, source, outputState, output) : []
+      };
+    })
+  };
+}
+
+// Function to profile the rows of a CSV file, streamed so large sources fit in memory
+async function profileCsvFile(filePath, dialect) {
+  const profiler = createProfiler(csvDialect.readCsvHeaders(filePath, dialect));
+  for await (const row of csvDialect.createCsvReader(filePath, dialect)) {
+    profiler.add(row);
+  }
+  return profiler;
+}
+
+// Function to format a number for the report, without long decimal tails
+function formatNumber(number) {
+  return number === null ? '' : String(Math.round(number * 100) / 100);
+}
+
+// Function to describe a column's statistics as the cells of a report table row
+function describeColumn(profile) {
+  // Values with surrounding or special whitespace are quoted, so they stay visible
+  const show = value => (value.trim() !== value || /[\r\n\t]/.test(value) ? JSON.stringify(value) : value);
+  const top = profile.topValues
+    .map(({ value, share }) => `${value.length > 20 ? show(value.slice(0, 17)) + '...' : show(value)} ${formatPercent(share)}`)
+    .join(', ');
+  return [
+    profile.type,
+    formatPercent(profile.emptyRate),
+    `${profile.distinct}${profile.distinctCapped ? '+' : ''}`,
+    formatNumber(profile.min),
+    formatNumber(profile.max),
+    formatNumber(profile.mean),
+    profile.length ? `${profile.length.min}-${profile.length.max} (avg ${formatNumber(profile.length.mean)})` : '',
+    top.length > 60 ? top.slice(0, 57) + '...' : top
+  ];
+}
+
+// Function to get the report as table rows (the first row holds the headings) and the list of mismatches
+function formatReportTable(report) {
+  const rows = [['Column', 'File', 'Type', 'Empty', 'Distinct', 'Min', 'Max', 'Mean', 'Length', 'Top values']];
+  const mismatches = [];
+  for (const entry of report.columns) {
+    if (entry.source) {
+      rows.push([entry.column, 'source', ...describeColumn(entry.source)]);
+    }
+    rows.push(entry.output
+      ? [entry.source ? '' : entry.column, 'output', ...describeColumn(entry.output)]
+      : ['', 'output', '(not generated)', '', '', '', '', '', '', '']);
+    mismatches.push(...entry.flags.map(flag => `${entry.column}: ${flag}`));
+  }
+  return { rows, mismatches };
+}
+
+// Function to escape text for HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+// Function to render the report as a self-contained HTML page
+function renderHtml(report) {
+  const { rows, mismatches } = formatReportTable(report);
+  const flagged = new Set(report.columns.filter(entry => entry.flags.length > 0).map(entry => entry.column));
+  let column = null;
+  const body = rows.slice(1).map(row => {
+    column = row[0] || column;
+    return `<tr${flagged.has(column) ? ' class="flagged"' : ''}>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Test data report</title>',
+    '<style>',
+    'body { font-family: sans-serif; margin: 2em; }',
+    'table { border-collapse: collapse; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+    'th { background: #eee; }',
+    'tr.flagged td { background: #fff3cd; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<h1>Test data report</h1>',
+    `<p>Output: ${escapeHtml(report.output)}${report.source ? `<br>Source: ${escapeHtml(report.source)}` : ''}</p>`,
+    mismatches.length > 0
+      ? `<h2>Mismatches</h2>\n<ul>\n${mismatches.map(mismatch => `<li>${escapeHtml(mismatch)}</li>`).join('\n')}\n</ul>`
+      : (report.source ? '<p>No mismatches between the source and the output.</p>' : ''),
+    '<h2>Columns</h2>',
+    '<table>',
+    `<tr>${rows[0].map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>`,
+    ...body,
+    '</table>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// Function to write the report as HTML and/or JSON files
+function writeReportFiles(report, paths) {
+  if (paths.html) {
+    fs.writeFileSync(paths.html, renderHtml(report), 'utf8');
+  }
+  if (paths.json) {
+    fs.writeFileSync(paths.json, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  }
+}
+
+module.exports = {
+  createProfiler,
+  createReport,
+  profileCsvFile,
+  formatReportTable,
+  renderHtml,
+  writeReportFiles
+};
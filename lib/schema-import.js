@@ -0,0 +1,518 @@
+const fs = require('fs');
+const path = require('path');
+const patterns = require('./patterns');
+
+// Column definitions without sample data: from a JSON Schema document, a SQL
+// CREATE TABLE statement or only a column name. Each source is turned into column
+// descriptions ({ name, kind, length, min, max, values, notNull, ... }), which are
+// mapped to generator suggestions in the same shape as inferColumn() returns.
+
+// Fake data kinds suggested by column name, with the shortest column length they fit in
+const NAME_HINTS = [
+  { regex: /e_?mail/, fakeType: 'email', minLength: 20 },
+  { regex: /uuid|guid/, fakeType: 'uuid', minLength: 36 },
+  { regex: /iban|account_?(no|num|number)$/, fakeType: 'iban', minLength: 28 },
+  { regex: /company|organi[sz]ation|employer/, fakeType: 'company', minLength: 20 },
+  { regex: /^(first|given|fore)_?name$/, fakeType: 'firstName', minLength: 10 },
+  { regex: /^(last|family|sur)_?name$/, fakeType: 'lastName', minLength: 10 },
+  { regex: /^(full_?)?name$|^(customer|person|contact|user)_?name$/, fakeType: 'fullName', minLength: 20 },
+  { regex: /phone|mobile|^tel$|telephone/, fakeType: 'phone', minLength: 15 },
+  { regex: /post(al)?_?code|^zip(_?code)?$/, fakeType: 'postalCode', minLength: 6 },
+  { regex: /^city$|_city$|^town$/, fakeType: 'city', minLength: 20 },
+  { regex: /street|address/, fakeType: 'streetAddress', minLength: 30 }
+];
+
+// Column kinds guessed from a column name when nothing else is known
+const NAME_KINDS = [
+  { regex: /^id$/, kind: 'integer', primaryKey: true },
+  { regex: /_id$/, kind: 'integer' },
+  { regex: /(_at|_time|timestamp)$/, kind: 'datetime' },
+  { regex: /(^|_)(date|dob|birthday)$|_on$|_date$/, kind: 'date' },
+  { regex: /^(is|has)_|(^|_)(active|enabled|flag)$/, kind: 'boolean' },
+  { regex: /amount|price|total|cost|balance|salary/, kind: 'decimal' },
+  { regex: /(^|_)(count|qty|quantity|age|number|num)$/, kind: 'integer' }
+];
+
+// SQL column types by the kind of values they hold
+const SQL_KINDS = {
+  integer: ['int', 'integer', 'smallint', 'bigint', 'tinyint', 'mediumint', 'int2', 'int4', 'int8',
+    'serial', 'smallserial', 'bigserial', 'serial2', 'serial4', 'serial8', 'year'],
+  decimal: ['decimal', 'numeric', 'number', 'real', 'float', 'double', 'double precision', 'money',
+    'smallmoney', 'float4', 'float8', 'dec'],
+  boolean: ['boolean', 'bool'],
+  string: ['char', 'character', 'nchar', 'varchar', 'nvarchar', 'varchar2', 'nvarchar2', 'character varying',
+    'text', 'ntext', 'tinytext', 'mediumtext', 'longtext', 'clob', 'string', 'citext'],
+  date: ['date'],
+  datetime: ['datetime', 'datetime2', 'smalldatetime', 'timestamp', 'timestamptz', 'datetimeoffset'],
+  time: ['time', 'timetz'],
+  uuid: ['uuid', 'uniqueidentifier']
+};
+
+// Largest values of SQL integer types, so suggested ranges fit the column
+const SQL_INTEGER_LIMITS = { tinyint: 127, smallint: 32767, int2: 32767, smallserial: 32767, mediumint: 8388607 };
+
+// Fixed-length text types, filled to their full length
+const SQL_FIXED_LENGTH_TYPES = ['char', 'character', 'nchar'];
+
+// Function to normalise a column name for matching hints (lower case, words joined by _)
+function normaliseName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Function to map a column description to a generator suggestion
+function suggestColumn(column) {
+  const notes = [];
+  if (column.notNull) {
+    notes.push('NOT NULL');
+  }
+  if (column.references) {
+    notes.push(`references ${column.references}`);
+  }
+  const keyFlags = column.primaryKey ? { unique: true, primaryKey: true } : (column.unique ? { unique: true } : {});
+
+  const suggest = (generationType, config, description) => ({
+    generationType,
+    config: { header: column.name, type: generationType, ...config, ...keyFlags },
+    description: [description, ...notes].join(', ')
+  });
+
+  if (column.values && column.values.length > 0) {
+    const numeric = column.values.every(value => typeof value === 'number');
+    return suggest(numeric ? 'numberList' : 'list', { list: column.values }, `${column.values.length} allowed values`);
+  }
+
+  switch (column.kind) {
+    case 'integer': {
+      if (column.autoIncrement || (column.primaryKey && column.min === undefined && column.max === undefined)) {
+        const start = column.min !== undefined ? column.min : 1;
+        return suggest('sequence', { start, step: 1 }, `IDs from ${start}`);
+      }
+      const limit = column.limit !== undefined ? column.limit : Infinity;
+      const min = column.min !== undefined ? column.min : Math.min(1, column.max !== undefined ? column.max : 1);
+      const max = column.max !== undefined ? column.max : Math.min(limit, min + 999);
+      return suggest('range', { min, max }, `integers ${min} to ${max}`);
+    }
+
+    case 'decimal': {
+      const decimals = column.scale !== undefined ? column.scale : 2;
+      // DECIMAL(5,2) holds up to 999.99
+      const limit = column.precision !== undefined
+        ? Math.pow(10, column.precision - decimals) - Math.pow(10, -decimals)
+        : Infinity;
+      const min = column.min !== undefined ? column.min : 0;
+      const max = column.max !== undefined ? column.max : Number(Math.min(limit, min + 1000).toFixed(decimals));
+      return suggest('range', { min, max, decimals }, `decimals ${min} to ${max}`);
+    }
+
+    case 'boolean':
+      return suggest('list', { list: ['true', 'false'] }, 'boolean');
+
+    case 'date':
+    case 'datetime':
+    case 'time': {
+      const includeTime = column.kind !== 'date';
+      const config = { from: '2020-01-01', to: 'today', includeTime, timezone: 'UTC' };
+      if (column.kind === 'time') {
+        Object.assign(config, { format: 'pattern', pattern: '%H:%M:%S' });
+      } else if (column.dateFormat === 'iso') {
+        config.format = 'iso';
+      } else {
+        Object.assign(config, { format: 'pattern', pattern: includeTime ? '%Y-%m-%d %H:%M:%S' : '%Y-%m-%d' });
+      }
+      return suggest('dateRange', config, column.kind === 'time' ? 'times of day' : `${column.kind === 'date' ? 'dates' : 'timestamps'} since 2020`);
+    }
+
+    case 'uuid':
+      return suggest('fake', { fakeType: 'uuid', locale: 'en' }, 'UUIDs');
+  }
+
+  // Text with a regular expression (JSON Schema "pattern") that the pattern generator supports
+  if (column.regex && !patterns.checkPattern({ pattern: column.regex, patternSyntax: 'regex' })) {
+    return suggest('pattern', { pattern: column.regex, patternSyntax: 'regex' }, `text matching ${column.regex}`);
+  }
+
+  // Text: realistic data when the name says what it holds and the values fit
+  const name = normaliseName(column.name);
+  const hint = column.format === 'email'
+    ? NAME_HINTS[0]
+    : NAME_HINTS.find(h => h.regex.test(name));
+  if (hint && (column.length === undefined || column.length >= hint.minLength)) {
+    return suggest('fake', { fakeType: hint.fakeType, locale: 'en' }, `${hint.fakeType} (from the column name)`);
+  }
+
+  if (column.fixedLength && column.length !== undefined) {
+    return suggest('randomString', { length: column.length }, `text of ${column.length} characters`);
+  }
+  const length = Math.max(Math.min(column.length !== undefined ? column.length : 10, 10), column.minLength || 1);
+  const description = column.length !== undefined ? `text, at most ${column.length} characters` : 'text';
+  return suggest('randomString', { length }, column.kind === 'other' ? `${column.type} stored as text` : description);
+}
+
+// Function to suggest a generator from a column name alone (e.g. a CSV file with only a header row)
+function suggestFromHeader(header) {
+  const name = normaliseName(header);
+  if (NAME_HINTS.some(h => h.regex.test(name))) {
+    return suggestColumn({ name: header, kind: 'string' });
+  }
+  const hint = NAME_KINDS.find(h => h.regex.test(name));
+  return suggestColumn({
+    name: header,
+    kind: hint ? hint.kind : 'string',
+    primaryKey: Boolean(hint && hint.primaryKey)
+  });
+}
+
+// Function to follow a local "$ref" such as "#/definitions/Order" or "#/$defs/Order"
+function resolveReference(schema, document) {
+  if (!schema || typeof schema.$ref !== 'string') {
+    return schema;
+  }
+  if (!schema.$ref.startsWith('#/')) {
+    throw new Error(`Only references within the document are supported: ${schema.$ref}`);
+  }
+  const target = schema.$ref.slice(2).split('/').reduce((node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), document);
+  if (!target) {
+    throw new Error(`Reference not found: ${schema.$ref}`);
+  }
+  return resolveReference(target, document);
+}
+
+// Function to describe a JSON Schema property as a column
+function describeJsonProperty(name, property, required) {
+  const types = [].concat(property.type || []).filter(type => type !== 'null');
+  const type = types[0] || (property.enum || property.const !== undefined ? 'enum' : 'string');
+  const column = { name, kind: 'string', notNull: required };
+
+  if (property.enum || property.const !== undefined) {
+    column.values = (property.enum || [property.const]).filter(value => value !== null);
+    return column;
+  }
+
+  switch (type) {
+    case 'integer':
+    case 'number':
+      column.kind = type === 'integer' ? 'integer' : 'decimal';
+      if (property.minimum !== undefined) {
+        column.min = property.minimum;
+      } else if (typeof property.exclusiveMinimum === 'number') {
+        column.min = property.exclusiveMinimum + (type === 'integer' ? 1 : 0);
+      }
+      if (property.maximum !== undefined) {
+        column.max = property.maximum;
+      } else if (typeof property.exclusiveMaximum === 'number') {
+        column.max = property.exclusiveMaximum - (type === 'integer' ? 1 : 0);
+      }
+      // multipleOf 0.01 means two decimal places
+      if (type === 'number' && property.multipleOf > 0 && property.multipleOf < 1) {
+        column.scale = Math.round(-Math.log10(property.multipleOf));
+      }
+      break;
+
+    case 'boolean':
+      column.kind = 'boolean';
+      break;
+
+    case 'string': {
+      const formats = { date: 'date', 'date-time': 'datetime', time: 'time', uuid: 'uuid' };
+      column.kind = formats[property.format] || 'string';
+      column.dateFormat = 'iso';
+      column.format = property.format;
+      column.length = property.maxLength;
+      column.minLength = property.minLength;
+      column.regex = property.pattern;
+      break;
+    }
+
+    default:
+      // Objects and arrays are written as text
+      column.kind = 'other';
+      column.type = type;
+  }
+  return column;
+}
+
+// Function to read the columns of a JSON Schema document describing one record,
+// or an array of records. Returns one table named after the schema's title.
+function parseJsonSchema(document, fallbackName) {
+  let schema = resolveReference(document, document);
+  if (schema.type === 'array' && schema.items) {
+    schema = resolveReference(schema.items, document);
+  }
+  if (!schema || typeof schema.properties !== 'object') {
+    throw new Error('The JSON Schema has no "properties" to take columns from');
+  }
+
+  const required = new Set(schema.required || []);
+  const columns = Object.keys(schema.properties).map(name =>
+    suggestColumn(describeJsonProperty(name, resolveReference(schema.properties[name], document), required.has(name))));
+  return [{ name: schema.title || document.title || fallbackName, columns }];
+}
+
+// Function to remove SQL comments, keeping quoted text intact
+function stripSqlComments(sql) {
+  return sql.replace(/('(?:[^']|'')*')|--[^\n]*|\/\*[\s\S]*?\*\//g, (match, quoted) => quoted || ' ');
+}
+
+// Function to split text at a separator that is outside parentheses and quotes
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let part = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(part.trim());
+      part = '';
+      continue;
+    }
+    part += char;
+  }
+  if (part.trim() !== '') {
+    parts.push(part.trim());
+  }
+  return parts;
+}
+
+// Function to find the text between an opening parenthesis and the one closing it
+function readParenthesised(text, openIndex) {
+  let depth = 0;
+  let quote = null;
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return text.slice(openIndex + 1, i);
+    }
+  }
+  throw new Error('Unbalanced parentheses in CREATE TABLE statement');
+}
+
+// Function to remove the quotes around a SQL identifier ("name", `name` or [name]) and any schema prefix
+function unquoteIdentifier(identifier) {
+  const last = identifier.trim().split('.').pop();
+  return last.replace(/^["`[]|["`\]]$/g, '');
+}
+
+// Function to parse a SQL literal: a quoted string or a number
+function parseSqlLiteral(text) {
+  const trimmed = text.trim();
+  if (/^'.*'$/s.test(trimmed)) {
+    return trimmed.slice(1, -1).replace(/''/g, '\'');
+  }
+  const number = Number(trimmed);
+  return trimmed !== '' && !isNaN(number) ? number : trimmed;
+}
+
+// Function to apply a CHECK constraint such as "status IN ('A','B')", "age BETWEEN 18 AND 99"
+// or "price >= 0 AND price < 1000" to the columns it names
+function applyCheck(expression, columnsByName) {
+  const identifier = '["`[]?(\\w+)["`\\]]?';
+  const inList = new RegExp(`^${identifier}\\s+IN\\s*\\(([\\s\\S]*)\\)$`, 'i');
+  const between = new RegExp(`^${identifier}\\s+BETWEEN\\s+(\\S+)\\s+AND\\s+(\\S+)$`, 'i');
+  const comparison = new RegExp(`^${identifier}\\s*(>=|<=|>|<)\\s*(-?[\\d.]+)$`, 'i');
+
+  let text = expression.trim();
+  while (text.startsWith('(') && readParenthesised(text, 0).length === text.length - 2) {
+    text = text.slice(1, -1).trim();
+  }
+
+  let match = text.match(inList);
+  if (match && columnsByName.has(match[1].toLowerCase())) {
+    columnsByName.get(match[1].toLowerCase()).values = splitTopLevel(match[2], ',').map(parseSqlLiteral);
+    return;
+  }
+  match = text.match(between);
+  if (match && columnsByName.has(match[1].toLowerCase())) {
+    const column = columnsByName.get(match[1].toLowerCase());
+    column.min = Number(match[2]);
+    column.max = Number(match[3]);
+    return;
+  }
+
+  // Conditions joined by AND each narrow the range
+  const conditions = text.split(/\s+AND\s+/i);
+  if (conditions.length > 1) {
+    conditions.forEach(condition => applyCheck(condition, columnsByName));
+    return;
+  }
+  match = text.match(comparison);
+  if (match && columnsByName.has(match[1].toLowerCase())) {
+    const column = columnsByName.get(match[1].toLowerCase());
+    const value = Number(match[3]);
+    const step = column.kind === 'integer' ? 1 : 0;
+    if (match[2] === '>=' || match[2] === '>') {
+      column.min = match[2] === '>' ? value + step : value;
+    } else {
+      column.max = match[2] === '<' ? value - step : value;
+    }
+  }
+  // Other conditions (functions, several columns) are left to the user
+}
+
+// Function to describe a SQL column definition such as "price DECIMAL(10,2) NOT NULL CHECK (price > 0)"
+function describeSqlColumn(definition) {
+  const match = definition.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)\s+([\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+  const column = { name: unquoteIdentifier(match[1]), kind: 'other' };
+  const rest = match[2];
+
+  // The type: one or more words, optional arguments in parentheses
+  const typeMatch = rest.match(/^([a-z_][\w]*(?:\s+(?:varying|precision|unsigned))*)\s*(?:\(([^)]*)\))?/i);
+  const type = typeMatch ? typeMatch[1].toLowerCase().replace(/\s+unsigned$/, '').replace(/\s+/g, ' ') : '';
+  const args = typeMatch && typeMatch[2] !== undefined ? splitTopLevel(typeMatch[2], ',') : [];
+  const constraints = typeMatch ? rest.slice(typeMatch[0].length) : rest;
+  column.type = type.toUpperCase();
+
+  column.kind = Object.keys(SQL_KINDS).find(kind => SQL_KINDS[kind].includes(type)) || 'other';
+  if (type === 'enum' || type === 'set') {
+    column.kind = 'string';
+    column.values = args.map(parseSqlLiteral);
+  } else if (type === 'bit' || (type === 'tinyint' && args[0] === '1')) {
+    // BIT and MySQL's TINYINT(1) hold booleans as 0 and 1
+    column.kind = 'integer';
+    column.values = [0, 1];
+  } else if (['decimal', 'numeric', 'number', 'dec'].includes(type) && args.length > 0) {
+    column.precision = Number(args[0]);
+    column.scale = args.length > 1 ? Number(args[1]) : 0;
+    // NUMBER(10) and NUMERIC(10,0) hold whole numbers
+    if (column.scale === 0) {
+      column.kind = 'integer';
+      column.limit = Math.pow(10, column.precision) - 1;
+    }
+  } else if (column.kind === 'string' && args.length > 0 && /^\d+$/.test(args[0])) {
+    column.length = Number(args[0]);
+    column.fixedLength = SQL_FIXED_LENGTH_TYPES.includes(type);
+  } else if (column.kind === 'integer') {
+    column.limit = SQL_INTEGER_LIMITS[type];
+    column.autoIncrement = type.includes('serial');
+  }
+
+  column.notNull = /\bNOT\s+NULL\b/i.test(constraints);
+  column.primaryKey = /\bPRIMARY\s+KEY\b/i.test(constraints);
+  column.unique = /\bUNIQUE\b/i.test(constraints);
+  column.autoIncrement = column.autoIncrement || /\bAUTO_?INCREMENT\b|\bIDENTITY\b/i.test(constraints);
+  const references = constraints.match(/\bREFERENCES\s+([\w."`[\]]+)\s*\(\s*([^)]+?)\s*\)/i);
+  if (references) {
+    column.references = `${unquoteIdentifier(references[1])}(${unquoteIdentifier(references[2])})`;
+  }
+  return { column, constraints };
+}
+
+// Function to read every CREATE TABLE statement of a SQL script.
+// Returns the tables with their name and column suggestions.
+function parseCreateTables(sql) {
+  const text = stripSqlComments(sql);
+  const statement = /CREATE\s+(?:(?:GLOBAL\s+|LOCAL\s+)?(?:TEMPORARY|TEMP)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w]+)(?:\.(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w]+))*)\s*\(/gi;
+  const tables = [];
+  let match;
+
+  while ((match = statement.exec(text)) !== null) {
+    const body = readParenthesised(text, match.index + match[0].length - 1);
+    const columns = [];
+    const checks = [];
+    const tableConstraints = [];
+
+    for (const part of splitTopLevel(body, ',')) {
+      if (/^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY|KEY|INDEX|EXCLUDE)\b/i.test(part)) {
+        tableConstraints.push(part.replace(/^CONSTRAINT\s+\S+\s+/i, ''));
+        continue;
+      }
+      const described = describeSqlColumn(part);
+      if (described) {
+        columns.push(described.column);
+        const check = described.constraints.match(/\bCHECK\s*\(/i);
+        if (check) {
+          checks.push(readParenthesised(described.constraints, check.index + check[0].length - 1));
+        }
+      }
+    }
+
+    const columnsByName = new Map(columns.map(column => [column.name.toLowerCase(), column]));
+    const columnList = list => splitTopLevel(list, ',').map(name => columnsByName.get(unquoteIdentifier(name).toLowerCase())).filter(Boolean);
+
+    for (const constraint of tableConstraints) {
+      const open = constraint.indexOf('(');
+      if (open < 0) {
+        continue;
+      }
+      const inner = readParenthesised(constraint, open);
+      if (/^CHECK\b/i.test(constraint)) {
+        checks.push(inner);
+      } else if (/^PRIMARY\s+KEY\b/i.test(constraint)) {
+        // A key over several columns does not make any one of them unique
+        const keyColumns = columnList(inner);
+        if (keyColumns.length === 1) {
+          keyColumns[0].primaryKey = true;
+        }
+      } else if (/^UNIQUE\b/i.test(constraint)) {
+        const keyColumns = columnList(inner);
+        if (keyColumns.length === 1) {
+          keyColumns[0].unique = true;
+        }
+      } else if (/^FOREIGN\s+KEY\b/i.test(constraint)) {
+        const references = constraint.match(/\bREFERENCES\s+([\w."`[\]]+)\s*\(\s*([^)]+?)\s*\)/i);
+        const keyColumns = columnList(inner);
+        if (references && keyColumns.length === 1) {
+          keyColumns[0].references = `${unquoteIdentifier(references[1])}(${unquoteIdentifier(references[2])})`;
+        }
+      }
+    }
+    checks.forEach(check => applyCheck(check, columnsByName));
+
+    tables.push({ name: unquoteIdentifier(match[1]), columns: columns.map(suggestColumn) });
+  }
+
+  if (tables.length === 0) {
+    throw new Error('No CREATE TABLE statement found');
+  }
+  return tables;
+}
+
+// Function to read the tables described by a schema file: a JSON Schema (.json) or a SQL script (.sql)
+function readSchemaFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const name = path.basename(filePath).replace(/\..*$/, '');
+  if (/\.json$/i.test(filePath)) {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+    return parseJsonSchema(document, name);
+  }
+  return parseCreateTables(text);
+}
+
+// Function to check whether a file is a schema rather than a CSV file with sample data
+function isSchemaFile(filePath) {
+  return /\.(json|sql)$/i.test(filePath);
+}
+
+module.exports = {
+  suggestColumn,
+  suggestFromHeader,
+  parseJsonSchema,
+  parseCreateTables,
+  readSchemaFile,
+  isSchemaFile
+};
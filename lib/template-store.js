@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { migrateTemplate, migrateConfig } = require('./templates');
+
+// Templates are stored one file per template, so teams can share them through git.
+// They are looked up in the project directory first, then in the per-user directory,
+// and finally in the "templates" array of config.json used by older versions.
+// A template found earlier hides templates with the same name found later.
+
+const CONFIG_FILE = 'config.json';
+const TEMPLATE_EXTENSION = '.template.json';
+
+// Directories searched for template files, set from the command line at startup
+let projectDirectory = null;
+let userDirectory = null;
+
+// Function to choose the template directories (null keeps the default)
+function setTemplateDirectories(directories) {
+  projectDirectory = directories.project || null;
+  userDirectory = directories.user || null;
+}
+
+// Function to list where templates are looked up, highest precedence first
+function getTemplateLocations() {
+  return [
+    {
+      scope: 'project',
+      directory: path.resolve(projectDirectory || process.env.TEST_FILE_GENERATOR_TEMPLATES || 'templates')
+    },
+    {
+      scope: 'user',
+      directory: path.resolve(userDirectory || path.join(os.homedir(), '.test-file-generator', 'templates'))
+    },
+    {
+      scope: 'config',
+      file: path.resolve(CONFIG_FILE)
+    }
+  ];
+}
+
+// Function to get the file name of a template; characters not allowed in file names are replaced
+function getTemplateFileName(name) {
+  return name.trim().replace(/[^\w.-]+/g, '_') + TEMPLATE_EXTENSION;
+}
+
+// Function to load config.json (projects and older templates), migrating older versions.
+// A config.json that cannot be parsed is an error, so it is never overwritten.
+function loadConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return { templates: [] };
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${CONFIG_FILE}: ${error.message}`);
+  }
+  return migrateConfig(config);
+}
+
+// Function to write config.json
+function saveConfigFile(config) {
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
+// Function to read one template file. A file that cannot be used is returned with an error
+// instead of failing, so one broken file does not hide every other template.
+function readTemplateFile(file, scope) {
+  const entry = { name: path.basename(file, TEMPLATE_EXTENSION), scope, file, template: null, error: null };
+  try {
+    const template = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error('not a template object');
+    }
+    entry.name = typeof template.name === 'string' ? template.name : entry.name;
+    entry.template = migrateTemplate({ ...template, name: entry.name }, `Template '${entry.name}'`);
+  } catch (error) {
+    entry.error = `${file}: ${error.message}`;
+  }
+  return entry;
+}
+
+// Function to load every template from all locations, highest precedence first.
+// Each entry has the template's name, scope, file, the template (or a load error)
+// and whether a template of the same name in an earlier location hides it.
+function loadTemplateEntries() {
+  const entries = [];
+  for (const location of getTemplateLocations()) {
+    if (location.scope === 'config') {
+      for (const template of loadConfigFile().templates || []) {
+        entries.push({ name: template.name, scope: 'config', file: location.file, template, error: null });
+      }
+    } else if (fs.existsSync(location.directory)) {
+      const files = fs.readdirSync(location.directory).filter(file => file.endsWith(TEMPLATE_EXTENSION)).sort();
+      for (const file of files) {
+        entries.push(readTemplateFile(path.join(location.directory, file), location.scope));
+      }
+    }
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    entry.hidden = seen.has(entry.name);
+    seen.add(entry.name);
+  }
+  return entries;
+}
+
+// Function to find the template entry used for a name (the one with the highest precedence)
+function findTemplateEntry(name) {
+  return loadTemplateEntries().find(entry => entry.name === name && !entry.hidden) || null;
+}
+
+// Function to find a template by name; returns null if there is none
+function findTemplate(name) {
+  const entry = findTemplateEntry(name);
+  if (entry && entry.error) {
+    throw new Error(entry.error);
+  }
+  return entry ? entry.template : null;
+}
+
+// Function to get the file a template of the given name is saved to in a scope ('project' or 'user')
+function getTemplatePath(name, scope) {
+  const location = getTemplateLocations().find(l => l.scope === scope);
+  if (!location || !location.directory) {
+    throw new Error(`Templates cannot be saved to scope '${scope}' (use project or user)`);
+  }
+  return path.join(location.directory, getTemplateFileName(name));
+}
+
+// Function to save a template as its own file in a scope ('project' or 'user').
+// Refuses to replace a different template whose name maps to the same file, and any
+// existing template unless overwrite is set. Returns the path of the file.
+function saveTemplate(template, scope, overwrite = true) {
+  const file = getTemplatePath(template.name, scope);
+  if (fs.existsSync(file)) {
+    const existing = readTemplateFile(file, scope);
+    if (existing.name !== template.name) {
+      throw new Error(`Template '${template.name}' would replace template '${existing.name}' in ${file}; choose another name`);
+    }
+    if (!overwrite) {
+      throw new Error(`Template '${template.name}' already exists in ${file} (use --force to replace it)`);
+    }
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(template, null, 2) + '\n');
+  return file;
+}
+
+// Function to remove a template entry from its file, or from config.json for older templates
+function removeTemplateEntry(entry) {
+  if (entry.scope === 'config') {
+    const config = loadConfigFile();
+    config.templates = config.templates.filter(t => t.name !== entry.name);
+    saveConfigFile(config);
+  } else {
+    fs.unlinkSync(entry.file);
+  }
+}
+
+module.exports = {
+  setTemplateDirectories,
+  getTemplateLocations,
+  loadConfigFile,
+  loadTemplateEntries,
+  findTemplateEntry,
+  findTemplate,
+  getTemplatePath,
+  saveTemplate,
+  removeTemplateEntry
+};
@@ -0,0 +1,407 @@
+const dates = require('./dates');
+const fakeData = require('./fake-data');
+const distributions = require('./distributions');
+const expressions = require('./expressions');
+const faults = require('./faults');
+const patterns = require('./patterns');
+const masking = require('./masking');
+const correlations = require('./correlations');
+const writers = require('./writers');
+const plugins = require('./plugins');
+
+// Template format version written by this version of the tool. Older templates are
+// migrated when they are loaded; the schema is in lib/schemas/template.schema.json.
+const CURRENT_VERSION = 2;
+
+// Settings every column type needs, with the JavaScript type of each
+const columnTypes = {
+  range: { min: 'number', max: 'number' },
+  numberList: { list: 'array' },
+  list: { list: 'array' },
+  randomString: { length: 'number' },
+  sequence: { start: 'number', step: 'number' },
+  listInOrder: { list: 'array' },
+  prefixedString: { prefix: 'string', length: 'number' },
+  pattern: { pattern: 'string' },
+  fake: { fakeType: 'string' },
+  dateRange: { from: 'string', to: 'string' },
+  dateSequence: { start: 'string', stepAmount: 'number', stepUnit: 'string' },
+  relativeDate: { offsetFrom: 'number', offsetTo: 'number', offsetUnit: 'string' },
+  computed: { expression: 'string' },
+  foreignKey: { table: 'string', column: 'string' },
+  mapped: { column: 'string', map: 'object' },
+  rowGroup: { group: 'string', list: 'array' }
+};
+
+// Version 1 templates (without a version field) used numeric type codes
+const VERSION_1_TYPE_CODES = {
+  1: 'range',
+  2: 'numberList',
+  3: 'list',
+  4: 'randomString',
+  5: 'sequence',
+  6: 'listInOrder',
+  7: 'prefixedString',
+  8: 'fake',
+  9: 'dateRange',
+  10: 'dateSequence',
+  11: 'relativeDate',
+  12: 'computed',
+  13: 'foreignKey'
+};
+
+// Migrations from each version to the next, applied in order
+const migrations = {
+  1: columns => columns.map(config => ({ ...config, type: VERSION_1_TYPE_CODES[config.type] || config.type }))
+};
+
+// Function to bring column configurations saved with an older version up to date
+function migrateColumns(columnConfigurations, version) {
+  let columns = columnConfigurations;
+  for (let from = version; from < CURRENT_VERSION; from++) {
+    columns = migrations[from](columns);
+  }
+  return columns;
+}
+
+// Function to migrate a template or project (anything with a version and column configurations).
+// Returns the same object when it is already up to date.
+function migrateTemplate(item, describe) {
+  const version = item.version !== undefined ? item.version : 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`${describe} has an invalid version: ${JSON.stringify(item.version)}`);
+  }
+  if (version > CURRENT_VERSION) {
+    throw new Error(`${describe} was saved by a newer version of this tool (template version ${version}, supported up to ${CURRENT_VERSION})`);
+  }
+  if (version === CURRENT_VERSION) {
+    return item;
+  }
+
+  // Listed first so the version leads the saved template
+  const migrated = { version: CURRENT_VERSION, ...item };
+  migrated.version = CURRENT_VERSION;
+  if (Array.isArray(item.columnConfigurations)) {
+    migrated.columnConfigurations = migrateColumns(item.columnConfigurations, version);
+  }
+  if (Array.isArray(item.tables)) {
+    migrated.tables = item.tables.map(table => (Array.isArray(table.columnConfigurations)
+      ? { ...table, columnConfigurations: migrateColumns(table.columnConfigurations, version) }
+      : table));
+  }
+  return migrated;
+}
+
+// Function to migrate every template and project of a loaded config.json.
+// The migrated form is written back whenever config.json is saved.
+function migrateConfig(config) {
+  return {
+    ...config,
+    templates: (config.templates || []).map(t => migrateTemplate(t, `Template '${t.name}'`)),
+    ...(config.projects ? { projects: config.projects.map(p => migrateTemplate(p, `Project '${p.name}'`)) } : {})
+  };
+}
+
+// Function to check a JavaScript value against a settings type
+function hasType(value, type) {
+  if (type === 'array') {
+    return Array.isArray(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && isFinite(value);
+  }
+  return typeof value === type;
+}
+
+// Function to check that a date setting can be parsed
+function checkDate(problems, value, label) {
+  try {
+    return dates.parseDateInput(value, 'UTC').epoch;
+  } catch (error) {
+    problems.push(`${label} is not a valid date: ${value}`);
+    return null;
+  }
+}
+
+// Function to check the type-specific ranges and values of a column
+function checkColumnSettings(config, problems) {
+  const isOneOf = (value, choices) => choices.some(choice => choice.value === value);
+
+  switch (config.type) {
+    case 'range':
+      if (config.min > config.max) {
+        problems.push(`min (${config.min}) is greater than max (${config.max})`);
+      }
+      if (config.decimals !== undefined && !(Number.isInteger(config.decimals) && config.decimals >= 0)) {
+        problems.push(`decimals must be a whole number of at least 0, got ${config.decimals}`);
+      }
+      if (config.distribution !== undefined && !isOneOf(config.distribution, distributions.numberDistributions)) {
+        problems.push(`unknown distribution: ${config.distribution}`);
+      }
+      if (config.stddev !== undefined && !(config.stddev > 0)) {
+        problems.push(`stddev must be greater than 0, got ${config.stddev}`);
+      }
+      break;
+
+    case 'numberList':
+    case 'list':
+    case 'listInOrder':
+    case 'rowGroup':
+      if (config.list.length === 0) {
+        problems.push('list is empty');
+      }
+      if (config.weights !== undefined) {
+        if (!Array.isArray(config.weights) || config.weights.length !== config.list.length) {
+          problems.push('weights must have one entry per list value');
+        } else if (config.weights.some(weight => !(weight >= 0)) || !config.weights.some(weight => weight > 0)) {
+          problems.push('weights must be at least 0 and not all 0');
+        }
+      }
+      break;
+
+    case 'randomString':
+    case 'prefixedString':
+      if (!(Number.isInteger(config.length) && config.length > 0)) {
+        problems.push(`length must be a whole number greater than 0, got ${config.length}`);
+      }
+      break;
+
+    case 'pattern': {
+      const error = patterns.checkPattern(config);
+      if (error) {
+        problems.push(error);
+      }
+      for (const setting of ['counterStart', 'counterStep']) {
+        if (config[setting] !== undefined && !hasType(config[setting], 'number')) {
+          problems.push(`${setting} must be a number, got ${JSON.stringify(config[setting])}`);
+        }
+      }
+      break;
+    }
+
+    case 'fake':
+      if (!isOneOf(config.fakeType, fakeData.fakeDataTypes)) {
+        problems.push(`unknown fake data type: ${config.fakeType}`);
+      }
+      if (config.locale !== undefined && !isOneOf(config.locale, fakeData.getLocaleChoices())) {
+        problems.push(`unknown locale: ${config.locale} (use ${fakeData.getLocaleChoices().map(choice => choice.value).join(', ')})`);
+      }
+      break;
+
+    case 'dateRange': {
+      const from = checkDate(problems, config.from, 'from');
+      const to = checkDate(problems, config.to, 'to');
+      if (from !== null && to !== null && from > to) {
+        problems.push(`from (${config.from}) is after to (${config.to})`);
+      }
+      break;
+    }
+
+    case 'dateSequence':
+      checkDate(problems, config.start, 'start');
+      if (!isOneOf(config.stepUnit, dates.dateUnits)) {
+        problems.push(`unknown step unit: ${config.stepUnit}`);
+      }
+      break;
+
+    case 'relativeDate':
+      if (config.relativeTo !== undefined && typeof config.relativeTo !== 'string') {
+        problems.push('relativeTo must be a column name');
+      }
+      if (config.offsetFrom > config.offsetTo) {
+        problems.push(`offsetFrom (${config.offsetFrom}) is greater than offsetTo (${config.offsetTo})`);
+      }
+      if (!isOneOf(config.offsetUnit, dates.dateUnits)) {
+        problems.push(`unknown offset unit: ${config.offsetUnit}`);
+      }
+      break;
+
+    case 'computed':
+      try {
+        expressions.compileExpression(config.expression);
+      } catch (error) {
+        problems.push(error.message);
+      }
+      break;
+
+    case 'foreignKey':
+      for (const setting of ['minPerParent', 'maxPerParent']) {
+        if (config[setting] !== undefined && !(Number.isInteger(config[setting]) && config[setting] >= 0)) {
+          problems.push(`${setting} must be a whole number of at least 0, got ${config[setting]}`);
+        }
+      }
+      if (config.minPerParent > config.maxPerParent) {
+        problems.push(`minPerParent (${config.minPerParent}) is greater than maxPerParent (${config.maxPerParent})`);
+      }
+      break;
+
+    case 'mapped':
+      problems.push(...correlations.checkValueMap(config));
+      break;
+
+    default: {
+      const plugin = plugins.getGenerator(config.type);
+      if (plugin && plugin.validate) {
+        problems.push(...plugin.validate(config));
+      }
+    }
+  }
+
+  // Any column can be generated only in rows where a condition on other columns holds
+  for (const setting of ['when', 'otherwise']) {
+    if (config[setting] !== undefined) {
+      try {
+        expressions.compileExpression(config[setting]);
+      } catch (error) {
+        problems.push(`${setting}: ${error.message}`);
+      }
+    }
+  }
+  if (config.otherwise !== undefined && config.when === undefined) {
+    problems.push('otherwise needs a when condition');
+  }
+  if (config.unique && (config.when !== undefined || config.type === 'rowGroup')) {
+    problems.push(`${config.when !== undefined ? 'conditional' : 'row group'} columns cannot be unique`);
+  }
+
+  // Date columns share the output settings
+  if (['dateRange', 'dateSequence', 'relativeDate'].includes(config.type)) {
+    if (config.format !== undefined && !isOneOf(config.format, dates.dateFormats)) {
+      problems.push(`unknown date format: ${config.format}`);
+    }
+    if (config.pattern !== undefined && typeof config.pattern !== 'string') {
+      problems.push('pattern must be a string');
+    }
+    if (config.timezone !== undefined && !dates.isValidTimeZone(config.timezone)) {
+      problems.push(`unknown time zone: ${config.timezone}`);
+    }
+  }
+}
+
+// Function to list the problems of column configurations, e.g. "column 'id': min (5) is greater than max (1)".
+// Columns of masking templates have a transform; only those replaced with generated values have a type.
+function validateColumns(columnConfigurations, masks = false) {
+  if (!Array.isArray(columnConfigurations) || columnConfigurations.length === 0) {
+    return ['no column configurations'];
+  }
+
+  const problems = [];
+  const seen = new Set();
+  columnConfigurations.forEach((config, index) => {
+    if (!config || typeof config.header !== 'string' || config.header === '') {
+      problems.push(`column ${index + 1}: missing header`);
+      return;
+    }
+    const label = `column '${config.header}'`;
+    if (seen.has(config.header)) {
+      problems.push(`${label}: more than one column with this header`);
+    }
+    seen.add(config.header);
+
+    if (masks || config.transform !== undefined) {
+      const transformProblems = masks ? masking.checkTransform(config) : ['transforms can only be used in masking templates'];
+      problems.push(...transformProblems.map(problem => `${label}: ${problem}`));
+      if (config.transform !== 'generate' || transformProblems.length > 0) {
+        return;
+      }
+    }
+
+    // Types registered by plugins are checked like built-in ones
+    const plugin = columnTypes[config.type] ? null : plugins.getGenerator(config.type);
+    const required = columnTypes[config.type] || (plugin && plugin.settings);
+    if (!required) {
+      problems.push(`${label}: unknown type ${JSON.stringify(config.type)}` +
+        (typeof config.type === 'string' ? ' (is its plugin loaded?)' : ''));
+      return;
+    }
+
+    const missing = Object.keys(required).filter(setting => !hasType(config[setting], required[setting]));
+    if (missing.length > 0) {
+      problems.push(...missing.map(setting => (config[setting] === undefined
+        ? `${label}: missing ${setting}`
+        : `${label}: ${setting} must be a ${required[setting]}, got ${JSON.stringify(config[setting])}`)));
+      return;
+    }
+
+    const columnProblems = [];
+    checkColumnSettings(config, columnProblems);
+    if (config.faults !== undefined) {
+      columnProblems.push(...faults.validateFaults(config.faults, config.type));
+    }
+    problems.push(...columnProblems.map(problem => `${label}: ${problem}`));
+
+    // Columns that take their value from another column of the row
+    const source = config.type === 'mapped' ? config.column : (config.type === 'relativeDate' ? config.relativeTo : undefined);
+    if (typeof source === 'string' && !columnConfigurations.some(c => c && c.header === source)) {
+      problems.push(`${label}: unknown column '${source}'`);
+    }
+  });
+  return problems.concat(correlations.checkRowGroups(columnConfigurations.filter(c => c && hasType(c.list, 'array'))));
+}
+
+// Function to list the problems of a template; an empty list means it can be used
+function validateTemplate(template) {
+  const problems = [];
+  if (typeof template.name !== 'string' || template.name.trim() === '') {
+    problems.push('missing name');
+  }
+  if (template.mode !== undefined && template.mode !== 'generate' && template.mode !== 'mask') {
+    problems.push(`unknown mode: ${JSON.stringify(template.mode)} (use generate or mask)`);
+  }
+  if (template.numRecords !== undefined && !(Number.isInteger(template.numRecords) && template.numRecords > 0)) {
+    problems.push(`numRecords must be a whole number greater than 0, got ${JSON.stringify(template.numRecords)}`);
+  }
+  if (template.format !== undefined) {
+    try {
+      writers.getWriter(template.format);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  if (template.faults !== undefined) {
+    problems.push(...faults.validateFaults(template.faults));
+  }
+  if (template.sourceColumns !== undefined && !(hasType(template.sourceColumns, 'array') && template.sourceColumns.every(column => typeof column === 'string'))) {
+    problems.push(`sourceColumns must be a list of column names, got ${JSON.stringify(template.sourceColumns)}`);
+  }
+  return problems.concat(validateColumns(template.columnConfigurations, template.mode === 'mask'));
+}
+
+// Function to format validation problems as an indented list for error messages
+function formatProblems(problems) {
+  return problems.map(problem => `  - ${problem}`).join('\n');
+}
+
+// Function to compare the headers of a source file with a template's columns.
+// Computed and foreign key columns are not expected in the source file.
+// sourceColumns, the source file's headers when the template was saved, is compared instead
+// when the template has it, since its columns may have been renamed, dropped or added since.
+function findHeaderDrift(headers, columnConfigurations, sourceColumns) {
+  const configured = new Set(columnConfigurations.map(config => config.header));
+  const present = new Set(headers);
+  if (sourceColumns) {
+    const known = new Set(sourceColumns);
+    return {
+      added: headers.filter(header => !known.has(header) && !configured.has(header)),
+      // Columns renamed since no longer take anything from the source file
+      removed: sourceColumns.filter(header => !present.has(header) && configured.has(header))
+    };
+  }
+  return {
+    added: headers.filter(header => !configured.has(header)),
+    removed: columnConfigurations
+      .filter(config => !present.has(config.header) && config.type !== 'computed' && config.type !== 'foreignKey')
+      .map(config => config.header)
+  };
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  columnTypes,
+  migrateTemplate,
+  migrateConfig,
+  validateColumns,
+  validateTemplate,
+  formatProblems,
+  findHeaderDrift
+};
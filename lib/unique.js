@@ -0,0 +1,188 @@
+const { getRandomNumber } = require('./random');
+const dates = require('./dates');
+const patterns = require('./patterns');
+
+// Attempts at finding an unused value before giving up on a retrying generator
+const MAX_UNIQUE_ATTEMPTS = 1000;
+
+const STRING_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Largest value space drawn with a collision-free shuffle; larger spaces rarely collide and just retry
+const MAX_SHUFFLE_SIZE = 0x100000000;
+
+// Function to describe a column's value space as its size and, where possible, a way to get the k-th value.
+// Returns null when the size is unknown, e.g. for fake data.
+function getValueSpace(config, now) {
+  switch (config.type) {
+    case 'range': { // Random numeric range
+      if (config.distribution && config.distribution !== 'uniform') {
+        // Skewed distributions keep their shape, so they retry instead of shuffling
+        const factor = Math.pow(10, config.decimals || 0);
+        return {
+          size: Math.floor(config.max * factor) - Math.ceil(config.min * factor) + 1,
+          describe: `range ${config.min}-${config.max}`
+        };
+      }
+      if (config.decimals) {
+        const factor = Math.pow(10, config.decimals);
+        const low = Math.ceil(config.min * factor);
+        return {
+          size: Math.floor(config.max * factor) - low + 1,
+          valueAt: k => Number(((low + k) / factor).toFixed(config.decimals)),
+          describe: `range ${config.min}-${config.max} with ${config.decimals} decimal places`
+        };
+      }
+      return {
+        size: config.max - config.min + 1,
+        valueAt: k => config.min + k,
+        describe: `range ${config.min}-${config.max}`
+      };
+    }
+
+    case 'numberList': // Random numeric from list
+    case 'list': { // Random alphanumeric from list
+      const distinct = [...new Set(config.list)];
+      return { size: distinct.length, valueAt: k => distinct[k], describe: 'list' };
+    }
+
+    case 'randomString': // Random alphanumeric strings
+    case 'prefixedString': { // Random alphanumeric with prefix
+      const prefix = config.type === 'prefixedString' ? config.prefix : '';
+      return {
+        size: Math.pow(62, config.length),
+        // The k-th string is k written in base 62 with the same characters as getRandomString
+        valueAt: k => {
+          let result = '';
+          for (let i = 0; i < config.length; i++) {
+            result = STRING_CHARS.charAt(k % 62) + result;
+            k = Math.floor(k / 62);
+          }
+          return prefix + result;
+        },
+        describe: `${config.length}-character random string`
+      };
+    }
+
+    case 'pattern': // Random string matching a pattern
+      return patterns.getPatternSpace(config);
+
+    case 'dateRange': // Random date in range
+    case 'relativeDate': { // Now plus or minus offset
+      if (config.relativeTo) {
+        // Offset from another column's date, so the values are not known in advance
+        return null;
+      }
+      const space = dates.createDateSpace(config, now);
+      return { size: space.size, valueAt: space.valueAt, describe: 'date range' };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Function to check whether a column never repeats by construction
+function isInherentlyUnique(config) {
+  return (config.type === 'sequence' && config.step !== 0) ||
+    (config.type === 'dateSequence' && config.stepAmount !== 0) ||
+    (config.type === 'pattern' && patterns.compilePattern(config).uniqueByCounter);
+}
+
+// Function to check whether a unique column's values follow from the row index alone, so any
+// range of rows can be generated separately (e.g. in worker threads) without repeating values
+function isUniqueByRowIndex(config) {
+  return isInherentlyUnique(config) || config.type === 'listInOrder';
+}
+
+// Function to count how many leading list entries are distinct ('listInOrder' walks the list in order)
+function countDistinctPrefix(list) {
+  const seen = new Set();
+  for (const value of list) {
+    if (seen.has(value)) {
+      break;
+    }
+    seen.add(value);
+  }
+  return seen.size;
+}
+
+// Function to create the error for a unique column whose value space is smaller than the records
+function createSpaceTooSmallError(config, space, numRecords) {
+  return new Error(
+    `Column '${config.header}' is marked unique, but its ${space.describe || 'value space'} only has ` +
+    `${space.size} distinct values, fewer than the ${numRecords} requested records`
+  );
+}
+
+// Function to create a generator that draws k-th values without replacement (sparse Fisher-Yates shuffle).
+// Fails once every value has been drawn, for runs whose record count was not known in advance.
+function createShuffledGenerator(config, space) {
+  const swaps = new Map();
+  let drawn = 0;
+
+  return () => {
+    if (drawn >= space.size) {
+      throw createSpaceTooSmallError(config, space, drawn + 1);
+    }
+    const pick = drawn + getRandomNumber(0, space.size - drawn - 1);
+    const index = swaps.has(pick) ? swaps.get(pick) : pick;
+    swaps.set(pick, swaps.has(drawn) ? swaps.get(drawn) : drawn);
+    swaps.delete(drawn);
+    drawn++;
+    return space.valueAt(index);
+  };
+}
+
+// Function to create a generator that retries until it finds a value it has not produced yet
+function createRetryingGenerator(config, generator) {
+  const seen = new Set();
+
+  return (i, record) => {
+    for (let attempt = 0; attempt < MAX_UNIQUE_ATTEMPTS; attempt++) {
+      const value = generator(i, record);
+      if (!seen.has(value)) {
+        seen.add(value);
+        return value;
+      }
+    }
+    throw new Error(
+      `Column '${config.header}' is marked unique, but no new value was found after ${MAX_UNIQUE_ATTEMPTS} attempts ` +
+      `(${seen.size} unique values generated so far). Use a larger value space or fewer records.`
+    );
+  };
+}
+
+// Function to wrap a column generator so it never repeats a value.
+// Fails before generation starts when the value space is smaller than the number of records.
+function createUniqueGenerator(config, generator, numRecords, now) {
+  if (isInherentlyUnique(config)) {
+    return generator;
+  }
+
+  if (config.type === 'listInOrder') { // Values from list, in order
+    const size = countDistinctPrefix(config.list);
+    if (size < numRecords) {
+      throw new Error(
+        `Column '${config.header}' is marked unique, but its list only yields ${size} distinct values in order, ` +
+        `fewer than the ${numRecords} requested records`
+      );
+    }
+    return generator;
+  }
+
+  const space = getValueSpace(config, now);
+  if (space && space.size < numRecords) {
+    throw createSpaceTooSmallError(config, space, numRecords);
+  }
+
+  if (space && space.valueAt && space.size <= MAX_SHUFFLE_SIZE) {
+    return createShuffledGenerator(config, space);
+  }
+  return createRetryingGenerator(config, generator);
+}
+
+module.exports = {
+  getValueSpace,
+  isUniqueByRowIndex,
+  createUniqueGenerator
+};
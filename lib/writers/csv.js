@@ -0,0 +1,23 @@
+const csvStringify = require('csv-stringify');
+const csvDialect = require('../csv-dialect');
+const { createTextOutput, createDecimalFormatter } = require('./text');
+
+// CSV output using csv-stringify's stream API, in the dialect given by options.csvDialect
+module.exports = {
+  name: 'CSV',
+  extensions: ['.csv'],
+  concatenable: true,
+
+  // Function to create the output stream for a CSV file
+  createOutput(outputFilePath, columns, options) {
+    const dialect = csvDialect.normaliseDialect(options.csvDialect);
+    const formatDecimal = createDecimalFormatter(options.columnConfigurations);
+    const stringifier = csvStringify.stringify({
+      ...csvDialect.getStringifyOptions(dialect),
+      header: options.includeHeader,
+      columns,
+      cast: { number: (value, context) => String(formatDecimal(value, context.column)) }
+    });
+    return createTextOutput(outputFilePath, stringifier, csvDialect.createEncodingStream(dialect));
+  }
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+
+// Output writers keyed by format name. Each writer turns generated records
+// into a file through createOutput(outputFilePath, columns, options), which
+// returns an object-mode stream to write records to and a promise that
+// resolves once the file is complete. Instead of a file path, writers also
+// accept a writable stream to write the file's content to. Writers whose files
+// can be written in parts and joined back (the parts after the first without
+// a header) set concatenable, so worker threads can write them in parallel.
+// options.columnConfigurations holds the columns' configurations when they are
+// known, for writers that derive column types from them.
+const writers = {
+  csv: require('./csv'),
+  json: require('./json'),
+  ndjson: require('./ndjson'),
+  sql: require('./sql'),
+  xml: require('./xml'),
+  xlsx: require('./xlsx'),
+  sqlite: require('./sqlite')
+};
+
+// Formats that come with the tool; plugins cannot replace them
+const builtInFormats = Object.keys(writers);
+
+// Function to register an additional output format
+function registerWriter(format, writer) {
+  if (builtInFormats.includes(format)) {
+    throw new Error(`Output format '${format}' is built in and cannot be replaced`);
+  }
+  if (typeof writer.createOutput !== 'function') {
+    throw new Error(`Writer '${format}' must provide createOutput()`);
+  }
+  writers[format] = writer;
+}
+
+// Function to get the writer for a format
+function getWriter(format) {
+  const writer = writers[format];
+  if (!writer) {
+    throw new Error(`Unknown output format: ${format} (available formats: ${Object.keys(writers).join(', ')})`);
+  }
+  return writer;
+}
+
+// Function to list output formats for menus
+function getFormatChoices() {
+  return Object.keys(writers).map(format => ({ name: writers[format].name, value: format }));
+}
+
+// Function to detect the output format from a file extension
+function getFormatFromPath(outputFilePath) {
+  const extension = path.extname(outputFilePath || '').toLowerCase();
+  return Object.keys(writers).find(format => (writers[format].extensions || []).includes(extension)) || null;
+}
+
+// Function to get the default file extension of a format
+function getDefaultExtension(format) {
+  return (getWriter(format).extensions || [`.${format}`])[0];
+}
+
+// Function to create the output for a format
+function createOutput(format, outputFilePath, columns, options) {
+  return getWriter(format).createOutput(outputFilePath, columns, options);
+}
+
+module.exports = {
+  registerWriter,
+  getWriter,
+  getFormatChoices,
+  getFormatFromPath,
+  getDefaultExtension,
+  createOutput
+};
@@ -0,0 +1,19 @@
+const { createTextOutput, createRecordTransform } = require('./text');
+
+// JSON array output, one record per line so large files stay readable
+module.exports = {
+  name: 'JSON array',
+  extensions: ['.json'],
+
+  // Function to create the output stream for a JSON file
+  createOutput(outputFilePath, columns, options) {
+    const transform = createRecordTransform(
+      (record, index) => (index === 0 ? '  ' : ',\n  ') + JSON.stringify(record),
+      {
+        header: () => '[\n',
+        footer: count => (count === 0 ? ']\n' : '\n]\n')
+      }
+    );
+    return createTextOutput(outputFilePath, transform);
+  }
+};
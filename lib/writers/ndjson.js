@@ -0,0 +1,14 @@
+const { createTextOutput, createRecordTransform } = require('./text');
+
+// Newline-delimited JSON output, one object per line
+module.exports = {
+  name: 'NDJSON (newline-delimited JSON)',
+  extensions: ['.ndjson', '.jsonl'],
+  concatenable: true,
+
+  // Function to create the output stream for an NDJSON file
+  createOutput(outputFilePath, columns, options) {
+    const transform = createRecordTransform(record => JSON.stringify(record) + '\n');
+    return createTextOutput(outputFilePath, transform);
+  }
+};
@@ -0,0 +1,81 @@
+const path = require('path');
+const { createTextOutput, createRecordTransform } = require('./text');
+
+// Supported SQL dialects and how they quote identifiers and values
+const dialects = {
+  postgres: {
+    name: 'PostgreSQL',
+    quoteIdentifier: name => `"${name.replace(/"/g, '""')}"`,
+    quoteString: value => `'${value.replace(/'/g, "''")}'`,
+    formatBoolean: value => (value ? 'TRUE' : 'FALSE')
+  },
+  mysql: {
+    name: 'MySQL',
+    quoteIdentifier: name => `\`${name.replace(/`/g, '``')}\``,
+    // MySQL treats backslashes in string literals as escapes by default
+    quoteString: value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`,
+    formatBoolean: value => (value ? 'TRUE' : 'FALSE')
+  },
+  sqlite: {
+    name: 'SQLite',
+    quoteIdentifier: name => `"${name.replace(/"/g, '""')}"`,
+    quoteString: value => `'${value.replace(/'/g, "''")}'`,
+    formatBoolean: value => (value ? '1' : '0')
+  }
+};
+
+// Rows per INSERT statement
+const DEFAULT_BATCH_SIZE = 100;
+
+// Function to format a single value as an SQL literal
+function formatValue(value, dialect) {
+  if (value === undefined || value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  }
+  if (typeof value === 'boolean') {
+    return dialect.formatBoolean(value);
+  }
+  return dialect.quoteString(String(value));
+}
+
+// Function to derive a table name from the output file name (streams get the generic name)
+function getDefaultTableName(outputFilePath) {
+  const base = typeof outputFilePath === 'string' ? path.basename(outputFilePath, path.extname(outputFilePath)) : '';
+  return base.replace(/[^A-Za-z0-9_]/g, '_') || 'test_data';
+}
+
+// SQL INSERT statements output
+module.exports = {
+  name: 'SQL INSERT statements',
+  extensions: ['.sql'],
+  concatenable: true,
+  dialects: Object.keys(dialects).map(key => ({ name: dialects[key].name, value: key })),
+  getDefaultTableName,
+
+  // Function to create the output stream for an SQL file
+  createOutput(outputFilePath, columns, options) {
+    const dialect = dialects[options.dialect || 'postgres'];
+    if (!dialect) {
+      throw new Error(`Unknown SQL dialect: ${options.dialect} (expected ${Object.keys(dialects).join(', ')})`);
+    }
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const table = dialect.quoteIdentifier(options.table || getDefaultTableName(outputFilePath));
+    const insert = `INSERT INTO ${table} (${columns.map(dialect.quoteIdentifier).join(', ')}) VALUES\n`;
+
+    // Rows are grouped into multi-row INSERT statements of batchSize rows
+    const transform = createRecordTransform(
+      (record, index) => {
+        const row = `  (${columns.map(column => formatValue(record[column], dialect)).join(', ')})`;
+        if (index % batchSize === 0) {
+          return (index === 0 ? '' : ';\n') + insert + row;
+        }
+        return ',\n' + row;
+      },
+      { footer: count => (count === 0 ? '' : ';\n') }
+    );
+    return createTextOutput(outputFilePath, transform);
+  }
+};
@@ -0,0 +1,208 @@
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+const { getDefaultTableName } = require('./sql');
+
+// Rows inserted per transaction
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Function to load Node.js's built-in SQLite module, which older Node.js versions lack
+function loadSqlite() {
+  // Node.js warns on every run that the module is experimental
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning, ...args) => {
+    if (!String(warning).includes('SQLite')) {
+      emitWarning.call(process, warning, ...args);
+    }
+  };
+  try {
+    return require('node:sqlite');
+  } catch (error) {
+    throw new Error(`SQLite output needs Node.js 22.13 or later (this is Node.js ${process.versions.node})`);
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+}
+
+// Function to quote an SQLite identifier
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+// Function to get the SQLite type of a list of values: INTEGER, REAL or TEXT
+function getValuesType(values) {
+  if (values.length > 0 && values.every(value => Number.isInteger(value))) {
+    return 'INTEGER';
+  }
+  if (values.length > 0 && values.every(value => typeof value === 'number')) {
+    return 'REAL';
+  }
+  return 'TEXT';
+}
+
+// Function to derive the SQLite column type from a column's generator. Columns whose values
+// depend on expressions, parent tables or plugins get no declared type, so SQLite keeps
+// each value as it is generated.
+function getColumnType(config) {
+  switch (config && config.type) {
+    case 'range':
+      return config.decimals ? 'REAL' : 'INTEGER';
+    case 'sequence':
+      return getValuesType([config.start, config.step]);
+    case 'numberList':
+    case 'list':
+    case 'listInOrder':
+    case 'rowGroup':
+      return getValuesType(config.list);
+    case 'mapped':
+      return getValuesType(Object.values(config.map));
+    case 'dateRange':
+    case 'dateSequence':
+    case 'relativeDate':
+      return config.format === 'epoch-s' || config.format === 'epoch-ms' ? 'INTEGER' : 'TEXT';
+    case 'randomString':
+    case 'prefixedString':
+    case 'pattern':
+    case 'fake':
+      return 'TEXT';
+    default:
+      return '';
+  }
+}
+
+// Function to convert a field to a value SQLite can store
+function toSqliteValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return String(value);
+}
+
+// Function to create the table with the columns' types, primary key and unique indexes
+function createTable(database, table, columns, columnConfigurations) {
+  const configs = new Map(columnConfigurations.map(config => [config.header, config]));
+  const definitions = columns.map(column => {
+    const type = getColumnType(configs.get(column));
+    return type ? `${quoteIdentifier(column)} ${type}` : quoteIdentifier(column);
+  });
+  const primaryKey = columns.filter(column => configs.has(column) && configs.get(column).primaryKey);
+  if (primaryKey.length > 0) {
+    definitions.push(`PRIMARY KEY (${primaryKey.map(quoteIdentifier).join(', ')})`);
+  }
+  database.exec(`CREATE TABLE ${quoteIdentifier(table)} (\n  ${definitions.join(',\n  ')}\n)`);
+
+  for (const column of columns) {
+    const config = configs.get(column);
+    if (config && config.unique && !primaryKey.includes(column)) {
+      database.exec(`CREATE UNIQUE INDEX ${quoteIdentifier(`${table}_${column}_unique`)} ON ${quoteIdentifier(table)} (${quoteIdentifier(column)})`);
+    }
+  }
+}
+
+// Function to check that an existing table has all the columns records are inserted into
+function checkExistingTable(database, table, columns, databasePath) {
+  const existing = database.prepare(`PRAGMA table_info(${quoteIdentifier(table)})`).all().map(row => row.name);
+  const missing = columns.filter(column => !existing.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Table ${table} in ${databasePath} has no column(s) ${missing.join(', ')}`);
+  }
+}
+
+// SQLite database output: records are inserted into a table, which is created when the
+// database does not have it yet and appended to otherwise
+module.exports = {
+  name: 'SQLite database (.db)',
+  extensions: ['.db', '.sqlite', '.sqlite3'],
+  getColumnType,
+
+  // Function to create the output stream inserting records into a SQLite database file.
+  // options.columnConfigurations gives the column types, primary key and unique indexes.
+  createOutput(databasePath, columns, options) {
+    if (typeof databasePath !== 'string') {
+      throw new Error('SQLite output can only be written to a database file');
+    }
+    const { DatabaseSync } = loadSqlite();
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const table = options.table || getDefaultTableName(databasePath);
+    const database = new DatabaseSync(databasePath);
+    let open = true;
+    let insert;
+    try {
+      const exists = database.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+      if (exists) {
+        checkExistingTable(database, table, columns, databasePath);
+      } else {
+        createTable(database, table, columns, options.columnConfigurations || []);
+      }
+      insert = database.prepare(
+        `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) ` +
+        `VALUES (${columns.map(() => '?').join(', ')})`
+      );
+    } catch (error) {
+      database.close();
+      throw error;
+    }
+
+    // Rows are inserted in transactions of batchSize rows
+    let rowsInTransaction = 0;
+    let inTransaction = false;
+    const commit = () => {
+      if (inTransaction) {
+        database.exec('COMMIT');
+        inTransaction = false;
+        rowsInTransaction = 0;
+      }
+    };
+
+    const stream = new Writable({
+      objectMode: true,
+      write(record, encoding, callback) {
+        try {
+          if (!inTransaction) {
+            database.exec('BEGIN');
+            inTransaction = true;
+          }
+          insert.run(...columns.map(column => toSqliteValue(record[column])));
+          if (++rowsInTransaction >= batchSize) {
+            commit();
+          }
+          callback();
+        } catch (error) {
+          callback(new Error(`Cannot insert into table ${table}: ${error.message}`));
+        }
+      },
+      final(callback) {
+        try {
+          commit();
+          database.close();
+          open = false;
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+      destroy(error, callback) {
+        // Rows of the unfinished transaction are rolled back; committed batches stay
+        try {
+          if (open) {
+            open = false;
+            if (inTransaction) {
+              database.exec('ROLLBACK');
+            }
+            database.close();
+          }
+        } catch (closeError) {
+          // The error that stopped the output is the one to report
+        }
+        callback(error);
+      }
+    });
+
+    return { stream, finished: finished(stream) };
+  }
+};
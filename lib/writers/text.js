@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Function to connect an object-mode transform producing text to an output file (or a
+// writable stream), optionally through a stream converting the text to another encoding
+function createTextOutput(outputFilePath, transform, encodingStream) {
+  const streams = [transform];
+  if (encodingStream) {
+    // Encoding streams take text, so the transform hands over strings rather than UTF-8 bytes
+    transform.setEncoding('utf8');
+    streams.push(encodingStream);
+  }
+  return {
+    stream: transform,
+    finished: pipeline(...streams, typeof outputFilePath === 'string' ? fs.createWriteStream(outputFilePath) : outputFilePath)
+  };
+}
+
+// Function to create a transform turning records into text, with optional text before the first and after the last record
+function createRecordTransform(formatRecord, { header = () => '', footer = () => '' } = {}) {
+  let count = 0;
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      try {
+        const text = formatRecord(record, count);
+        callback(null, (count === 0 ? header() : '') + text);
+        count++;
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      callback(null, (count === 0 ? header() : '') + footer(count));
+    }
+  });
+}
+
+// Function to create a formatter writing the numbers of columns with decimal places with all
+// their places (9.6 as 9.60), as text formats show them; typed formats keep the numbers
+function createDecimalFormatter(columnConfigurations) {
+  const places = new Map((columnConfigurations || [])
+    .filter(config => config.decimals > 0)
+    .map(config => [config.header, config.decimals]));
+  return (value, column) => (typeof value === 'number' && Number.isFinite(value) && places.has(column)
+    ? value.toFixed(places.get(column))
+    : value);
+}
+
+module.exports = {
+  createTextOutput,
+  createRecordTransform,
+  createDecimalFormatter
+};
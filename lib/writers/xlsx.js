@@ -0,0 +1,61 @@
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+
+// Excel's row limit per worksheet; further rows continue on a new sheet
+const MAX_ROWS_PER_SHEET = 1048576;
+
+// Excel workbook output using ExcelJS's streaming writer
+module.exports = {
+  name: 'Excel workbook (.xlsx)',
+  extensions: ['.xlsx'],
+
+  // Function to create the output stream for an .xlsx file
+  createOutput(outputFilePath, columns, options) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      ...(typeof outputFilePath === 'string' ? { filename: outputFilePath } : { stream: outputFilePath }),
+      useStyles: false,
+      useSharedStrings: false
+    });
+    const sheetName = options.sheetName || 'Data';
+    let sheetCount = 0;
+    let sheet = null;
+    let rowsInSheet = 0;
+
+    const startSheet = () => {
+      if (sheet) {
+        sheet.commit();
+      }
+      sheetCount++;
+      sheet = workbook.addWorksheet(sheetCount === 1 ? sheetName : `${sheetName} ${sheetCount}`);
+      rowsInSheet = 0;
+      if (options.includeHeader) {
+        sheet.addRow(columns).commit();
+        rowsInSheet++;
+      }
+    };
+    startSheet();
+
+    const stream = new Writable({
+      objectMode: true,
+      write(record, encoding, callback) {
+        try {
+          if (rowsInSheet >= MAX_ROWS_PER_SHEET) {
+            startSheet();
+          }
+          sheet.addRow(columns.map(column => record[column])).commit();
+          rowsInSheet++;
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+      final(callback) {
+        sheet.commit();
+        workbook.commit().then(() => callback(), callback);
+      }
+    });
+
+    return { stream, finished: finished(stream) };
+  }
+};
@@ -0,0 +1,45 @@
+const { createTextOutput, createRecordTransform, createDecimalFormatter } = require('./text');
+
+// Function to escape text for XML content
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Function to turn a column header into a valid XML element name
+function toElementName(header) {
+  const name = String(header).trim().replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) && !/^xml/i.test(name) ? name : `_${name}`;
+}
+
+// XML output: <records><record><column>value</column>...</record></records>
+module.exports = {
+  name: 'XML',
+  extensions: ['.xml'],
+
+  // Function to create the output stream for an XML file
+  createOutput(outputFilePath, columns, options) {
+    const elements = columns.map(toElementName);
+    const formatDecimal = createDecimalFormatter(options.columnConfigurations);
+    const transform = createRecordTransform(
+      record => {
+        const fields = columns.map((column, index) => {
+          const value = record[column];
+          return value === undefined || value === null
+            ? `    <${elements[index]}/>`
+            : `    <${elements[index]}>${escapeXml(formatDecimal(value, column))}</${elements[index]}>`;
+        });
+        return `  <record>\n${fields.join('\n')}\n  </record>\n`;
+      },
+      {
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n<records>\n',
+        footer: () => '</records>\n'
+      }
+    );
+    return createTextOutput(outputFilePath, transform);
+  }
+};
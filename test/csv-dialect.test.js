@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const iconv = require('iconv-lite');
+const csvDialect = require('../lib/csv-dialect');
+const { generate } = require('../lib/api');
+
+// Function to detect the dialect of CSV text or bytes
+function detect(content, overrides) {
+  return csvDialect.detectDialect(Buffer.isBuffer(content) ? content : Buffer.from(content), overrides);
+}
+
+// Function to generate a small CSV file's bytes in a dialect
+async function generateCsv(dialect) {
+  const columns = [
+    { header: 'city', type: 'listInOrder', list: ['Łódź; centrum', 'Kraków'] },
+    { header: 'n', type: 'sequence', start: 1, step: 1 }
+  ];
+  const chunks = [];
+  for await (const chunk of generate({ columns, records: 2, seed: 1, format: 'csv', formatOptions: { csvDialect: dialect } })) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+test('semicolon-delimited files with CRLF line endings are detected', () => {
+  assert.deepStrictEqual(detect('a;b;c\r\n1;2;3\r\n4;5;6\r\n'), {
+    delimiter: ';', quote: '"', escape: '"', encoding: 'utf8', bom: false, lineEnding: 'crlf', quoteAll: false
+  });
+});
+
+test('tab and pipe delimiters, single quotes and backslash escapes are detected', () => {
+  assert.strictEqual(detect('a\tb\n1\t2\n').delimiter, '\t');
+  const singleQuoted = detect("'a'|'b'\n'1'|'2'\n");
+  assert.strictEqual(singleQuoted.delimiter, '|');
+  assert.strictEqual(singleQuoted.quote, "'");
+  assert.strictEqual(singleQuoted.quoteAll, true);
+  assert.strictEqual(detect('"a","b"\n"x \\"y\\"","2"\n').escape, '\\');
+});
+
+test('byte order marks and Windows code pages are detected', () => {
+  const withBom = detect(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a,b\n1,2\n')]));
+  assert.strictEqual(withBom.encoding, 'utf8');
+  assert.strictEqual(withBom.bom, true);
+  assert.strictEqual(detect(iconv.encode('miasto;kraj\nŁódź;Polska\nKraków;Polska\n', 'windows-1250')).encoding, 'windows-1250');
+  assert.strictEqual(detect(iconv.encode('name,city\nJosé,Málaga\n', 'windows-1252')).encoding, 'windows-1252');
+});
+
+test('given settings are used instead of detected ones', () => {
+  assert.strictEqual(detect('a;b\n1;2\n', { delimiter: ',' }).delimiter, ',');
+  assert.strictEqual(csvDialect.parseDelimiter('tab'), '\t');
+  assert.strictEqual(csvDialect.parseDelimiter('semicolon'), ';');
+  assert.throws(() => csvDialect.normaliseDialect({ delimiter: '"' }), /delimiter and quote must be different/);
+  assert.throws(() => csvDialect.normaliseDialect({ encoding: 'klingon' }), /Unknown encoding: klingon/);
+  assert.throws(() => csvDialect.normaliseDialect({ lineEnding: 'nl' }), /Unknown line ending: nl/);
+});
+
+test('source files are read in their detected dialect', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-test-'));
+  try {
+    const file = path.join(directory, 'export.csv');
+    fs.writeFileSync(file, iconv.encode('miasto;ludność\r\n"Łódź; centrum";670000\r\nKraków;800000\r\n', 'windows-1250'));
+    const { records, dialect } = csvDialect.readCsvFile(file);
+    assert.strictEqual(dialect.encoding, 'windows-1250');
+    assert.deepStrictEqual(records, [{ miasto: 'Łódź; centrum', ludność: '670000' }, { miasto: 'Kraków', ludność: '800000' }]);
+    assert.deepStrictEqual(csvDialect.readCsvHeaders(file), ['miasto', 'ludność']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('CSV output is written in the chosen dialect', async () => {
+  const content = await generateCsv({ delimiter: ';', lineEnding: 'crlf', quoteAll: true });
+  assert.strictEqual(content.toString(), '"city";"n"\r\n"Łódź; centrum";"1"\r\n"Kraków";"2"\r\n');
+
+  const encoded = await generateCsv({ encoding: 'windows-1250', bom: false });
+  assert.strictEqual(iconv.decode(encoded, 'windows-1250'), 'city,n\nŁódź; centrum,1\nKraków,2\n');
+  assert.strictEqual(detect(encoded).encoding, 'windows-1250');
+
+  const withBom = await generateCsv({ bom: true });
+  assert.deepStrictEqual([...withBom.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setSeed } = require('../lib/random');
+const { createNumberSampler } = require('../lib/distributions');
+
+test('decimal samples of skewed distributions are numbers rounded to their places', () => {
+  setSeed(1);
+  for (const distribution of ['normal', 'exponential', 'zipf']) {
+    const sample = createNumberSampler({ type: 'range', min: 1, max: 20, decimals: 2, distribution });
+    for (let i = 0; i < 50; i++) {
+      const value = sample();
+      assert.strictEqual(typeof value, 'number');
+      assert.strictEqual(value, Number(value.toFixed(2)));
+    }
+  }
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileExpression, toOutput, Duration, DateValue } = require('../lib/expressions');
+const { generate } = require('../lib/api');
+
+// A date column value on 10 February 2024
+const start = new DateValue(Date.UTC(2024, 1, 10), { type: 'dateRange', format: 'iso', timezone: 'UTC' });
+
+// Function to evaluate an expression against a row of column values
+function evaluateWith(text, row = {}) {
+  return toOutput(compileExpression(text).evaluate(name => row[name]));
+}
+
+// Function to generate records as JSON objects
+async function generateRecords(columns, records) {
+  let json = '';
+  for await (const chunk of generate({ columns, records, seed: 1, format: 'json' })) {
+    json += chunk;
+  }
+  return JSON.parse(json);
+}
+
+test('names inherited from Object.prototype are not functions', () => {
+  for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    assert.throws(() => compileExpression(`${name}(x)`), new RegExp(`Unknown function '${name}'`));
+  }
+});
+
+test('built-in functions still evaluate', () => {
+  const expression = compileExpression('upper(name)');
+  assert.deepStrictEqual(expression.columns, ['name']);
+  assert.strictEqual(expression.evaluate(() => 'ann'), 'ANN');
+});
+
+test('duration literals are parsed with their unit', () => {
+  const expression = compileExpression('start + 30d');
+  assert.deepStrictEqual(expression.columns, ['start']);
+  assert.deepStrictEqual(compileExpression('2mo').evaluate(() => null), new Duration(2, 'month'));
+  assert.throws(() => compileExpression('start + 30x'), /Unknown duration unit 'x' .* at position 9/);
+});
+
+test('durations shift dates', () => {
+  assert.strictEqual(toOutput(compileExpression('start + 30d').evaluate(() => start)), '2024-03-11');
+  assert.strictEqual(toOutput(compileExpression('1w + start').evaluate(() => start)), '2024-02-17');
+  assert.strictEqual(toOutput(compileExpression('start - 1mo').evaluate(() => start)), '2024-01-10');
+  assert.strictEqual(compileExpression('start + 30d').evaluate(() => null), null);
+});
+
+test('durations cannot be added to or subtracted from values that are not dates', () => {
+  assert.throws(() => compileExpression('start + 30d').evaluate(() => '2024-02-10'), /Cannot add 30 days to "2024-02-10", which is not a date column value/);
+  assert.throws(() => compileExpression('30d + start').evaluate(() => 5), /Cannot add 30 days to "5"/);
+  assert.throws(() => compileExpression('start - 1d').evaluate(() => 'x'), /Cannot subtract 1 day from "x"/);
+  const columns = [
+    { header: 'start', type: 'listInOrder', list: ['2024-02-10'] },
+    { header: 'end', type: 'computed', expression: 'start + 30d' }
+  ];
+  assert.throws(() => generate({ columns, records: 1, seed: 1 }), /Column 'end', row 1: Cannot add 30 days/);
+});
+
+test('arithmetic follows operator precedence and joins text', () => {
+  assert.strictEqual(evaluateWith('quantity * unit_price', { quantity: '3', unit_price: '2.5' }), 7.5);
+  assert.strictEqual(evaluateWith('2 + 3 * 4'), 14);
+  assert.strictEqual(evaluateWith('(2 + 3) * 4'), 20);
+  assert.strictEqual(evaluateWith('7 % 3'), 1);
+  assert.strictEqual(evaluateWith('"a" + 1'), 'a1');
+  assert.strictEqual(evaluateWith('[unit price] * 2', { 'unit price': '4' }), 8);
+});
+
+test('functions and conditionals evaluate', () => {
+  assert.strictEqual(evaluateWith('concat(first, " ", last)', { first: 'Ann', last: 'Lee' }), 'Ann Lee');
+  assert.strictEqual(evaluateWith('lower(ascii(name))', { name: 'Łucja' }), 'lucja');
+  assert.strictEqual(evaluateWith('round(2.345, 2)'), 2.35);
+  assert.strictEqual(evaluateWith('fixed(2, 2)'), '2.00');
+  assert.strictEqual(evaluateWith('coalesce(a, b)', { a: '', b: 'x' }), 'x');
+  assert.strictEqual(evaluateWith('status == "CLOSED" ? "yes" : "no"', { status: 'CLOSED' }), 'yes');
+  assert.strictEqual(evaluateWith('if(number(n) > 10, "big", "small")', { n: '9' }), 'small');
+  assert.strictEqual(evaluateWith('year(start)', { start }), 2024);
+});
+
+test('syntax errors report their position', () => {
+  assert.throws(() => compileExpression('1 +'), /Unexpected end at position 4 in expression: 1 \+/);
+  assert.throws(() => compileExpression('"abc'), /Unterminated string at position 1/);
+  assert.throws(() => compileExpression('foo(1)'), /Unknown function 'foo' at position 1/);
+});
+
+test('computed columns are generated after the columns they use', async () => {
+  const columns = [
+    { header: 'total', type: 'computed', expression: 'net + tax' },
+    { header: 'tax', type: 'computed', expression: 'net * 0.25' },
+    { header: 'net', type: 'sequence', start: 100, step: -60 }
+  ];
+  assert.deepStrictEqual(await generateRecords(columns, 2), [
+    { total: 125, tax: 25, net: 100 },
+    { total: 50, tax: 10, net: 40 }
+  ]);
+});
+
+test('dependency cycles and unknown columns are reported before generation', () => {
+  const cycle = [
+    { header: 'a', type: 'computed', expression: 'b + 1' },
+    { header: 'b', type: 'computed', expression: 'a + 1' }
+  ];
+  assert.throws(() => generate({ columns: cycle, records: 1, seed: 1 }), /Columns depend on each other in a cycle: a -> b -> a/);
+  const unknown = [{ header: 'a', type: 'computed', expression: 'zz + 1' }];
+  assert.throws(() => generate({ columns: unknown, records: 1, seed: 1 }), /Column 'a' uses unknown column\(s\): zz/);
+});
+
+test('conditional columns are generated only where their condition holds', async () => {
+  const columns = [
+    { header: 'status', type: 'listInOrder', list: ['OPEN', 'CLOSED'] },
+    { header: 'closed_by', type: 'listInOrder', list: ['ann'], when: 'status == "CLOSED"' },
+    { header: 'note', type: 'listInOrder', list: ['done'], when: 'status == "CLOSED"', otherwise: 'lower(status)' }
+  ];
+  const records = await generateRecords(columns, 2);
+  assert.deepStrictEqual(records.map(record => [record.closed_by, record.note]), [['', 'open'], ['ann', 'done']]);
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generate } = require('../lib/api');
+
+test('English phone numbers are valid North American numbers', () => {
+  const columns = [{ header: 'phone', type: 'fake', fakeType: 'phone', locale: 'en' }];
+  for (const { phone } of generate({ columns, records: 500, seed: 4 })) {
+    const digits = phone.replace(/^\+1 /, '').replace(/\D/g, '');
+    assert.match(digits, /^[2-9]\d{2}[2-9]\d{6}$/, phone);
+  }
+});
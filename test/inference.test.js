@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inferColumn } = require('../lib/inference');
+const templates = require('../lib/templates');
+const { generate } = require('../lib/api');
+
+test('integers too large for numbers are inferred as digit patterns', () => {
+  const suggestion = inferColumn('account', ['12345678901234567890', '98765432109876543210', '11112222333344445555']);
+  assert.deepStrictEqual(suggestion.config, { header: 'account', type: 'pattern', patternSyntax: 'regex', pattern: '[1-9]\\d{19}' });
+  assert.deepStrictEqual(templates.validateColumns([suggestion.config]), []);
+  for (const { account } of generate({ columns: [suggestion.config], records: 20, seed: 2 })) {
+    assert.match(account, /^[1-9]\d{19}$/);
+  }
+});
+
+test('numbers too large for numbers are never inferred as ranges', () => {
+  assert.strictEqual(inferColumn('id', ['9007199254740993', '12', '345']).config.type, 'pattern');
+  assert.strictEqual(inferColumn('amount', ['12345678901234567890.5', '1.25', '3']).config.type, 'list');
+});
+
+test('integers are inferred as ranges, increasing IDs as sequences and few repeated integers as weighted lists', () => {
+  assert.deepStrictEqual(inferColumn('age', ['34', '18', '90', '45', '61', '27']).config, { header: 'age', type: 'range', min: 18, max: 90 });
+  assert.deepStrictEqual(inferColumn('id', ['1', '2', '3', '4', '5']).config, { header: 'id', type: 'sequence', start: 1, step: 1, unique: true });
+  assert.deepStrictEqual(inferColumn('qty', ['1', '2', '1', '2', '1', '1']).config, { header: 'qty', type: 'numberList', list: [1, 2], weights: [4, 2] });
+});
+
+test('decimals are inferred as ranges with the most decimal places of the values', () => {
+  assert.deepStrictEqual(
+    inferColumn('price', ['9.99', '12.5', '100.00', '3.25']).config,
+    { header: 'price', type: 'range', min: 3.25, max: 100, decimals: 2 }
+  );
+});
+
+test('dates are inferred as date ranges in their layout', () => {
+  assert.deepStrictEqual(inferColumn('day', ['2024-01-05', '2023-12-31', '2024-03-01']).config, {
+    header: 'day', type: 'dateRange', from: '2023-12-31', to: '2024-03-01', includeTime: false, format: 'iso', timezone: 'UTC'
+  });
+  const european = inferColumn('day', ['05.01.2024', '31.12.2023']).config;
+  assert.strictEqual(european.pattern, '%d.%m.%Y');
+  assert.strictEqual(european.from, '2023-12-31');
+  assert.strictEqual(inferColumn('at', ['2024-01-05 10:00:00', '2024-01-06 11:30:00']).config.includeTime, true);
+});
+
+test('booleans and enums keep their source values and frequencies', () => {
+  assert.deepStrictEqual(inferColumn('active', ['true', 'false', 'true', 'true']).config,
+    { header: 'active', type: 'list', list: ['true', 'false'], weights: [3, 1] });
+  assert.deepStrictEqual(inferColumn('status', ['A', 'B', 'A', 'A', 'B', 'C', 'A', 'B']).config,
+    { header: 'status', type: 'list', list: ['A', 'B', 'C'], weights: [4, 3, 1] });
+});
+
+test('emails and UUIDs are inferred as fake data, other text as a list of its values', () => {
+  assert.deepStrictEqual(inferColumn('email', ['a@x.com', 'b@y.org']).config,
+    { header: 'email', type: 'fake', fakeType: 'email', locale: 'en' });
+  assert.strictEqual(inferColumn('key', ['1b4e28ba-2fa1-41d2-883f-0016d3cca427', '6fa459ea-ee8a-4ca4-894e-db77e160355e']).config.fakeType, 'uuid');
+  assert.deepStrictEqual(inferColumn('name', ['Ann', 'Bob', 'Cy']).config, { header: 'name', type: 'list', list: ['Ann', 'Bob', 'Cy'] });
+  assert.strictEqual(inferColumn('notes', ['', ' ']).config.type, 'randomString');
+});
+
+test('every inferred configuration is a valid column', () => {
+  const samples = {
+    age: ['34', '18'], price: ['1.5', '2.25'], day: ['2024-01-05', '2023-12-31'], active: ['yes', 'no'],
+    email: ['a@x.com'], name: ['Ann', 'Bob'], id: ['10', '20', '30']
+  };
+  const columns = Object.entries(samples).map(([header, values]) => inferColumn(header, values).config);
+  assert.deepStrictEqual(templates.validateColumns(columns), []);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const csvDialect = require('../lib/csv-dialect');
+const masking = require('../lib/masking');
+const { maskToFile } = require('../lib/generator');
+
+// Function to mask a CSV text with the given columns and return the masked file's content
+async function maskText(text, columnConfigurations) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'masking-test-'));
+  try {
+    const sourceFilePath = path.join(directory, 'source.csv');
+    const outputFilePath = path.join(directory, 'masked.csv');
+    fs.writeFileSync(sourceFilePath, text);
+    const dialect = csvDialect.detectFileDialect(sourceFilePath);
+    await maskToFile(columnConfigurations, sourceFilePath, outputFilePath, { format: 'csv', includeHeader: true, csvDialect: dialect }, { salt: 'salt', dialect });
+    return fs.readFileSync(outputFilePath, 'utf8');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('unique generated columns fail when the source has more rows than distinct values', async () => {
+  const source = 'id\n1\n2\n3\n4\n';
+  await assert.rejects(
+    maskText(source, [{ header: 'id', transform: 'generate', type: 'range', min: 1, max: 2, unique: true }]),
+    /marked unique.*fewer than the 4 requested records/
+  );
+  await assert.rejects(
+    maskText(source, [{ header: 'id', transform: 'generate', type: 'list', list: ['a', 'b'], unique: true }]),
+    /marked unique.*fewer than the 4 requested records/
+  );
+});
+
+test('unique generated columns give distinct values for every source row', async () => {
+  const lines = (await maskText('id\n1\n2\n3\n4\n', [{ header: 'id', transform: 'generate', type: 'range', min: 1, max: 4, unique: true }]))
+    .trim().split(/\r?\n/);
+  assert.deepStrictEqual(lines.slice(1).sort(), ['1', '2', '3', '4']);
+});
+
+test('each transform masks its column', () => {
+  const masker = masking.createMasker([
+    { header: 'status', transform: 'keep' },
+    { header: 'email', transform: 'hash', hashLength: 12 },
+    { header: 'code', transform: 'scramble' },
+    { header: 'notes', transform: 'redact' },
+    { header: 'comment', transform: 'redact', replacement: '***' },
+    { header: 'id', transform: 'generate', type: 'sequence', start: 1, step: 1 }
+  ], 'salt');
+  const record = masker.apply({ status: 'OPEN', email: 'ann@example.com', code: 'AB-1234x', notes: 'secret', comment: 'call back', id: '77' });
+  assert.strictEqual(record.status, 'OPEN');
+  assert.strictEqual(record.email, crypto.createHmac('sha256', 'salt').update('ann@example.com').digest('hex').slice(0, 12));
+  assert.match(record.code, /^[A-Z]{2}-[1-9]\d{3}[a-z]$/);
+  assert.notStrictEqual(record.code, 'AB-1234x');
+  assert.strictEqual(record.notes, 'REDACTED');
+  assert.strictEqual(record.comment, '***');
+  assert.strictEqual(record.id, undefined);
+  assert.strictEqual(masker.apply({ status: '', email: '', code: '', notes: '', comment: '', id: '' }).email, '');
+});
+
+test('salted transforms give the same value for the same source value and salt', () => {
+  const columns = [
+    { header: 'email', transform: 'hash' },
+    { header: 'code', transform: 'scramble' },
+    { header: 'name', transform: 'pseudonymize', fakeType: 'fullName', locale: 'pl' }
+  ];
+  const row = { email: 'ann@example.com', code: 'AB-1234', name: 'Jan Kowalski' };
+  const first = masking.createMasker(columns, 'salt').apply(row);
+  assert.deepStrictEqual(masking.createMasker(columns, 'salt').apply(row), first);
+  assert.deepStrictEqual(masking.createMasker(columns, 'salt').apply({ ...row, email: 'bob@example.com' }).name, first.name);
+  const otherSalt = masking.createMasker(columns, 'pepper').apply(row);
+  assert.notStrictEqual(otherSalt.email, first.email);
+  assert.notStrictEqual(otherSalt.name, first.name);
+  assert.throws(() => masking.createMasker(columns), /need a salt/);
+});
+
+test('date shifts keep the intervals within a row or key', () => {
+  const days = (from, to) => (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+  const rowMasker = masking.createMasker([
+    { header: 'admitted', transform: 'dateShift', maxDays: 10 },
+    { header: 'discharged', transform: 'dateShift', maxDays: 10 }
+  ], 'salt');
+  const row = rowMasker.apply({ admitted: '2024-05-01', discharged: '2024-05-11' });
+  assert.strictEqual(days(row.admitted, row.discharged), 10);
+  assert.ok(Math.abs(days('2024-05-01', row.admitted)) <= 10 && row.admitted !== '2024-05-01');
+
+  const keyMasker = masking.createMasker([
+    { header: 'patient', transform: 'keep' },
+    { header: 'visit', transform: 'dateShift', keyColumn: 'patient' }
+  ], 'salt');
+  const first = keyMasker.apply({ patient: '1', visit: '2024-01-01' });
+  const second = keyMasker.apply({ patient: '1', visit: '2024-01-05' });
+  assert.strictEqual(days(first.visit, second.visit), 4);
+
+  assert.strictEqual(rowMasker.apply({ admitted: 'soon', discharged: '2024-05-11' }).admitted, '');
+  assert.deepStrictEqual(rowMasker.getWarnings(), ["1 value(s) of column 'admitted' are not dates in the configured format and were left empty"]);
+});
+
+test('masked files copy every source row through the transforms', async () => {
+  const content = await maskText('status,email,notes\nOPEN,ann@example.com,x\nCLOSED,,y\n', [
+    { header: 'status', transform: 'keep' },
+    { header: 'email', transform: 'hash', hashLength: 8 },
+    { header: 'notes', transform: 'redact' }
+  ]);
+  const hash = crypto.createHmac('sha256', 'salt').update('ann@example.com').digest('hex').slice(0, 8);
+  assert.strictEqual(content, `status,email,notes\nOPEN,${hash},REDACTED\nCLOSED,,REDACTED\n`);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const patterns = require('../lib/patterns');
+const random = require('../lib/random');
+
+// Function to generate values of a pattern column from a fixed seed
+function generateValues(config, count) {
+  random.setSeed(7);
+  return patterns.getExamples(config, count);
+}
+
+test('masks give characters of their class and keep other characters', () => {
+  for (const value of generateValues({ pattern: 'AAA-####-??' }, 20)) {
+    assert.match(value, /^[A-Z]{3}-\d{4}-[A-Z0-9]{2}$/);
+  }
+  for (const value of generateValues({ pattern: '\\A#' }, 5)) {
+    assert.match(value, /^A\d$/);
+  }
+});
+
+test('regular expressions give matching strings', () => {
+  for (const value of generateValues({ pattern: '[A-Z]{3}\\d{4}', patternSyntax: 'regex' }, 20)) {
+    assert.match(value, /^[A-Z]{3}\d{4}$/);
+  }
+  for (const value of generateValues({ pattern: '^(INV|ORD)-[0-9]{2,4}x?$', patternSyntax: 'regex' }, 20)) {
+    assert.match(value, /^(INV|ORD)-[0-9]{2,4}x?$/);
+  }
+});
+
+test('embedded counters count like a sequential column', () => {
+  assert.deepStrictEqual(generateValues({ pattern: 'INV-2024-{seq:6}' }, 3), ['INV-2024-000001', 'INV-2024-000002', 'INV-2024-000003']);
+  assert.deepStrictEqual(generateValues({ pattern: 'N{seq}', counterStart: 10, counterStep: -5 }, 4), ['N10', 'N5', 'N0', 'N-5']);
+  assert.strictEqual(patterns.compilePattern({ pattern: 'R{seq}', counterStep: 0 }).uniqueByCounter, false);
+  assert.strictEqual(patterns.compilePattern({ pattern: 'R{seq}' }).uniqueByCounter, true);
+});
+
+test('the same seed gives the same pattern values', () => {
+  const config = { pattern: '[a-f0-9]{8}', patternSyntax: 'regex' };
+  assert.deepStrictEqual(generateValues(config, 10), generateValues(config, 10));
+});
+
+test('value spaces count the strings a pattern can give', () => {
+  assert.strictEqual(patterns.compilePattern({ pattern: '(a|b)c?', patternSyntax: 'regex' }).size, 4);
+  const space = patterns.getPatternSpace({ pattern: 'A#' });
+  assert.strictEqual(space.size, 260);
+  assert.strictEqual(space.describe, 'pattern A#');
+  assert.strictEqual(space.valueAt(0), 'A0');
+  assert.strictEqual(space.valueAt(259), 'Z9');
+});
+
+test('patterns that cannot be used are explained', () => {
+  assert.strictEqual(patterns.checkPattern({ pattern: 'AAA' }), null);
+  assert.strictEqual(patterns.checkPattern({ pattern: '' }), 'Pattern is empty');
+  assert.strictEqual(patterns.checkPattern({ pattern: 'A', patternSyntax: 'glob' }), 'Unknown pattern syntax: glob (use mask or regex)');
+  assert.strictEqual(patterns.checkPattern({ pattern: '(a', patternSyntax: 'regex' }), 'Invalid pattern at position 1: unterminated group');
+  assert.strictEqual(patterns.checkPattern({ pattern: 'a\\1', patternSyntax: 'regex' }), 'Invalid pattern at position 2: back-references are not supported');
+  assert.strictEqual(patterns.checkPattern({ pattern: '(?=a)', patternSyntax: 'regex' }), 'Invalid pattern at position 1: lookarounds and named groups are not supported');
+  assert.strictEqual(patterns.checkPattern({ pattern: '[z-a]', patternSyntax: 'regex' }), 'Invalid pattern at position 1: invalid range z-a');
+});
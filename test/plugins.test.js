@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerGenerator, registerWriter } = require('../lib/api');
+
+test('plugins cannot replace built-in generator types or output formats', () => {
+  assert.throws(() => registerGenerator('range', { create: () => () => 1 }), /Generator type 'range' is built in/);
+  for (const format of ['csv', 'json', 'sql', 'sqlite']) {
+    assert.throws(() => registerWriter(format, { createOutput: () => null }), new RegExp(`Output format '${format}' is built in`));
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const random = require('../lib/random');
+const { generate } = require('../lib/api');
+
+// Function to draw a few values of every kind from the shared generator
+function drawValues() {
+  return [
+    random.getRandomNumber(1, 1000),
+    random.getRandomDecimal(0, 1, 3),
+    random.getRandomString(12),
+    random.getRandomStringWithPrefix('ID-', 6),
+    random.getRandomFromList(['a', 'b', 'c', 'd'])
+  ];
+}
+
+// Function to read the content of a generated CSV file
+async function generateCsv(seed) {
+  const columns = [
+    { header: 'id', type: 'range', min: 1, max: 100000 },
+    { header: 'code', type: 'randomString', length: 8 },
+    { header: 'name', type: 'fake', fakeType: 'fullName', locale: 'en' },
+    { header: 'joined', type: 'dateRange', from: '2020-01-01', to: '2024-12-31', includeTime: false, format: 'iso', timezone: 'UTC' }
+  ];
+  let content = '';
+  for await (const chunk of generate({ columns, records: 50, seed, format: 'csv' })) {
+    content += chunk;
+  }
+  return content;
+}
+
+test('the same seed draws the same values', () => {
+  random.setSeed(42);
+  const first = drawValues();
+  random.setSeed(42);
+  assert.deepStrictEqual(drawValues(), first);
+  assert.strictEqual(random.getSeed(), 42);
+});
+
+test('different seeds draw different values', () => {
+  random.setSeed(1);
+  const first = drawValues();
+  random.setSeed(2);
+  assert.notDeepStrictEqual(drawValues(), first);
+});
+
+test('numeric and text seeds are accepted', () => {
+  assert.strictEqual(random.hashSeed(42), random.hashSeed('42'));
+  const values = Array.from({ length: 5 }, random.createRandom('release-2024'));
+  assert.deepStrictEqual(Array.from({ length: 5 }, random.createRandom('release-2024')), values);
+  for (const value of values) {
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('seeded generators do not affect each other', () => {
+  const alone = Array.from({ length: 5 }, random.createRandom(7));
+  const first = random.createRandom(7);
+  const second = random.createRandom(8);
+  const interleaved = [];
+  for (let i = 0; i < 5; i++) {
+    interleaved.push(first());
+    second();
+  }
+  assert.deepStrictEqual(interleaved, alone);
+});
+
+test('the same seed gives a byte-identical file', async () => {
+  const content = await generateCsv('fixture');
+  assert.strictEqual(await generateCsv('fixture'), content);
+  assert.notStrictEqual(await generateCsv('other'), content);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const templates = require('../lib/templates');
+
+// A template saved before templates had a version, with numeric type codes
+const versionOneTemplate = {
+  name: 'orders',
+  columnConfigurations: [
+    { header: 'id', type: '5', start: 1, step: 1 },
+    { header: 'amount', type: '1', min: 10, max: 500 },
+    { header: 'status', type: '3', list: ['OPEN', 'CLOSED'] }
+  ]
+};
+
+test('fake columns and pseudonymized mask columns only accept the bundled locales', () => {
+  assert.deepStrictEqual(templates.validateColumns([{ header: 'name', type: 'fake', fakeType: 'firstName', locale: 'pl' }]), []);
+  assert.deepStrictEqual(
+    templates.validateColumns([{ header: 'name', type: 'fake', fakeType: 'firstName', locale: 'de' }]),
+    ["column 'name': unknown locale: de (use en, pl)"]
+  );
+  const mask = {
+    version: templates.CURRENT_VERSION,
+    name: 'masked',
+    mode: 'mask',
+    columnConfigurations: [{ header: 'name', transform: 'pseudonymize', fakeType: 'firstName', locale: 'de' }]
+  };
+  assert.deepStrictEqual(templates.validateTemplate(mask), ["column 'name': unknown locale: de (use en, pl)"]);
+});
+
+test('templates without a version have their type codes migrated', () => {
+  const migrated = templates.migrateTemplate(versionOneTemplate, "Template 'orders'");
+  assert.strictEqual(migrated.version, templates.CURRENT_VERSION);
+  assert.deepStrictEqual(migrated.columnConfigurations.map(config => config.type), ['sequence', 'range', 'list']);
+  assert.deepStrictEqual(templates.validateTemplate(migrated), []);
+  assert.strictEqual(versionOneTemplate.columnConfigurations[0].type, '5');
+  assert.strictEqual(templates.migrateTemplate(migrated, "Template 'orders'"), migrated);
+});
+
+test('projects in config.json are migrated table by table', () => {
+  const config = templates.migrateConfig({
+    templates: [versionOneTemplate],
+    projects: [{ name: 'shop', tables: [{ name: 'orders', columnConfigurations: [{ header: 'x', type: '6', list: ['a'] }] }] }]
+  });
+  assert.strictEqual(config.templates[0].columnConfigurations[0].type, 'sequence');
+  assert.strictEqual(config.projects[0].version, templates.CURRENT_VERSION);
+  assert.strictEqual(config.projects[0].tables[0].columnConfigurations[0].type, 'listInOrder');
+});
+
+test('unsupported template versions are reported', () => {
+  assert.throws(() => templates.migrateTemplate({ version: 3 }, "Template 'x'"), /Template 'x' was saved by a newer version of this tool \(template version 3, supported up to 2\)/);
+  assert.throws(() => templates.migrateTemplate({ version: '2' }, "Template 'x'"), /Template 'x' has an invalid version: "2"/);
+});
+
+test('validation lists every problem of a template', () => {
+  const template = {
+    version: templates.CURRENT_VERSION,
+    name: 'broken',
+    columnConfigurations: [
+      { header: 'age', type: 'range', min: 90, max: 18 },
+      { header: 'code', type: 'randomString', length: 0 },
+      { header: 'status', type: 'list', list: [] },
+      { header: 'status', type: 'sequence' }
+    ]
+  };
+  assert.deepStrictEqual(templates.validateTemplate(template), [
+    "column 'age': min (90) is greater than max (18)",
+    "column 'code': length must be a whole number greater than 0, got 0",
+    "column 'status': list is empty",
+    "column 'status': more than one column with this header",
+    "column 'status': missing start",
+    "column 'status': missing step"
+  ]);
+});
+
+test('source file headers are compared with the template columns', () => {
+  const columns = [
+    { header: 'id', type: 'sequence', start: 1, step: 1 },
+    { header: 'amount', type: 'range', min: 1, max: 2 },
+    { header: 'total', type: 'computed', expression: 'amount * 2' }
+  ];
+  assert.deepStrictEqual(templates.findHeaderDrift(['id', 'email'], columns), { added: ['email'], removed: ['amount'] });
+  // With the headers saved with the template, renamed columns count as removed
+  assert.deepStrictEqual(templates.findHeaderDrift(['id', 'email'], columns, ['id', 'amount']), { added: ['email'], removed: ['amount'] });
+  assert.deepStrictEqual(templates.findHeaderDrift(['id', 'amount', 'email'], columns, ['id', 'amount', 'email']), { added: [], removed: [] });
+});
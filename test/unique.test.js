@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generate } = require('../lib/api');
+const { createUniqueGenerator } = require('../lib/unique');
+
+test('unique decimal ranges give distinct numbers rounded to their places', () => {
+  const columns = [{ header: 'price', type: 'range', min: 1, max: 2, decimals: 2, unique: true }];
+  const values = generate({ columns, records: 101, seed: 3 }).map(record => record.price);
+  assert.strictEqual(new Set(values).size, 101);
+  for (const value of values) {
+    assert.strictEqual(typeof value, 'number');
+    assert.strictEqual(value, Number(value.toFixed(2)));
+  }
+});
+
+test('unique columns fail once their value space is used up, when the record count is not known', () => {
+  const config = { header: 'code', type: 'list', list: ['a', 'b', 'c'], unique: true };
+  const generator = createUniqueGenerator(config, () => null, 0);
+  const values = [generator(0), generator(1), generator(2)];
+  assert.deepStrictEqual([...values].sort(), ['a', 'b', 'c']);
+  assert.throws(() => generator(3), /Column 'code' is marked unique, but its list only has 3 distinct values, fewer than the 4 requested records/);
+});
+
+test('unique columns fail before generating when there are more records than distinct values', () => {
+  const columns = [{ header: 'n', type: 'range', min: 1, max: 2, unique: true }];
+  assert.throws(() => generate({ columns, records: 3, seed: 1, stream: true }), /only has 2 distinct values, fewer than the 3 requested records/);
+});
+
+test('unique columns fail early when the value space is smaller than the records', () => {
+  const columns = [{ header: 'n', type: 'range', min: 1, max: 100, unique: true }];
+  assert.throws(() => generate({ columns, records: 500, seed: 1 }),
+    /Column 'n' is marked unique, but its range 1-100 only has 100 distinct values, fewer than the 500 requested records/);
+  assert.throws(() => generate({ columns: [{ header: 'c', type: 'listInOrder', list: ['a', 'b', 'a'], unique: true }], records: 3, seed: 1 }),
+    /its list only yields 2 distinct values in order, fewer than the 3 requested records/);
+});
+
+test('unique columns use their whole value space without repeating', () => {
+  const values = generate({ columns: [{ header: 'n', type: 'range', min: 1, max: 100, unique: true }], records: 100, seed: 5 })
+    .map(record => record.n);
+  assert.deepStrictEqual([...values].sort((a, b) => a - b), Array.from({ length: 100 }, (_, i) => i + 1));
+
+  const codes = generate({ columns: [{ header: 'code', type: 'randomString', length: 2, unique: true }], records: 2000, seed: 5 })
+    .map(record => record.code);
+  assert.strictEqual(new Set(codes).size, 2000);
+  const days = generate({
+    columns: [{ header: 'day', type: 'dateRange', from: '2024-01-01', to: '2024-01-31', includeTime: false, format: 'iso', timezone: 'UTC', unique: true }],
+    records: 31,
+    seed: 5
+  }).map(record => record.day);
+  assert.strictEqual(new Set(days).size, 31);
+});
+
+test('unique columns without a known value space retry until they give up', () => {
+  const config = { header: 'flag', type: 'fake', fakeType: 'firstName', unique: true };
+  let calls = 0;
+  const generator = createUniqueGenerator(config, () => (calls++ < 2 ? `name${calls}` : 'name2'), 10);
+  assert.strictEqual(generator(0), 'name1');
+  assert.strictEqual(generator(1), 'name2');
+  assert.throws(() => generator(2), /Column 'flag' is marked unique, but no new value was found after 1000 attempts \(2 unique values generated so far\)/);
+});
+
+test('sequences are unique by construction', () => {
+  const config = { header: 'id', type: 'sequence', start: 1, step: 1, unique: true };
+  const generator = i => i + 1;
+  assert.strictEqual(createUniqueGenerator(config, generator, 1e9), generator);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generate } = require('../lib/api');
+
+const columns = [
+  { header: 'id', type: 'sequence', start: 1, step: 1 },
+  { header: 'amount', type: 'range', min: 1, max: 20, decimals: 2 }
+];
+
+// Function to read the content of a generated file
+async function generateContent(format, options = {}) {
+  let content = '';
+  for await (const chunk of generate({ columns, records: 20, seed: 7, format, ...options })) {
+    content += chunk;
+  }
+  return content;
+}
+
+test('decimal range columns are generated as numbers', () => {
+  for (const record of generate({ columns, records: 20, seed: 7 })) {
+    assert.strictEqual(typeof record.amount, 'number');
+    assert.strictEqual(record.amount, Number(record.amount.toFixed(2)));
+  }
+});
+
+test('SQL output writes decimals unquoted', async () => {
+  const content = await generateContent('sql', { formatOptions: { table: 'orders' } });
+  assert.match(content, /\(1, \d+(\.\d+)?\)/);
+  assert.doesNotMatch(content, /'\d+\.\d+'/);
+});
+
+test('JSON and NDJSON output write decimals as numbers', async () => {
+  for (const record of JSON.parse(await generateContent('json'))) {
+    assert.strictEqual(typeof record.amount, 'number');
+  }
+  for (const line of (await generateContent('ndjson')).trim().split('\n')) {
+    assert.strictEqual(typeof JSON.parse(line).amount, 'number');
+  }
+});
+
+test('CSV output writes decimals with all their places', async () => {
+  const lines = (await generateContent('csv')).trim().split(/\r?\n/);
+  assert.strictEqual(lines[0], 'id,amount');
+  for (const line of lines.slice(1)) {
+    assert.match(line, /^\d+,\d+\.\d{2}$/);
+  }
+});
+
+test('XML output writes decimals with all their places', async () => {
+  const amounts = [...(await generateContent('xml')).matchAll(/<amount>([^<]*)<\/amount>/g)].map(match => match[1]);
+  assert.strictEqual(amounts.length, 20);
+  for (const amount of amounts) {
+    assert.match(amount, /^\d+\.\d{2}$/);
+  }
+});